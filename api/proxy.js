@@ -1,28 +1,133 @@
 // Serverless proxy function for Vercel.
-// This endpoint fetches a given URL and returns its contents. It acts as a
-// simple CORS proxy so that client‑side code can retrieve data from
-// third‑party APIs without triggering cross‑origin restrictions. The handler
-// expects a `url` query parameter containing the fully qualified URL to
-// fetch. It uses the native fetch API available in Node 18+.
+// This endpoint fetches data from the market data providers used by the
+// screener and returns it to the browser. It is deliberately *not* a general
+// purpose CORS proxy: only the hosts listed in PROVIDERS (lib/upstream.js)
+// can be reached, and the provider API keys live in server-side environment
+// variables so they never have to be shipped to (or typed into) the client.
+// The handler expects a `url` query parameter containing the fully qualified
+// https URL to fetch. It uses the native fetch API available in Node 18+.
+//
+// Environment variables:
+//   ALPHA_VANTAGE_API_KEY  Alpha Vantage key (falls back to the public `demo` key)
+//   FMP_API_KEY            Financial Modeling Prep key (FMP requests fail with 503 without it)
+//   SEC_USER_AGENT         User-Agent sent to SEC EDGAR, which asks for a company
+//                          name and contact email, e.g. "Example Corp admin@example.com"
+//   SCREENER_FIXTURES      'record' or 'replay' provider responses for offline
+//                          development (see lib/fixtures.js)
+//
+// A key supplied by the client in the `apikey` query parameter takes
+// precedence, so users can still bring their own key via the scanner form.
+// Such requests bypass the cache, which is shared by every client.
+//
+// Successful responses are kept in an in-memory TTL cache that survives
+// between invocations while the function instance stays warm. Each endpoint
+// has its own time-to-live: quotes expire after a minute while company
+// overviews, profiles, financial statements and ticker lists are kept for
+// hours, so repeated OVERVIEW and GLOBAL_QUOTE lookups during a scan don't
+// burn provider quota.
+//
+// Status codes:
+//   200  Upstream response (X-Cache: HIT, MISS, BYPASS or REPLAY)
+//   400  Missing or malformed `url` parameter
+//   403  Host not on the allowlist, or not https
+//   405  Method other than GET
+//   429  Upstream rate limit (includes Alpha Vantage `Note` throttle payloads)
+//   502  Upstream returned an error status or could not be reached
+//   503  No API key configured for the requested provider
+//   504  Upstream did not respond in time
+
+import { FIXTURE_MODE } from '../lib/fixtures.js';
+import {
+  cacheGet,
+  cacheKey,
+  cacheSet,
+  fetchUpstream,
+  findProvider,
+  injectApiKey,
+  isErrorPayload,
+  isThrottlePayload
+} from '../lib/upstream.js';
 
 export default async function handler(req, res) {
+  if (req.method && req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
   const { url } = req.query;
   if (!url) {
     return res.status(400).json({ error: 'Missing url parameter' });
   }
+  let target;
   try {
-    const response = await fetch(url);
-    const contentType = response.headers.get('content-type') || '';
-    const body = await response.text();
-    // Set CORS headers to allow requests from any origin
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    // Mirror the content type so the client can parse JSON when appropriate
-    if (contentType) {
-      res.setHeader('Content-Type', contentType);
+    target = new URL(url);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid url parameter' });
+  }
+  if (target.protocol !== 'https:') {
+    return res.status(403).json({ error: 'Only https URLs are allowed' });
+  }
+  const provider = findProvider(target);
+  if (!provider) {
+    return res.status(403).json({ error: `Host not allowed: ${target.hostname}` });
+  }
+
+  // Inject the server-held API key unless the client supplied its own.
+  const ownKey = target.searchParams.has('apikey');
+  if (!injectApiKey(target, provider)) {
+    return res.status(503).json({ error: `No API key configured for ${provider.host}` });
+  }
+
+  const key = cacheKey(target);
+  const cached = ownKey ? null : cacheGet(key);
+  if (cached) {
+    res.setHeader('X-Cache', 'HIT');
+    res.setHeader('Age', String(Math.floor((Date.now() - cached.storedAt) / 1000)));
+    res.setHeader('Cache-Control', `private, max-age=${Math.max(0, Math.floor((cached.expires - Date.now()) / 1000))}`);
+    if (cached.contentType) {
+      res.setHeader('Content-Type', cached.contentType);
     }
-    res.status(200).send(body);
+    return res.status(200).send(cached.body);
+  }
+
+  let response;
+  let body;
+  try {
+    response = await fetchUpstream(target, provider);
+    // The upstream timeout also covers reading the body
+    body = await response.text();
   } catch (err) {
-    console.error('Proxy error:', err);
-    res.status(500).json({ error: 'Unable to fetch url', details: err.message });
+    if (err.name === 'TimeoutError') {
+      return res.status(504).json({ error: 'Upstream timed out', host: target.hostname });
+    }
+    console.error('Proxy error:', target.hostname, err.message);
+    return res.status(502).json({ error: 'Unable to fetch url', details: err.message });
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  // Mirror the content type so the client can parse JSON when appropriate
+  if (contentType) {
+    res.setHeader('Content-Type', contentType);
   }
+  res.setHeader('X-Cache', FIXTURE_MODE === 'replay' ? 'REPLAY' : 'MISS');
+
+  if (response.status === 429 || isThrottlePayload(body)) {
+    res.setHeader('Retry-After', response.headers.get('retry-after') || '60');
+    return res.status(429).send(body);
+  }
+  if (!response.ok) {
+    return res.status(502).json({
+      error: `Upstream responded with ${response.status}`,
+      host: target.hostname,
+      upstreamStatus: response.status
+    });
+  }
+  if (ownKey || isErrorPayload(body)) {
+    res.setHeader('X-Cache', 'BYPASS');
+    return res.status(200).send(body);
+  }
+
+  const ttl = provider.ttl(target);
+  cacheSet(key, { body, contentType }, ttl);
+  res.setHeader('Cache-Control', `private, max-age=${Math.floor(ttl / 1000)}`);
+  res.status(200).send(body);
 }
@@ -0,0 +1,259 @@
+// Serverless scan function for Vercel.
+// This endpoint runs a screen over a universe of tickers on the server and
+// streams the outcome back as server-sent events while the scan runs. The
+// lookups, valuation models, screens and sector-relative scores are the ones
+// the page uses (see lib/), and providers are called directly with the keys
+// from the same environment variables as api/proxy.js, subject to the
+// provider rate limits in lib/rate-limits.js. The page's full market scan
+// consumes this stream, and it can be scripted as well, e.g.
+//
+//   curl -N 'https://<host>/api/scan?tickers=AAPL,MSFT,KO&screen=pe%3C25&model=ddm'
+//
+// Parameters, as query parameters of a GET request or in the JSON body of a
+// POST request:
+//   tickers       Symbols to scan, as an array or a comma separated string.
+//                 Share classes may be written BRK/A or BRK-A; symbols that
+//                 are not tickers find no fundamentals. Without them the
+//                 widest universe available is fetched (FMP's stock list,
+//                 else the NASDAQ screener)
+//   limit         Maximum number of symbols of a fetched universe (0 = all)
+//   exchanges     Exchanges a fetched universe is narrowed to, e.g. LSE,XETRA
+//   countries     Countries a fetched universe is narrowed to, e.g. GB,DE
+//   start         Index into the universe to start at, to resume a scan
+//   screen        Screen in the screening language (default `undervalued`)
+//   model         Valuation model: ddm, dcf (default) or residualIncome
+//   assumptions   Valuation assumptions overriding the defaults; JSON in a
+//                 query parameter
+//   currency      Currency amounts are converted into (default USD), at the
+//                 rates of Frankfurter (see lib/currency.js)
+//   fundamentals  When true, also stream the fundamentals of every symbol
+//   apiKeys       {alpha, fmp} keys to use instead of the server's (POST only)
+//
+// Events, each with a JSON payload:
+//   start     {total, start, model, screen, currency, assumptions}
+//   ticker    {symbol, index, fundamentals} for every symbol looked up, with
+//             `fundamentals` only
+//   row       A row that passed the screen, keyed like the results table
+//   rows      {rows}: every row so far, most undervalued first, sent after
+//             the sector-relative scores were recomputed and at the end
+//   progress  {total, scanned, cursor, found, providers}; `providers` holds
+//             the rate limiter status of every provider
+//   done      {complete, cursor, scanned, found, skipped, reason, provider,
+//             retryAfter}
+//   error     {error}
+//
+// The cursor is the index of the first symbol not yet scanned. A scan that
+// could not finish ends with `complete: false` and a reason: 'time' when the
+// function ran out of time (start again at the cursor right away) or 'quota'
+// when a provider's quota is used up (start again after `retryAfter` ms).
+// Symbols whose providers kept throttling them hold the cursor back until
+// the scan completes; `skipped` then lists them.
+//
+// Status codes, before the stream starts:
+//   200  Event stream
+//   400  Invalid screen, model, assumptions, currency or universe filters
+//   405  Method other than GET or POST
+
+import { createFxSource, DEFAULT_CURRENCY } from '../lib/currency.js';
+import { formatEvent } from '../lib/events.js';
+import { createDataSource } from '../lib/providers.js';
+import { createRateLimiters, findExhaustedProvider, limiterStatuses, retryThrottled } from '../lib/rate-limits.js';
+import { createScanControl, runScan } from '../lib/scan.js';
+import { compileScreen, DEFAULT_SCREEN, toDisplayRows } from '../lib/screen.js';
+import { createUpstreamFetch, httpError } from '../lib/upstream.js';
+import { DEFAULT_ASSUMPTIONS, DEFAULT_MODEL, validateAssumptions, VALUATION_MODELS } from '../lib/valuation.js';
+
+export const config = { maxDuration: 300 };
+
+// A scan ends itself with reason 'time' after this long, leaving the
+// function time to send the final rows before it is cut off.
+const SCAN_TIME_BUDGET_MS = 270 * 1000;
+
+// How often progress is reported while every lookup waits.
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Rate limiters shared by all scans of this function instance, the
+// provider requests made through them and the exchange rates.
+const limiters = createRateLimiters();
+const fetchJson = createUpstreamFetch(limiters);
+const fx = createFxSource({ fetchJson });
+
+/**
+ * Read and validate the scan parameters of a request.
+ *
+ * @param {object} req Incoming request
+ * @returns {object} Parameters; throws an Error with status 400 when invalid
+ */
+function readParams(req) {
+  let body = req.body || {};
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body || '{}');
+    } catch (err) {
+      throw httpError(400, 'The request body is not valid JSON');
+    }
+  }
+  const query = req.query || {};
+  const param = name => {
+    const value = body[name] !== undefined ? body[name] : query[name];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const list = name => {
+    const value = body[name] !== undefined ? body[name] : query[name];
+    return (Array.isArray(value) ? value : String(value || '').split(/[,\s]+/))
+      .map(item => String(item).trim().toUpperCase())
+      .filter(Boolean);
+  };
+
+  // Symbols are kept as given, so indices and cursors match the caller's
+  // universe; those no provider can look up are scanned without
+  // fundamentals (see lookupTicker)
+  const tickers = list('tickers');
+  const exchanges = list('exchanges');
+  const countries = list('countries');
+  if ([...exchanges, ...countries].some(code => !/^[A-Z]{2,10}$/.test(code))) {
+    throw httpError(400, 'Exchanges and countries must be codes such as LSE or GB');
+  }
+
+  const currency = String(param('currency') || DEFAULT_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw httpError(400, 'currency must be a three-letter code such as EUR');
+  }
+
+  const model = param('model') || DEFAULT_MODEL;
+  if (!VALUATION_MODELS[model]) {
+    throw httpError(400, `Unknown model "${model}"; use one of ${Object.keys(VALUATION_MODELS).join(', ')}`);
+  }
+
+  let screen;
+  try {
+    screen = compileScreen(param('screen') || DEFAULT_SCREEN);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+
+  let given = param('assumptions') || {};
+  if (typeof given === 'string') {
+    try {
+      given = JSON.parse(given);
+    } catch (err) {
+      throw httpError(400, 'assumptions must be a JSON object');
+    }
+  }
+  if (!given || typeof given !== 'object' || Array.isArray(given)) {
+    throw httpError(400, 'assumptions must be a JSON object');
+  }
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...given };
+  const error = validateAssumptions(assumptions);
+  if (error) throw httpError(400, error);
+
+  const flag = value => value === true || value === 'true' || value === '1' || value === '';
+  return {
+    tickers,
+    limit: parseInt(param('limit'), 10) || 0,
+    filters: { exchanges, countries },
+    start: Math.max(0, parseInt(param('start'), 10) || 0),
+    screen,
+    model,
+    assumptions,
+    currency,
+    fundamentals: flag(param('fundamentals')),
+    apiKeys: body.apiKeys && typeof body.apiKeys === 'object' ? body.apiKeys : {}
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method && req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  let params;
+  try {
+    params = readParams(req);
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+  const { screen, model, assumptions } = params;
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(formatEvent(event, data));
+  };
+
+  const control = createScanControl();
+  // Stop looking up symbols, and abort the lookups in flight, once the
+  // client went away
+  res.on('close', () => {
+    if (!res.writableEnded) control.stop('closed');
+  });
+
+  // Providers for which no key is configured are skipped, as on the page
+  const missingKeys = new Set();
+  const apiKey = provider => String(params.apiKeys[provider] || '');
+  const dataSource = createDataSource({
+    fetchJson,
+    apiKey,
+    available: provider => Boolean(apiKey(provider)) || !missingKeys.has(provider),
+    onMissingKey: provider => missingKeys.add(provider),
+    limiters,
+    currency: () => params.currency,
+    fx
+  });
+
+  const startedAt = Date.now();
+  let progress = { total: 0, scanned: 0, cursor: params.start, found: 0 };
+  let exhausted = null;
+  const reportProgress = () => send('progress', { ...progress, providers: limiterStatuses(limiters) });
+  const timer = setInterval(() => {
+    if (!control.stopped) {
+      exhausted = findExhaustedProvider(limiters);
+      if (exhausted) control.stop('quota');
+      else if (Date.now() - startedAt > SCAN_TIME_BUDGET_MS) control.stop('time');
+    }
+    reportProgress();
+  }, PROGRESS_INTERVAL_MS);
+
+  try {
+    const symbols = params.tickers.length > 0 ? params.tickers : await dataSource.fetchTickerUniverse(params.limit, params.filters);
+    progress = { ...progress, total: symbols.length };
+    send('start', { total: symbols.length, start: params.start, model, screen: screen.source, currency: params.currency, assumptions });
+    const result = await runScan({
+      symbols,
+      start: params.start,
+      control,
+      screen,
+      context: { model, assumptions },
+      lookup: (symbol, signal) => retryThrottled(() => dataSource.lookupTicker(symbol, assumptions, signal), limiters, signal),
+      onTicker: ticker => {
+        if (params.fundamentals) send('ticker', ticker);
+      },
+      onRow: row => send('row', toDisplayRows([row])[0]),
+      onRows: rows => send('rows', { rows: toDisplayRows(rows) }),
+      onProgress: update => {
+        progress = update;
+        reportProgress();
+      }
+    });
+    send('done', {
+      complete: result.complete,
+      cursor: result.cursor,
+      scanned: result.scanned,
+      found: result.rows.length,
+      skipped: result.skipped,
+      reason: result.complete ? null : control.reason,
+      provider: exhausted ? exhausted.provider : null,
+      retryAfter: exhausted ? Math.round(exhausted.wait) : null
+    });
+  } catch (err) {
+    console.error('Scan error:', err);
+    send('error', { error: err.message });
+  } finally {
+    clearInterval(timer);
+    res.end();
+  }
+}
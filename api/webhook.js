@@ -0,0 +1,110 @@
+// Serverless alert webhook function for Vercel.
+// The page posts fired price alerts here and this endpoint posts them on to
+// the webhook the user entered in the alerts panel. Browsers cannot post
+// JSON to Slack, Discord and most other webhook receivers themselves: such a
+// request needs a CORS preflight those hosts do not answer. Like
+// api/proxy.js this is not an open relay: only https URLs on the hosts of
+// WEBHOOK_HOSTS, and those listed in ALERT_WEBHOOK_HOSTS, can be reached.
+//
+// Request: POST with a JSON body {url, alert}. `alert` holds the details of
+// the fired alert (ticker, condition, model, values, price, triggeredAt and
+// message) and is posted to `url` as JSON, with the message repeated as
+// `text` and `content`, the fields Slack and Discord show.
+//
+// Environment variables:
+//   ALERT_WEBHOOK_HOSTS  Further webhook hosts, comma separated, e.g.
+//                        hooks.example.com; subdomains match as well
+//
+// Status codes:
+//   204  The webhook accepted the alert
+//   400  Missing or malformed url or alert
+//   403  Host not on the allowlist, or not https
+//   405  Method other than POST
+//   502  The webhook responded with an error status (`upstreamStatus`) or
+//        could not be reached
+//   504  The webhook did not respond in time
+
+import { UPSTREAM_TIMEOUT_MS } from '../lib/upstream.js';
+
+// Webhook receivers alerts can always be posted to.
+export const WEBHOOK_HOSTS = ['hooks.slack.com', 'discord.com', 'discordapp.com'];
+
+// Upper bound on the size of an alert, which is a few hundred bytes.
+const MAX_ALERT_BYTES = 8 * 1024;
+
+/**
+ * Whether alerts may be posted to the given webhook URL.
+ *
+ * @param {URL} url Parsed webhook URL
+ * @returns {boolean}
+ */
+export function isAllowedWebhook(url) {
+  const configured = (process.env.ALERT_WEBHOOK_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  const hostname = url.hostname.toLowerCase();
+  return [...WEBHOOK_HOSTS, ...configured].some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  let body = req.body || {};
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body || '{}');
+    } catch (err) {
+      return res.status(400).json({ error: 'The request body is not valid JSON' });
+    }
+  }
+  let target;
+  try {
+    target = new URL(body.url);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid url' });
+  }
+  if (target.protocol !== 'https:') {
+    return res.status(403).json({ error: 'Only https URLs are allowed' });
+  }
+  if (!isAllowedWebhook(target)) {
+    return res.status(403).json({ error: `Host not allowed: ${target.hostname}` });
+  }
+  const { alert } = body;
+  if (!alert || typeof alert !== 'object' || Array.isArray(alert) || typeof alert.message !== 'string') {
+    return res.status(400).json({ error: 'alert must be an object with a message' });
+  }
+  const payload = JSON.stringify({ ...alert, text: alert.message, content: alert.message });
+  if (payload.length > MAX_ALERT_BYTES) {
+    return res.status(400).json({ error: 'The alert is too large' });
+  }
+
+  let response;
+  try {
+    response = await fetch(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: payload,
+      redirect: 'error',
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+    });
+    // The receiver's answer is not passed on
+    await response.arrayBuffer();
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      return res.status(504).json({ error: 'The webhook timed out', host: target.hostname });
+    }
+    console.error('Webhook error:', target.hostname, err.message);
+    return res.status(502).json({ error: 'Unable to reach the webhook', details: err.message });
+  }
+  if (!response.ok) {
+    return res.status(502).json({
+      error: `The webhook responded with ${response.status}`,
+      host: target.hostname,
+      upstreamStatus: response.status
+    });
+  }
+  res.status(204).end();
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Command-line screener.
+// Runs the screens of the page from a terminal or a cron job, with the same
+// data providers, valuation models, screening language and exports (see
+// lib/). Providers are called directly, with the keys from the same
+// environment variables as api/proxy.js and subject to the provider rate
+// limits in lib/rate-limits.js, so a large universe takes as long as it
+// does on the page.
+//
+// Usage:
+//   screener scan [options]
+//
+//   -t, --tickers       Symbols to scan, comma separated. Without them the
+//                       widest universe available is fetched (FMP's stock
+//                       list, else the NASDAQ screener)
+//   -l, --limit         Maximum number of symbols of a fetched universe
+//   -e, --exchange      Exchanges a fetched universe is narrowed to, comma
+//                       separated, e.g. LSE,XETRA
+//   -c, --country       Countries a fetched universe is narrowed to, e.g. GB,DE
+//       --start         Index into the universe to start at, to resume a scan
+//   -s, --screen        Screen in the screening language (default `undervalued`)
+//   -m, --model         Valuation model: ddm, dcf (default) or residualIncome
+//   -a, --assumptions   Valuation assumptions overriding the defaults, as JSON
+//                       or the path of a JSON file
+//       --currency      Currency amounts are converted into (default USD)
+//       --fx-rates      Exchange rates from a JSON file in Frankfurter's format,
+//                       e.g. fixtures/fx/latest.json, instead of Frankfurter
+//   -f, --format        csv (default), json or xlsx
+//   -o, --output        File to write to instead of standard output
+//   -q, --quiet         Do not report progress
+//
+// e.g. screener scan --tickers AAPL,MSFT,KO --screen "pe<15" --format csv
+//
+// Environment variables:
+//   ALPHA_VANTAGE_API_KEY  Alpha Vantage key (falls back to the public `demo` key)
+//   FMP_API_KEY            Financial Modeling Prep key (FMP is skipped without it)
+//   SEC_USER_AGENT         User-Agent sent to SEC EDGAR
+//   SCREENER_FIXTURES      'record' or 'replay' provider responses, e.g. to scan
+//                          offline (see lib/fixtures.js)
+//
+// Exit codes:
+//   0  Scan complete
+//   1  Scan failed
+//   2  Invalid command or options
+//   3  Scan stopped early by an exhausted provider quota or Ctrl-C; the rows
+//      found so far are written and the message names the --start to resume at
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createFxSource, DEFAULT_CURRENCY } from '../lib/currency.js';
+import { EXPORT_FORMATS, exportRecords } from '../lib/export.js';
+import { FIXTURE_MODE } from '../lib/fixtures.js';
+import { createDataSource, normalizeSymbol } from '../lib/providers.js';
+import { createRateLimiters, findExhaustedProvider, PROVIDER_LABELS, retryThrottled } from '../lib/rate-limits.js';
+import { createScanControl, runScan } from '../lib/scan.js';
+import { compileScreen, DEFAULT_SCREEN, scoreUniverse, toDisplayRows } from '../lib/screen.js';
+import { createUpstreamFetch } from '../lib/upstream.js';
+import { DEFAULT_ASSUMPTIONS, DEFAULT_MODEL, validateAssumptions, VALUATION_MODELS } from '../lib/valuation.js';
+
+const USAGE = `Usage: screener scan [options]
+
+  -t, --tickers <list>       Symbols to scan, comma separated (default: fetch a universe)
+  -l, --limit <n>            Maximum number of symbols of a fetched universe
+  -e, --exchange <list>      Only exchanges of a fetched universe, e.g. LSE,XETRA
+  -c, --country <list>       Only countries of a fetched universe, e.g. GB,DE
+      --start <n>            Index into the universe to start at
+  -s, --screen <expr>        Screen, e.g. "pe < 15 AND divYield > 3%" (default: ${DEFAULT_SCREEN})
+  -m, --model <name>         ${Object.keys(VALUATION_MODELS).join(', ')} (default: ${DEFAULT_MODEL})
+  -a, --assumptions <json>   Valuation assumptions as JSON or a JSON file
+      --currency <code>      Currency of amounts (default: ${DEFAULT_CURRENCY})
+      --fx-rates <file>      Exchange rates from a JSON file instead of Frankfurter
+  -f, --format <format>      ${Object.keys(EXPORT_FORMATS).join(', ')} (default: csv)
+  -o, --output <file>        Write to a file instead of standard output
+  -q, --quiet                Do not report progress
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+  tickers: { type: 'string', short: 't' },
+  limit: { type: 'string', short: 'l' },
+  exchange: { type: 'string', short: 'e' },
+  country: { type: 'string', short: 'c' },
+  start: { type: 'string' },
+  screen: { type: 'string', short: 's' },
+  model: { type: 'string', short: 'm' },
+  assumptions: { type: 'string', short: 'a' },
+  currency: { type: 'string' },
+  'fx-rates': { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Build the Error of an invalid command line, which is reported together
+ * with the usage and exit code 2.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Read the valuation assumptions given on the command line: inline JSON or
+ * the path of a JSON file, merged over the defaults.
+ *
+ * @param {string|undefined} value Value of --assumptions
+ * @returns {Promise<object>}
+ */
+async function readAssumptions(value) {
+  if (!value) return { ...DEFAULT_ASSUMPTIONS };
+  let text = value;
+  if (!value.trim().startsWith('{')) {
+    try {
+      text = await readFile(value, 'utf8');
+    } catch (err) {
+      throw usageError(`Unable to read assumptions from ${value}: ${err.message}`);
+    }
+  }
+  let given;
+  try {
+    given = JSON.parse(text);
+  } catch (err) {
+    throw usageError('--assumptions must be a JSON object');
+  }
+  if (!given || typeof given !== 'object' || Array.isArray(given)) {
+    throw usageError('--assumptions must be a JSON object');
+  }
+  const assumptions = { ...DEFAULT_ASSUMPTIONS, ...given };
+  const error = validateAssumptions(assumptions);
+  if (error) throw usageError(error);
+  return assumptions;
+}
+
+/**
+ * Read the exchange rates given on the command line, a JSON file in
+ * Frankfurter's format (see createFxSource).
+ *
+ * @param {string} file Value of --fx-rates
+ * @returns {Promise<object>}
+ */
+async function readFxRates(file) {
+  let rates;
+  try {
+    rates = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    throw usageError(`Unable to read exchange rates from ${file}: ${err.message}`);
+  }
+  if (!rates || !rates.base || !rates.rates) {
+    throw usageError(`${file} holds no exchange rates; expected {"base": "EUR", "rates": {...}}`);
+  }
+  return rates;
+}
+
+/**
+ * Parse and validate the options of the scan command.
+ *
+ * @param {string[]} args Command line arguments after the command
+ * @returns {Promise<object>}
+ */
+async function readOptions(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args, options: OPTIONS, strict: true }));
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const list = value => (value || '')
+    .split(/[,\s]+/)
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+  const tickers = list(values.tickers).map(ticker => {
+    const symbol = normalizeSymbol(ticker);
+    if (!symbol) throw usageError(`"${ticker}" is not a ticker; tickers may only contain letters, digits, dots, dashes, slashes, carets and equals signs`);
+    return symbol;
+  });
+  const filters = { exchanges: list(values.exchange), countries: list(values.country) };
+  const currency = (values.currency || DEFAULT_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw usageError('--currency must be a three-letter code such as EUR');
+  }
+  const model = values.model || DEFAULT_MODEL;
+  if (!VALUATION_MODELS[model]) {
+    throw usageError(`Unknown model "${model}"; use one of ${Object.keys(VALUATION_MODELS).join(', ')}`);
+  }
+  let screen;
+  try {
+    screen = compileScreen(values.screen || DEFAULT_SCREEN);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const format = values.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw usageError(`Unknown format "${format}"; use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (format === 'xlsx' && !values.output && process.stdout.isTTY) {
+    throw usageError('Write xlsx exports to a file with --output');
+  }
+  return {
+    help: Boolean(values.help),
+    tickers,
+    limit: parseInt(values.limit, 10) || 0,
+    filters,
+    start: Math.max(0, parseInt(values.start, 10) || 0),
+    screen,
+    model,
+    assumptions: await readAssumptions(values.assumptions),
+    currency,
+    fxRates: values['fx-rates'] ? await readFxRates(values['fx-rates']) : null,
+    format,
+    output: values.output || null,
+    quiet: Boolean(values.quiet)
+  };
+}
+
+/**
+ * Run the scan command and write its rows in the chosen format.
+ *
+ * @param {object} options Result of readOptions
+ * @returns {Promise<number>} Exit code
+ */
+async function scan(options) {
+  const { screen, model, assumptions } = options;
+  const limiters = createRateLimiters();
+  const fetchJson = createUpstreamFetch(limiters);
+  const dataSource = createDataSource({
+    fetchJson,
+    available: provider => provider !== 'fmp' || Boolean(process.env.FMP_API_KEY) || FIXTURE_MODE === 'replay',
+    limiters,
+    currency: () => options.currency,
+    fx: createFxSource({ fetchJson: options.fxRates ? async () => options.fxRates : fetchJson })
+  });
+  const progressShown = !options.quiet && process.stderr.isTTY;
+  const report = text => {
+    if (progressShown) process.stderr.write(`\r\x1b[K${text}`);
+  };
+
+  const control = createScanControl();
+  // The first Ctrl-C ends the scan, abandoning the lookups in flight, and
+  // keeps the rows found so far
+  const interrupt = () => control.stop('interrupted');
+  process.once('SIGINT', interrupt);
+  let exhausted = null;
+  const timer = setInterval(() => {
+    if (control.stopped) return;
+    exhausted = findExhaustedProvider(limiters);
+    if (exhausted) control.stop('quota');
+  }, 1000);
+
+  const scannedAt = new Date();
+  const fundamentals = new Map();
+  let result;
+  try {
+    report('Fetching ticker universe…');
+    const symbols = options.tickers.length > 0 ? options.tickers : await dataSource.fetchTickerUniverse(options.limit, options.filters);
+    result = await runScan({
+      symbols,
+      start: options.start,
+      control,
+      screen,
+      context: { model, assumptions },
+      lookup: (symbol, signal) => retryThrottled(() => dataSource.lookupTicker(symbol, assumptions, signal), limiters, signal),
+      onTicker: ({ symbol, fundamentals: data }) => {
+        if (data) fundamentals.set(symbol, data);
+      },
+      onProgress: ({ total, scanned, found }) => report(`Scanned ${options.start + scanned} of ${total} · Found ${found}`)
+    });
+  } finally {
+    clearInterval(timer);
+    process.removeListener('SIGINT', interrupt);
+    report('');
+  }
+
+  const context = { model, assumptions, scores: scoreUniverse([...fundamentals.values()]) };
+  const metadata = {
+    exportedAt: new Date().toISOString(),
+    scannedAt: scannedAt.toISOString(),
+    source: 'command line',
+    model,
+    screen: screen.source,
+    currency: options.currency,
+    assumptions
+  };
+  const content = EXPORT_FORMATS[options.format].build(exportRecords(toDisplayRows(result.rows), fundamentals, context), metadata);
+  if (options.output) {
+    await writeFile(options.output, content);
+  } else {
+    process.stdout.write(content);
+  }
+
+  if (result.skipped.length > 0) {
+    console.error(`Skipped ${result.skipped.length} symbol${result.skipped.length === 1 ? '' : 's'} that stayed throttled; scan again with --tickers ${result.skipped.join(',')}`);
+  }
+  if (result.complete) return 0;
+  const why = exhausted
+    ? `${PROVIDER_LABELS[exhausted.provider] || exhausted.provider} quota exhausted`
+    : 'Scan interrupted';
+  console.error(`${why}; resume with --start ${result.cursor}`);
+  return 3;
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  try {
+    if (command !== 'scan') throw usageError(`Unknown command "${command}"`);
+    const options = await readOptions(args);
+    if (options.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    return await scan(options);
+  } catch (err) {
+    if (err.usage) {
+      console.error(`screener: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error('screener:', err.message);
+    return 1;
+  }
+}
+
+const code = await main(process.argv.slice(2));
+// Exit once the output is flushed rather than when the event loop runs dry,
+// which requests shared by all lookups, e.g. for exchange rates, may delay
+process.stdout.write('', () => process.exit(code));
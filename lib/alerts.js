@@ -0,0 +1,80 @@
+/*
+ * Alert rules.
+ *
+ * An alert rule watches one ticker for a condition written in the screening
+ * language (see compileScreen), e.g. `price < intrinsic` or `divYield > 4%`,
+ * evaluated with the valuation model chosen when the rule was made.  A rule
+ * fires when its condition becomes true: on the first check that finds it
+ * true, and again whenever it turns true after having been false, so a
+ * stock that stays below its intrinsic value is reported once rather than
+ * on every check.
+ */
+
+import { compileScreen, SCREEN_FIELDS } from './screen.js';
+
+// Conditions offered when adding a rule.
+export const ALERT_PRESETS = {
+  'Price below intrinsic value': 'price < intrinsic',
+  'Undervalued after the margin of safety': 'undervalued',
+  'P/E below 15': 'pe < 15',
+  'Dividend yield above 4%': 'divYield > 4%',
+  'P/B below 1': 'pb < 1'
+};
+
+/**
+ * Create an alert rule for a ticker.  Throws the Error of compileScreen
+ * when the condition is invalid.
+ *
+ * @param {string} ticker Stock ticker
+ * @param {string} condition Condition in the screening language
+ * @param {string} model Key of VALUATION_MODELS the intrinsic value fields use
+ * @returns {object} Rule; `active` is whether the condition held at the
+ *   last check, null before the first one
+ */
+export function createAlertRule(ticker, condition, model) {
+  const symbol = String(ticker || '').trim().toUpperCase();
+  if (!/^[A-Z0-9.\-^=]{1,20}$/.test(symbol)) {
+    throw new Error('Enter the ticker to watch, e.g. KO');
+  }
+  const screen = compileScreen(condition);
+  return {
+    ticker: symbol,
+    condition: screen.source,
+    model,
+    enabled: true,
+    active: null,
+    createdAt: Date.now(),
+    checkedAt: null
+  };
+}
+
+/**
+ * Evaluate an alert rule against fresh fundamentals of its ticker.
+ *
+ * @param {object} rule Alert rule (see createAlertRule)
+ * @param {object} data lookupTicker result
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {{active: boolean, fired: boolean, values: Object<string, number|null>}}
+ *   `values` holds the fields of the condition
+ */
+export function checkAlertRule(rule, data, context) {
+  const screen = compileScreen(rule.condition);
+  const active = screen.test(data, context);
+  const values = Object.fromEntries(screen.fields.map(field => [field, SCREEN_FIELDS[field].value(data, context)]));
+  return { active, fired: active && rule.active !== true, values };
+}
+
+/**
+ * One-line description of a fired alert, e.g.
+ * "KO: price < intrinsic (price 58.1, intrinsic 64.37)".
+ *
+ * @param {object} rule Alert rule
+ * @param {Object<string, number|null>} values Field values of checkAlertRule
+ * @returns {string}
+ */
+export function describeAlert(rule, values) {
+  const shown = Object.entries(values)
+    .map(([field, value]) => `${field} ${value == null ? 'n/a' : +value.toPrecision(4)}`)
+    .join(', ');
+  return `${rule.ticker}: ${rule.condition}${shown ? ` (${shown})` : ''}`;
+}
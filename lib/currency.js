@@ -0,0 +1,228 @@
+/*
+ * Currencies, listings and exchange rates.
+ *
+ * Providers report every monetary field in the currency of its source: the
+ * quote in the trading currency of the listing, statement figures in the
+ * currency the company reports in.  For US companies the two agree, but a
+ * London listing trades in pence and an ADR's filings may be in yen, so
+ * P/E and P/B computed from the raw numbers mix currencies.  Lookups
+ * therefore record the currency of every field (see normalizeFundamentals)
+ * and convert the monetary fields into one currency before they are merged
+ * (see convertFundamentals), with exchange rates from an FX source (see
+ * createFxSource).
+ */
+
+// Currency of fundamentals when none is chosen.
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies offered as display currency.
+export const DISPLAY_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'CHF', 'AUD', 'HKD', 'CNY', 'INR', 'KRW', 'SEK'];
+
+// Fields of FUNDAMENTAL_FIELDS that are amounts of money.  Ratios, yields,
+// share counts and beta need no conversion.
+export const MONETARY_FIELDS = ['price', 'eps', 'bookValue', 'enterpriseValue', 'ebitda', 'dividendPerShare', 'freeCashFlow', 'netDebt'];
+
+// Quotes in a minor unit of a currency, as reported by providers: pence on
+// the London Stock Exchange, cents in Johannesburg and agorot in Tel Aviv.
+const MINOR_UNITS = {
+  GBp: ['GBP', 100],
+  GBX: ['GBP', 100],
+  ZAc: ['ZAR', 100],
+  ZAC: ['ZAR', 100],
+  ILA: ['ILS', 100]
+};
+
+// US exchanges, which list without a ticker suffix.
+export const US_EXCHANGES = ['NASDAQ', 'NYSE', 'AMEX'];
+
+/*
+ * Listings outside the US by ticker suffix (VOD.L, SAP.DE, 7203.T): the
+ * exchange as FMP's stock list names it, its country (ISO 3166 code) and
+ * trading currency.
+ */
+export const LISTING_SUFFIXES = {
+  L: { exchange: 'LSE', country: 'GB', currency: 'GBp' },
+  DE: { exchange: 'XETRA', country: 'DE', currency: 'EUR' },
+  F: { exchange: 'FSX', country: 'DE', currency: 'EUR' },
+  PA: { exchange: 'EURONEXT', country: 'FR', currency: 'EUR' },
+  AS: { exchange: 'EURONEXT', country: 'NL', currency: 'EUR' },
+  BR: { exchange: 'EURONEXT', country: 'BE', currency: 'EUR' },
+  LS: { exchange: 'EURONEXT', country: 'PT', currency: 'EUR' },
+  MI: { exchange: 'MIL', country: 'IT', currency: 'EUR' },
+  MC: { exchange: 'MCE', country: 'ES', currency: 'EUR' },
+  HE: { exchange: 'HEL', country: 'FI', currency: 'EUR' },
+  SW: { exchange: 'SIX', country: 'CH', currency: 'CHF' },
+  ST: { exchange: 'STO', country: 'SE', currency: 'SEK' },
+  OL: { exchange: 'OSL', country: 'NO', currency: 'NOK' },
+  CO: { exchange: 'CPH', country: 'DK', currency: 'DKK' },
+  T: { exchange: 'JPX', country: 'JP', currency: 'JPY' },
+  HK: { exchange: 'HKSE', country: 'HK', currency: 'HKD' },
+  SS: { exchange: 'SHH', country: 'CN', currency: 'CNY' },
+  SZ: { exchange: 'SHZ', country: 'CN', currency: 'CNY' },
+  KS: { exchange: 'KSC', country: 'KR', currency: 'KRW' },
+  NS: { exchange: 'NSE', country: 'IN', currency: 'INR' },
+  BO: { exchange: 'BSE', country: 'IN', currency: 'INR' },
+  AX: { exchange: 'ASX', country: 'AU', currency: 'AUD' },
+  TO: { exchange: 'TSX', country: 'CA', currency: 'CAD' },
+  V: { exchange: 'TSXV', country: 'CA', currency: 'CAD' },
+  SA: { exchange: 'SAO', country: 'BR', currency: 'BRL' },
+  MX: { exchange: 'MEX', country: 'MX', currency: 'MXN' },
+  JO: { exchange: 'JNB', country: 'ZA', currency: 'ZAc' }
+};
+
+// Map each of the given fields to the same currency, for provider results.
+export const fieldsIn = (currency, fields) => Object.fromEntries(fields.map(field => [field, currency || null]));
+
+/**
+ * Split a currency code as reported by a provider into the currency and
+ * the number of its units in the reported one, e.g. GBp (pence) into GBP
+ * and 100.
+ *
+ * @param {string} code Currency code such as 'USD', 'GBp' or 'ZAc'
+ * @returns {{currency: string, minor: number}}
+ */
+export function parseCurrency(code) {
+  const [currency, minor] = MINOR_UNITS[code] || [String(code).toUpperCase(), 1];
+  return { currency, minor };
+}
+
+/**
+ * Where a symbol is listed: its exchange, country and trading currency,
+ * from the ticker suffix or else from the exchange a ticker list reports.
+ * Symbols without a known suffix count as US listings, since share class
+ * suffixes like BRK.B are not exchange suffixes.
+ *
+ * @param {string} symbol Ticker symbol
+ * @param {string} [exchange] Exchange short name, e.g. from FMP's stock list
+ * @returns {{exchange: string|null, country: string|null, currency: string|null}}
+ */
+export function listingOf(symbol, exchange = '') {
+  const dot = symbol.lastIndexOf('.');
+  const suffix = dot > 0 ? LISTING_SUFFIXES[symbol.slice(dot + 1).toUpperCase()] : null;
+  if (suffix) return suffix;
+  const name = String(exchange || '').toUpperCase();
+  if (!name || US_EXCHANGES.includes(name)) return { exchange: name || null, country: 'US', currency: 'USD' };
+  return Object.values(LISTING_SUFFIXES).find(listing => listing.exchange === name) || { exchange: name, country: null, currency: null };
+}
+
+/**
+ * Whether a listing passes exchange and country filters.  Empty filters
+ * pass everything.
+ *
+ * @param {{exchange: string|null, country: string|null}} listing See listingOf
+ * @param {{exchanges?: string[], countries?: string[]}} filters Upper-case
+ *   exchange short names and country codes
+ * @returns {boolean}
+ */
+export function matchesListing(listing, { exchanges = [], countries = [] } = {}) {
+  return (exchanges.length === 0 || exchanges.includes(listing.exchange))
+    && (countries.length === 0 || countries.includes(listing.country));
+}
+
+// Frankfurter serves the European Central Bank's reference rates, updated
+// once every working day, without an API key.
+export const FX_RATES_URL = 'https://api.frankfurter.app/latest';
+
+// How long an FX source reuses the rates it fetched.
+export const FX_CACHE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Create a source of exchange rates.  `fetchJson(url)` resolves to a rates
+ * document in Frankfurter's format, `{base, date, rates: {EUR: 0.92, …}}`,
+ * whether fetched from FX_RATES_URL or read from a fixture file; any
+ * transport of createDataSource will do.  Rates are fetched once per `ttl`
+ * and cross rates are computed through the base currency.  `rate()`
+ * resolves to null for a currency the document has no rate for, and
+ * rejects when the rates cannot be fetched.
+ *
+ * @param {{fetchJson: function(string): Promise<object>, url?: string, ttl?: number}} options
+ * @returns {{rate: function(string, string): Promise<number|null>, date: function(): string|null}}
+ */
+export function createFxSource({ fetchJson, url = FX_RATES_URL, ttl = FX_CACHE_MS }) {
+  let table = null;
+  let fetchedAt = 0;
+  let date = null;
+
+  function loadRates() {
+    if (!table || Date.now() - fetchedAt > ttl) {
+      fetchedAt = Date.now();
+      table = Promise.resolve(fetchJson(url))
+        .then(data => {
+          if (!data || !data.base || !data.rates) throw new Error('Unexpected exchange rate document');
+          date = data.date || null;
+          return { ...data.rates, [data.base]: 1 };
+        })
+        .catch(err => {
+          // Try again on the next conversion
+          table = null;
+          throw err;
+        });
+    }
+    return table;
+  }
+
+  return {
+    async rate(fromCode, toCode) {
+      const from = parseCurrency(fromCode);
+      const to = parseCurrency(toCode);
+      if (from.currency === to.currency) return to.minor / from.minor;
+      const rates = await loadRates();
+      if (!rates[from.currency] || !rates[to.currency]) return null;
+      return ((rates[to.currency] / rates[from.currency]) * to.minor) / from.minor;
+    },
+    // Date of the rates last fetched, as the document reports it
+    date: () => date
+  };
+}
+
+/**
+ * Convert the monetary fields of normalized fundamentals into `currency`.
+ * Each field is converted from the currency its provenance records; fields
+ * without one are taken to be in the currency of `data`, or when that is
+ * not known either, in `currency` already.  A converted field's
+ * provenance keeps the currency it was reported in as `reportedCurrency`
+ * and the rate applied, so converting again into another display currency
+ * works from the converted values.  Fields whose currency has no rate are
+ * dropped, so that a later provider can fill them, rather than mixed into
+ * ratios with other currencies.
+ *
+ * @param {object} data Normalized fundamentals, not modified
+ * @param {string} currency Target currency code
+ * @param {{rate: function(string, string): Promise<number|null>}} fx FX source
+ * @returns {Promise<object>} Converted copy with `currency` set
+ */
+export async function convertFundamentals(data, currency, fx) {
+  const converted = { ...data, provenance: { ...data.provenance }, currency };
+  const sourceCurrency = field => data.provenance[field].currency || data.currency || currency;
+  const fields = MONETARY_FIELDS.filter(field => data[field] != null && data.provenance[field] && sourceCurrency(field) !== currency);
+  const rates = {};
+  for (const code of new Set(fields.map(sourceCurrency))) {
+    try {
+      rates[code] = await fx.rate(code, currency);
+    } catch (err) {
+      console.warn(`Unable to convert ${code} to ${currency}:`, err);
+      rates[code] = null;
+    }
+  }
+  fields.forEach(field => {
+    const source = data.provenance[field];
+    const from = sourceCurrency(field);
+    const rate = rates[from];
+    if (rate == null) {
+      converted[field] = null;
+      delete converted.provenance[field];
+      return;
+    }
+    converted[field] = data[field] * rate;
+    // Converting back into the reported currency leaves nothing to note
+    const reportedCurrency = source.reportedCurrency || from;
+    const back = reportedCurrency === currency;
+    converted.provenance[field] = {
+      ...source,
+      currency,
+      reportedCurrency: back ? null : reportedCurrency,
+      rate: back ? null : (source.rate || 1) * rate
+    };
+  });
+  return converted;
+}
@@ -0,0 +1,69 @@
+/*
+ * Server-sent events, as streamed by the scan endpoint (api/scan.js).
+ * Every event has a name and a JSON payload.
+ */
+
+/**
+ * Serialize one event in the text/event-stream format.
+ *
+ * @param {string} event Event name
+ * @param {*} data Payload, sent as JSON
+ * @returns {string}
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse one event block of a text/event-stream.  Comment lines (starting
+ * with a colon) are skipped, and events without data are ignored.
+ *
+ * @param {string} block Lines of one event, without the blank line after it
+ * @returns {{event: string, data: *}|null}
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  });
+  if (data.length === 0) return null;
+  const text = data.join('\n');
+  try {
+    return { event, data: JSON.parse(text) };
+  } catch (err) {
+    return { event, data: text };
+  }
+}
+
+/**
+ * Read the events of a streamed fetch response and pass each one to
+ * `onEvent` as it arrives.  Unlike EventSource this works for POST
+ * requests.  Resolves when the stream ends and rejects when it breaks,
+ * e.g. because the request was aborted.
+ *
+ * @param {Response} response Fetch response with a text/event-stream body
+ * @param {function(string, *): void} onEvent Called with the event name and payload
+ * @returns {Promise<void>}
+ */
+export async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : blocks.pop();
+    blocks.forEach(block => {
+      const parsed = parseEvent(block);
+      if (parsed) onEvent(parsed.event, parsed.data);
+    });
+    if (done) return;
+  }
+}
@@ -0,0 +1,277 @@
+/*
+ * Export of the result set as CSV, JSON or XLSX, used by the page's export
+ * menu and the command line (bin/screener.js).  Exports hold the raw
+ * numbers behind the results table rather than its rounded strings, the
+ * provider of every row, and metadata (scan time, model, screen and
+ * assumptions) so the numbers can be reproduced later.
+ */
+
+import { finiteOrNull, FUNDAMENTAL_FIELDS } from './fundamentals.js';
+import { numericMetrics, RELATIVE_KEYS, RESULT_COLUMNS } from './screen.js';
+
+// Columns of an export: the results table columns and the sector-relative
+// scores behind them, followed by the other fundamentals the valuation
+// models use.
+export const EXPORT_COLUMNS = [
+  'ticker',
+  'provider',
+  'providers',
+  'currency',
+  ...RESULT_COLUMNS.map(column => column.key),
+  ...RELATIVE_KEYS.filter(key => !RESULT_COLUMNS.some(column => column.key === key)),
+  ...FUNDAMENTAL_FIELDS.filter(field => field !== 'evToEbitda' && !RESULT_COLUMNS.some(column => column.key === field)),
+  'priceAsOf',
+  'fetchedAt'
+];
+
+/**
+ * Build one export record per ticker of the given result rows from the
+ * fundamentals the rows were computed from.  `providers` lists every
+ * provider that contributed a field, `currency` the currency amounts are
+ * in, `fetchedAt` is the earliest fetch time of the row's fields.
+ *
+ * @param {Array} rows Result rows, each with a `ticker`
+ * @param {Map<string, object>} fundamentals lookupTicker results by ticker
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {object[]}
+ */
+export function exportRecords(rows, fundamentals, context) {
+  return rows.map(row => {
+    const data = fundamentals.get(row.ticker) || {};
+    const sources = Object.values(data.provenance || {});
+    const fetchedAt = sources.length > 0 ? Math.min(...sources.map(source => source.fetchedAt)) : null;
+    const record = {
+      ...Object.fromEntries(FUNDAMENTAL_FIELDS.map(field => [field, finiteOrNull(data[field])])),
+      ...numericMetrics(data, context),
+      ticker: row.ticker,
+      provider: data.provider || null,
+      providers: [...new Set(sources.map(source => source.provider))].join('+') || null,
+      currency: data.currency || null,
+      priceAsOf: data.provenance && data.provenance.price ? data.provenance.price.asOf : null,
+      fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null
+    };
+    return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, record[column] === undefined ? null : record[column]]));
+  });
+}
+
+/**
+ * Flatten export metadata into key/value pairs, with the assumptions as
+ * `assumptions.<name>`.
+ *
+ * @param {object} metadata
+ * @returns {Array<[string, *]>}
+ */
+function metadataEntries(metadata) {
+  return Object.entries(metadata).flatMap(([key, value]) =>
+    value && typeof value === 'object'
+      ? Object.entries(value).map(([name, nested]) => [`${key}.${name}`, nested])
+      : [[key, value]]
+  );
+}
+
+// Text cells starting with one of these are taken for a formula by Excel
+// and other spreadsheets.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Serialize an export as CSV.  Metadata comes first as `# key: value`
+ * comment lines (read them with e.g. pandas' `comment='#'`), with line
+ * breaks in values such as a multi-line screen turned into spaces so every
+ * value stays on its comment line, followed by a header row and one row
+ * per record.  Numbers keep full precision and
+ * missing values are empty.  Text that a spreadsheet would run as a
+ * formula, such as a company name starting with `=`, is prefixed with an
+ * apostrophe; numbers, negative ones included, are written as they are.
+ *
+ * @param {object[]} records
+ * @param {object} metadata
+ * @returns {string}
+ */
+export function toCsv(records, metadata) {
+  const quote = value => {
+    if (value == null) return '';
+    const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const comment = value => (value == null ? '' : String(value).replace(/[\r\n]+/g, ' '));
+  const lines = metadataEntries(metadata).map(([key, value]) => `# ${key}: ${comment(value)}`);
+  lines.push(EXPORT_COLUMNS.join(','));
+  records.forEach(record => lines.push(EXPORT_COLUMNS.map(column => quote(record[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize an export as JSON: the metadata with the records under `rows`.
+ *
+ * @param {object[]} records
+ * @param {object} metadata
+ * @returns {string}
+ */
+export function toJson(records, metadata) {
+  return JSON.stringify({ ...metadata, columns: EXPORT_COLUMNS, rows: records }, null, 2);
+}
+
+// Lookup table of the CRC-32 checksum used by the zip format.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed (stored) zip archive, which is all an
+ * XLSX workbook needs.
+ *
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// Characters XML 1.0 does not allow, which provider strings occasionally
+// contain: control characters other than tab and line breaks, the
+// non-characters U+FFFE and U+FFFF and unpaired surrogates.
+const XML_ILLEGAL = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Build the XML of a worksheet from rows of cells.  Numbers become numeric
+ * cells, other values inline strings and null an empty cell.  Characters
+ * XML cannot hold are left out of strings, so they cannot corrupt the
+ * workbook.
+ *
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function worksheetXml(rows) {
+  const columnName = index => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  };
+  const xml = value => String(value).replace(XML_ILLEGAL, '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+  const sheetRows = rows.map((cells, r) => {
+    const xmlCells = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value == null) return '';
+      if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t>${xml(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${xmlCells.join('')}</row>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * Serialize an export as an XLSX workbook with a Results sheet and a
+ * Metadata sheet.
+ *
+ * @param {object[]} records
+ * @param {object} metadata
+ * @returns {Uint8Array}
+ */
+export function toXlsx(records, metadata) {
+  const results = [EXPORT_COLUMNS, ...records.map(record => EXPORT_COLUMNS.map(column => record[column]))];
+  const meta = [['key', 'value'], ...metadataEntries(metadata).map(([key, value]) => [key, typeof value === 'boolean' ? String(value) : value])];
+  const sheets = ['Results', 'Metadata'];
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets
+        .map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+        .join('')}</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets
+        .map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join('')}</sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets
+        .map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+        .join('')}</Relationships>`
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: worksheetXml(results) },
+    { name: 'xl/worksheets/sheet2.xml', content: worksheetXml(meta) }
+  ]);
+}
+
+// Serializers by export format: file extension, MIME type and builder.
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8', build: toCsv },
+  json: { extension: 'json', type: 'application/json', build: toJson },
+  xlsx: { extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: toXlsx }
+};
@@ -0,0 +1,191 @@
+// Recorded provider responses, for developing and testing the screener
+// without live access to the providers. Used by fetchUpstream in
+// lib/upstream.js, so it covers the proxy, the scan endpoint and the command
+// line alike, and the page whenever it goes through the proxy.
+//
+// Environment variables:
+//   SCREENER_FIXTURES     'record' saves every upstream response (except
+//                         throttle responses) as a fixture file; 'replay'
+//                         serves responses from the fixture files only and
+//                         never contacts a provider
+//   SCREENER_FIXTURE_DIR  Directory of the fixture files (default
+//                         fixtures/recorded under the working directory)
+//   SCREENER_FAULTS       Faults injected while replaying, as comma separated
+//                         `name=value` pairs, e.g. "throttle=0.1,error=0.05":
+//                           throttle   Share of requests answered with a
+//                                      throttle response: Alpha Vantage's
+//                                      `Note` payload, HTTP 429 elsewhere
+//                           error      Share answered with HTTP 500
+//                           malformed  Share answered with a truncated body
+//                           timeout    Share failing as if the provider had
+//                                      not answered within the upstream
+//                                      timeout
+//                           match      Only inject faults into requests whose
+//                                      cache key contains this text
+//                           seed       Seed of the fault sequence (default 1)
+//
+// Every fixture file holds one response, keyed by the upstream URL without
+// its API key (see cacheKey), under <dir>/<hostname>/ and named after the
+// rest of the key, shortened when long, and a hash of the whole key. JSON
+// bodies are kept
+// as JSON so they can be read and edited by hand; a fixture whose body is
+// e.g. a `Note` payload or an `Error Message` replays that response every
+// time. Requests without a fixture are answered with HTTP 404. Which request
+// gets a fault depends only on the seed, the request's cache key and how
+// often that key was requested before, so a replayed scan fails the same way
+// every time it runs with the same settings.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// 'record', 'replay' or '' when fixtures are not used.
+export const FIXTURE_MODE = process.env.SCREENER_FIXTURES || '';
+
+const FIXTURE_DIR = process.env.SCREENER_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'recorded');
+
+// Delay simulated throttle responses ask for, in seconds, so replayed scans
+// do not wait out a real provider's penalty.
+const SIMULATED_RETRY_AFTER = '1';
+
+/**
+ * Parse a SCREENER_FAULTS specification.
+ *
+ * @param {string} spec E.g. "throttle=0.1,malformed=0.05,seed=7"
+ * @returns {{throttle: number, error: number, malformed: number, timeout: number, match: string, seed: number}}
+ */
+export function parseFaults(spec = '') {
+  const faults = { throttle: 0, error: 0, malformed: 0, timeout: 0, match: '', seed: 1 };
+  spec
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      const [name, value = ''] = part.split('=').map(text => text.trim());
+      if (!(name in faults)) throw new Error(`Unknown fault "${name}" in SCREENER_FAULTS`);
+      if (name === 'match') {
+        faults.match = value;
+        return;
+      }
+      const number = parseFloat(value);
+      if (!isFinite(number) || number < 0) throw new Error(`Invalid value for ${name} in SCREENER_FAULTS`);
+      faults[name] = number;
+    });
+  return faults;
+}
+
+let faults = parseFaults(process.env.SCREENER_FAULTS);
+
+/**
+ * Replace the faults injected from now on, e.g. between tests.
+ *
+ * @param {string} spec In the format of SCREENER_FAULTS
+ */
+export function setFaults(spec) {
+  faults = parseFaults(spec);
+}
+
+// Response with a JSON body.
+const jsonResponse = (data, status, headers) => new Response(JSON.stringify(data), { status, headers });
+
+// How often every cache key was replayed, for the fault sequence.
+const replayCounts = new Map();
+
+/**
+ * Map a string to a number in [0, 1) with the FNV-1a hash, to pick faults.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function hashFraction(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Path of the fixture file of a cache key.  The readable part of the name
+ * drops characters file systems do not allow and is cut short for long
+ * keys, so the hash of the whole key keeps the names of different keys
+ * apart.
+ *
+ * @param {string} key Cache key, starting with the hostname
+ * @returns {string}
+ */
+export function fixturePath(key) {
+  const slash = key.indexOf('/');
+  const host = slash < 0 ? key : key.slice(0, slash);
+  const rest = slash < 0 ? '' : key.slice(slash + 1);
+  const name = rest.replace(/[^A-Za-z0-9._=-]+/g, '_').slice(0, 120) || 'index';
+  const hash = createHash('sha256').update(key).digest('hex').slice(0, 12);
+  return path.join(FIXTURE_DIR, host, `${name}.${hash}.json`);
+}
+
+/**
+ * Save an upstream response as the fixture of its cache key.
+ *
+ * @param {string} key Cache key
+ * @param {{status: number, contentType: string, body: string}} response
+ * @returns {Promise<void>}
+ */
+export async function recordFixture(key, { status, contentType, body }) {
+  const fixture = { key, status, contentType, recordedAt: new Date().toISOString() };
+  try {
+    fixture.json = JSON.parse(body);
+  } catch (err) {
+    fixture.text = body;
+  }
+  const file = fixturePath(key);
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+/**
+ * Answer an upstream request from its fixture, or with the fault that
+ * SCREENER_FAULTS picks for it.
+ *
+ * @param {string} key Cache key
+ * @returns {Promise<Response>}
+ */
+export async function replayFixture(key) {
+  const count = replayCounts.get(key) || 0;
+  replayCounts.set(key, count + 1);
+  let fixture = null;
+  try {
+    fixture = JSON.parse(await readFile(fixturePath(key), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!fixture || fixture.key !== key) {
+    return jsonResponse({ error: `No recorded response for ${key}` }, 404, { 'Content-Type': 'application/json' });
+  }
+  const body = fixture.json !== undefined ? JSON.stringify(fixture.json) : fixture.text || '';
+  const headers = { 'Content-Type': fixture.contentType || 'application/json' };
+
+  if (!faults.match || key.includes(faults.match)) {
+    let roll = hashFraction(`${faults.seed}:${key}:${count}`);
+    if (roll < faults.throttle) {
+      const simulated = { ...headers, 'Retry-After': SIMULATED_RETRY_AFTER };
+      return key.includes('alphavantage.co')
+        ? jsonResponse({ Note: 'Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute and 25 calls per day. (simulated)' }, 200, simulated)
+        : jsonResponse({ error: 'Too many requests (simulated)' }, 429, simulated);
+    }
+    roll -= faults.throttle;
+    if (roll < faults.error) {
+      return new Response('Internal Server Error (simulated)', { status: 500, headers: { 'Content-Type': 'text/plain' } });
+    }
+    roll -= faults.error;
+    if (roll < faults.malformed) {
+      return new Response(body.slice(0, Math.floor(body.length / 2)), { status: fixture.status || 200, headers });
+    }
+    roll -= faults.malformed;
+    if (roll < faults.timeout) {
+      // What fetch rejects with when the signal of AbortSignal.timeout fires
+      throw new DOMException('The operation was aborted due to timeout (simulated)', 'TimeoutError');
+    }
+  }
+  return new Response(body, { status: fixture.status || 200, headers });
+}
@@ -0,0 +1,162 @@
+/*
+ * Normalized fundamentals schema.  Every provider's result is reduced to
+ * these fields by normalizeFundamentals; missing values are null and rates
+ * are decimals (0.03 = 3%).
+ *
+ *   price              Latest share price
+ *   eps                Earnings per share
+ *   bookValue          Book value per common share
+ *   enterpriseValue    Enterprise value
+ *   ebitda             EBITDA
+ *   evToEbitda         EV / EBITDA, derived from the two above when not reported
+ *   dividendPerShare   Annual dividend per share
+ *   dividendYield      Dividend yield, derived from dividend and price when not reported
+ *   freeCashFlow       Annual free cash flow of the company
+ *   netDebt            Debt less cash
+ *   sharesOutstanding  Shares outstanding
+ *   returnOnEquity     Return on equity
+ *   beta               Beta against the market
+ *   sector             Sector name, e.g. 'Technology' (text)
+ *   industry           Industry name (text)
+ *
+ * Normalized results also carry `provider`, the id of the first provider
+ * that supplied data, and `provenance`, which records for every field
+ * with a value the provider it came from, when it was fetched, the date
+ * the provider reported it as of (see mergeFundamentals) and, for amounts
+ * of money, the currency it is in.  Lookups convert the amounts into one
+ * currency, kept as `currency` (see convertFundamentals).
+ */
+export const FUNDAMENTAL_FIELDS = [
+  'price',
+  'eps',
+  'bookValue',
+  'enterpriseValue',
+  'ebitda',
+  'evToEbitda',
+  'dividendPerShare',
+  'dividendYield',
+  'freeCashFlow',
+  'netDebt',
+  'sharesOutstanding',
+  'returnOnEquity',
+  'beta',
+  'sector',
+  'industry'
+];
+
+// Fields of FUNDAMENTAL_FIELDS that hold text rather than numbers.
+export const TEXT_FIELDS = ['sector', 'industry'];
+
+// Fields that are derived from others when no provider reports them, and
+// the fields they are derived from.
+export const DERIVED_FIELDS = {
+  evToEbitda: ['enterpriseValue', 'ebitda'],
+  dividendYield: ['dividendPerShare', 'price']
+};
+
+// Return the value if it is a finite number, otherwise null.
+export const finiteOrNull = value => (typeof value === 'number' && isFinite(value) ? value : null);
+
+// Map each of the given fields to the same as-of date, for provider results.
+export const datedFields = (date, fields) => Object.fromEntries(fields.map(field => [field, date]));
+
+/**
+ * Clean up a sector or industry name reported by a provider.  Names
+ * reported in capitals, as Alpha Vantage does, are title-cased so that
+ * they read like other providers' names.  Empty values and 'None' become
+ * null.
+ *
+ * @param {*} value Raw name
+ * @returns {string|null}
+ */
+function labelOrNull(value) {
+  if (typeof value !== 'string') return null;
+  const label = value.trim();
+  if (!label || /^(none|n\/a|-)$/i.test(label)) return null;
+  return label === label.toUpperCase() ? label.toLowerCase().replace(/\b[a-z]/g, ch => ch.toUpperCase()) : label;
+}
+
+/**
+ * Reduce a provider result to the normalized fundamentals schema and
+ * record the provenance of every field with a value.  `raw.asOf` may map
+ * fields to the date (YYYY-MM-DD) the provider reported them as of, and
+ * `raw.currency` monetary fields to the currency code they are in.
+ *
+ * @param {object} raw Provider result
+ * @param {string} provider Id of the provider
+ * @param {number} fetchedAt Time of the lookup in milliseconds
+ * @returns {object}
+ */
+export function normalizeFundamentals(raw, provider, fetchedAt = Date.now()) {
+  const data = { provider, provenance: {} };
+  const asOf = raw.asOf || {};
+  const currency = raw.currency || {};
+  FUNDAMENTAL_FIELDS.forEach(field => {
+    data[field] = TEXT_FIELDS.includes(field) ? labelOrNull(raw[field]) : finiteOrNull(raw[field]);
+    if (data[field] != null) {
+      data.provenance[field] = { provider, fetchedAt, asOf: asOf[field] || null, currency: currency[field] || null };
+    }
+  });
+  return data;
+}
+
+/**
+ * Fill the fields missing from `base` with those of `addition`, keeping
+ * their provenance.  Fields `base` already has are never overwritten, so
+ * providers earlier in the priority order win.
+ *
+ * @param {object|null} base Normalized fundamentals merged so far
+ * @param {object} addition Normalized fundamentals of the next provider
+ * @returns {object}
+ */
+export function mergeFundamentals(base, addition) {
+  if (!base) return addition;
+  FUNDAMENTAL_FIELDS.forEach(field => {
+    if (base[field] == null && addition[field] != null) {
+      base[field] = addition[field];
+      base.provenance[field] = addition.provenance[field];
+    }
+  });
+  return base;
+}
+
+// Time a field's value refers to: its as-of date, else when it was fetched.
+export const provenanceDate = source => (source.asOf ? Date.parse(source.asOf) : source.fetchedAt);
+
+/**
+ * Derive the fields of DERIVED_FIELDS that no provider reported.  A
+ * derived field takes the provenance of its oldest input and is marked
+ * `derived`.
+ *
+ * @param {object} data Merged fundamentals, updated in place
+ * @returns {object}
+ */
+export function deriveFundamentals(data) {
+  const derive = (field, value) => {
+    const inputs = DERIVED_FIELDS[field].map(input => data.provenance[input]).filter(Boolean);
+    const oldest = inputs.reduce((a, b) => (provenanceDate(b) < provenanceDate(a) ? b : a));
+    data[field] = value;
+    // Derived fields are ratios, in no currency
+    data.provenance[field] = { ...oldest, currency: null, derived: true };
+  };
+  if (data.evToEbitda == null && data.enterpriseValue != null && data.ebitda) {
+    derive('evToEbitda', data.enterpriseValue / data.ebitda);
+  }
+  if (data.dividendYield == null && data.dividendPerShare != null && data.price) {
+    derive('dividendYield', data.dividendPerShare / data.price);
+  }
+  return data;
+}
+
+/**
+ * Fields a lookup tries to fill from further providers once the first one
+ * answered.  Derived fields are left out, and beta is only wanted while
+ * the CAPM option needs it, since only Alpha Vantage (five requests per
+ * minute) reports it.
+ *
+ * @param {object} a Valuation assumptions
+ * @returns {string[]}
+ */
+export function wantedFields(a) {
+  return FUNDAMENTAL_FIELDS.filter(field => !DERIVED_FIELDS[field] && (field !== 'beta' || a.useCapm));
+}
@@ -0,0 +1,21 @@
+/*
+ * Entry point of the screener package: the DOM-free valuation, screening,
+ * data provider and scan code shared by the page (script.js), the serverless
+ * functions (api/) and the command line (bin/screener.js).  Everything here
+ * runs in browsers and in Node 18+; the server-only provider access in
+ * upstream.js, which reads API keys from the environment, is imported
+ * separately.
+ */
+
+export * from './alerts.js';
+export * from './currency.js';
+export * from './events.js';
+export * from './export.js';
+export * from './fundamentals.js';
+export * from './portfolio.js';
+export * from './providers.js';
+export * from './rate-limits.js';
+export * from './scan.js';
+export * from './screen.js';
+export * from './share.js';
+export * from './valuation.js';
@@ -0,0 +1,354 @@
+/*
+ * Portfolios.
+ *
+ * A portfolio is a list of holdings: a ticker, the number of shares held
+ * and their cost basis, the total amount paid for them, in the currency
+ * recorded with the holding.  Holdings are imported from a CSV file (see
+ * parseHoldingsCsv) or entered one at a time (see createHolding) and valued
+ * with the same fundamentals, valuation models and assumptions as the
+ * screener (see valuePortfolio).
+ */
+
+import { finiteOrNull } from './fundamentals.js';
+import { SCREEN_FIELDS } from './screen.js';
+import { modelValue } from './valuation.js';
+
+// Header names accepted for each column of a holdings CSV, lower case with
+// spaces and underscores removed.  Other columns, such as those of a
+// broker's export, are ignored.
+const CSV_HEADERS = {
+  ticker: ['ticker', 'symbol'],
+  shares: ['shares', 'quantity', 'qty', 'units'],
+  costBasis: ['costbasis', 'cost', 'totalcost', 'bookcost']
+};
+
+// Decimal separator of the amounts in a CSV file by its field separator:
+// spreadsheets writing decimal commas separate fields with semicolons.
+const CSV_DECIMALS = { ',': '.', ';': ',', '\t': null };
+
+/**
+ * Read an amount as written in a CSV file or a form, e.g. "1,234.50",
+ * "$1.234,50", "1 234,5" or "(12.00)" for a negative one.  When both a
+ * comma and a point occur the last one is the decimal separator, and a
+ * separator occurring once is one unless exactly three digits follow it.
+ * Otherwise, as in "1,234", `decimal` decides; without it the amount is
+ * rejected as ambiguous.
+ *
+ * @param {string} text
+ * @param {string|null} decimal Decimal separator, '.' or ',', or null when
+ *   not known
+ * @returns {number|null} The amount, or null when the text is empty
+ */
+function parseAmount(text, decimal) {
+  const trimmed = String(text == null ? '' : text).trim();
+  if (!trimmed) return null;
+  const negative = /^\(.*\)$/.test(trimmed);
+  // Without brackets, currency signs and spaces or apostrophes grouping digits
+  const written = trimmed.replace(/[()\s'’$€£¥]/g, '');
+  const marks = written.replace(/[^,.]/g, '');
+  const last = marks.slice(-1);
+  let point = '';
+  if (marks.includes(',') && marks.includes('.')) {
+    point = last;
+  } else if (marks.length === 1) {
+    if (written.length - written.indexOf(last) - 1 !== 3) {
+      point = last;
+    } else if (decimal) {
+      point = decimal === last ? last : '';
+    } else {
+      throw new Error(`Cannot tell whether "${last}" separates thousands or decimals in "${trimmed}"`);
+    }
+  }
+  const group = point ? (point === ',' ? '.' : ',') : last;
+  const whole = group ? `(\\d{1,3}(\\${group}\\d{3})*|\\d*)` : '\\d*';
+  const pattern = new RegExp(`^[-+]?${whole}${point ? `\\${point}\\d+` : ''}$`);
+  if (!/\d/.test(written) || !pattern.test(written)) throw new Error(`"${trimmed}" is not a number`);
+  const number = Number((group ? written.split(group).join('') : written).replace(',', '.'));
+  return negative ? -number : number;
+}
+
+/**
+ * Create a holding.  Throws an Error describing the first invalid value.
+ *
+ * @param {string} ticker Stock ticker
+ * @param {number|string} shares Number of shares held
+ * @param {number|string|null} costBasis Total amount paid for the shares,
+ *   or empty when not known
+ * @param {string} currency Currency code of the cost basis
+ * @param {string|null} [decimal] Decimal separator of shares and cost
+ *   basis given as text, '.' (the default, as in number inputs) or ',', or
+ *   null when not known (see parseAmount)
+ * @returns {{ticker: string, shares: number, costBasis: number|null, currency: string}}
+ */
+export function createHolding(ticker, shares, costBasis, currency, decimal = '.') {
+  const symbol = String(ticker || '').trim().toUpperCase();
+  if (!/^[A-Z0-9.\-^=]{1,20}$/.test(symbol)) {
+    throw new Error('Enter the ticker of the holding, e.g. KO');
+  }
+  const count = typeof shares === 'number' ? shares : parseAmount(shares, decimal);
+  if (count == null || !isFinite(count) || count <= 0) {
+    throw new Error(`Enter the number of ${symbol} shares held`);
+  }
+  const cost = typeof costBasis === 'number' ? costBasis : parseAmount(costBasis, decimal);
+  if (cost != null && (!isFinite(cost) || cost < 0)) {
+    throw new Error(`The cost basis of ${symbol} cannot be negative`);
+  }
+  return { ticker: symbol, shares: count, costBasis: cost, currency };
+}
+
+/**
+ * Combine holdings of the same ticker, such as lots bought at different
+ * times, into one: shares and cost bases are added up.  The cost basis of
+ * the combined holding is unknown when that of any lot is.
+ *
+ * @param {object[]} holdings Holdings of one currency
+ * @returns {object[]} Holdings in the order their tickers first appear
+ */
+export function mergeHoldings(holdings) {
+  const byTicker = new Map();
+  holdings.forEach(holding => {
+    const held = byTicker.get(holding.ticker);
+    if (!held) {
+      byTicker.set(holding.ticker, { ...holding });
+      return;
+    }
+    held.shares += holding.shares;
+    held.costBasis = held.costBasis == null || holding.costBasis == null ? null : held.costBasis + holding.costBasis;
+  });
+  return [...byTicker.values()];
+}
+
+/**
+ * Find the field separator of a CSV file: the first comma, semicolon or
+ * tab outside double quotes in its first line.
+ *
+ * @param {string} line First line of the file
+ * @returns {string}
+ */
+function csvDelimiter(line) {
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in CSV_DECIMALS) return ch;
+  }
+  return ',';
+}
+
+/**
+ * Split a line of a CSV file into its fields, honouring double quotes.
+ *
+ * @param {string} line
+ * @param {string} delimiter Field separator (see csvDelimiter)
+ * @returns {string[]}
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(text => text.trim());
+}
+
+/**
+ * Parse holdings from a CSV file of ticker, shares and cost basis.  With a
+ * header row the columns are found by name (see CSV_HEADERS) and may come
+ * in any order among others; without one they are taken in that order.
+ * Fields are separated by commas, semicolons or tabs, whichever the first
+ * line uses (see csvDelimiter).  Amounts have a decimal point in files
+ * separated by commas and a decimal comma in files separated by
+ * semicolons; in files separated by tabs an amount whose separator could
+ * be either is rejected (see parseAmount).  Several rows of a
+ * ticker are combined (see mergeHoldings).  Throws an Error naming the
+ * line of the first invalid row.
+ *
+ * @param {string} text Contents of the CSV file
+ * @param {string} currency Currency code of the cost bases
+ * @returns {object[]} Holdings (see createHolding)
+ */
+export function parseHoldingsCsv(text, currency) {
+  const texts = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+  const delimiter = csvDelimiter(texts.find(line => line.trim()) || '');
+  const lines = texts
+    .map((line, i) => ({ number: i + 1, fields: splitCsvLine(line, delimiter) }))
+    .filter(line => line.fields.some(Boolean));
+  if (lines.length === 0) throw new Error('The file holds no holdings');
+
+  const header = lines[0].fields.map(name => name.toLowerCase().replace(/[\s_]+/g, ''));
+  const columns = Object.fromEntries(
+    Object.entries(CSV_HEADERS).map(([key, names]) => [key, header.findIndex(name => names.includes(name))])
+  );
+  const hasHeader = columns.ticker >= 0 || columns.shares >= 0;
+  if (hasHeader && (columns.ticker < 0 || columns.shares < 0)) {
+    throw new Error('The header row needs a ticker and a shares column');
+  }
+  const rows = hasHeader ? lines.slice(1) : lines;
+  const index = hasHeader ? columns : { ticker: 0, shares: 1, costBasis: 2 };
+
+  const holdings = rows.map(({ number, fields }) => {
+    try {
+      return createHolding(fields[index.ticker], fields[index.shares], index.costBasis >= 0 ? fields[index.costBasis] : null, currency, CSV_DECIMALS[delimiter]);
+    } catch (err) {
+      throw new Error(`Line ${number}: ${err.message}`);
+    }
+  });
+  if (holdings.length === 0) throw new Error('The file holds no holdings');
+  return mergeHoldings(holdings);
+}
+
+/**
+ * Convert the cost bases of holdings into `currency`.  Cost bases without
+ * an exchange rate become unknown.
+ *
+ * @param {object[]} holdings Holdings, not modified
+ * @param {string} currency Target currency code
+ * @param {{rate: function(string, string): Promise<number|null>}} fx FX source (see createFxSource)
+ * @returns {Promise<object[]>} Converted copies
+ */
+export async function convertHoldings(holdings, currency, fx) {
+  const rates = {};
+  for (const code of new Set(holdings.filter(holding => holding.costBasis != null).map(holding => holding.currency || currency))) {
+    try {
+      rates[code] = await fx.rate(code, currency);
+    } catch (err) {
+      console.warn(`Unable to convert ${code} to ${currency}:`, err);
+      rates[code] = null;
+    }
+  }
+  return holdings.map(holding => {
+    const rate = rates[holding.currency || currency];
+    const costBasis = holding.costBasis == null || rate == null ? null : holding.costBasis * rate;
+    return { ...holding, costBasis, currency };
+  });
+}
+
+// Sum of a value over items, leaving out those where it is null.
+const sumOf = (items, value) => items.reduce((sum, item) => (value(item) == null ? sum : sum + value(item)), 0);
+
+// Discount of a value to its intrinsic value as a fraction of the intrinsic
+// value; negative for a premium.  Null unless the intrinsic value is positive.
+const discountTo = (value, intrinsic) => (value != null && intrinsic != null && intrinsic > 0 ? (intrinsic - value) / intrinsic : null);
+
+/**
+ * Value every position of a portfolio and the portfolio as a whole with
+ * the fundamentals of its tickers, in the currency of those fundamentals
+ * (convert the cost bases first, see convertHoldings).
+ *
+ * A position carries its market value and weight, unrealized gain against
+ * the cost basis, P/E, P/B and dividend yield, projected annual dividend
+ * income (shares × dividend per share), the intrinsic value of the
+ * context's model per share and in total, the discount to it and
+ * `aboveIntrinsic`, whether the price is above the intrinsic value.
+ *
+ * The totals add up the positions that have the values involved: the
+ * weighted P/E and P/B are the market value of those positions divided by
+ * the earnings and book value attributable to the shares held (the
+ * harmonic mean weighted by market value, which keeps a single tiny
+ * earner from dominating the average); the dividend yield is the income
+ * divided by the market value of the positions with a known dividend; the
+ * discount compares the market value and intrinsic value of the positions
+ * the model values.  `unpriced` lists the tickers without a price, which
+ * count in none of the totals.
+ *
+ * @param {object[]} holdings Holdings (see createHolding)
+ * @param {Object<string, object|null>} fundamentals lookupTicker results by ticker
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {{positions: object[], totals: object}}
+ */
+export function valuePortfolio(holdings, fundamentals, context) {
+  // Earnings and book value per share of the priced positions
+  const perShare = new Map();
+  const positions = holdings.map(holding => {
+    const data = fundamentals[holding.ticker] || null;
+    const field = name => (data ? SCREEN_FIELDS[name].value(data, context) : null);
+    const price = field('price');
+    const marketValue = price != null ? holding.shares * price : null;
+    const dividend = field('dividend');
+    const divYield = field('divYield');
+    let income = dividend != null ? holding.shares * dividend : null;
+    if (income == null && divYield != null && marketValue != null) income = divYield * marketValue;
+    const intrinsic = data ? modelValue(context.model, data, context.assumptions) : null;
+    const gain = marketValue != null && holding.costBasis != null ? marketValue - holding.costBasis : null;
+    const position = {
+      ticker: holding.ticker,
+      shares: holding.shares,
+      costBasis: holding.costBasis,
+      price,
+      marketValue,
+      weight: null,
+      gain,
+      gainPercent: gain != null && holding.costBasis > 0 ? gain / holding.costBasis : null,
+      pe: field('pe'),
+      pb: field('pb'),
+      dividendYield: divYield,
+      income,
+      intrinsic,
+      intrinsicValue: intrinsic != null ? holding.shares * intrinsic : null,
+      discount: discountTo(price, intrinsic),
+      aboveIntrinsic: price != null && intrinsic != null ? price > intrinsic : null
+    };
+    if (price != null) perShare.set(position, { eps: finiteOrNull(data.eps), bookValue: finiteOrNull(data.bookValue) });
+    return position;
+  });
+
+  const priced = positions.filter(position => position.marketValue != null);
+  const marketValue = sumOf(priced, position => position.marketValue);
+  priced.forEach(position => {
+    position.weight = marketValue > 0 ? position.marketValue / marketValue : null;
+  });
+
+  // Market value over the total of a per-share value held, e.g. earnings;
+  // losses count against the earnings of the other positions
+  const weightedRatio = field => {
+    const covered = priced.filter(position => perShare.get(position)[field] != null);
+    const denominator = sumOf(covered, position => position.shares * perShare.get(position)[field]);
+    return covered.length > 0 && denominator > 0 ? sumOf(covered, position => position.marketValue) / denominator : null;
+  };
+  const costed = priced.filter(position => position.costBasis != null);
+  const costBasis = sumOf(costed, position => position.costBasis);
+  const gain = costed.length > 0 ? sumOf(costed, position => position.gain) : null;
+  const paying = priced.filter(position => position.income != null);
+  const income = paying.length > 0 ? sumOf(paying, position => position.income) : null;
+  const payingValue = sumOf(paying, position => position.marketValue);
+  const valued = priced.filter(position => position.intrinsicValue != null);
+  const intrinsicValue = valued.length > 0 ? sumOf(valued, position => position.intrinsicValue) : null;
+
+  return {
+    positions,
+    totals: {
+      marketValue: priced.length > 0 ? marketValue : null,
+      costBasis: costed.length > 0 ? costBasis : null,
+      gain,
+      gainPercent: gain != null && costBasis > 0 ? gain / costBasis : null,
+      pe: weightedRatio('eps'),
+      pb: weightedRatio('bookValue'),
+      dividendYield: income != null && payingValue > 0 ? income / payingValue : null,
+      income,
+      intrinsicValue,
+      discount: valued.length > 0 ? discountTo(sumOf(valued, position => position.marketValue), intrinsicValue) : null,
+      aboveIntrinsic: positions.filter(position => position.aboveIntrinsic).map(position => position.ticker),
+      unpriced: positions.filter(position => position.marketValue == null).map(position => position.ticker)
+    }
+  };
+}
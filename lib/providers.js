@@ -0,0 +1,581 @@
+/*
+ * Data providers and ticker lookups.
+ *
+ * The provider code does not know how requests reach the providers: the
+ * page sends them through the proxy (api/proxy.js) and the scan endpoint
+ * (api/scan.js) straight to the provider hosts.  createDataSource binds the
+ * providers to such a transport.
+ */
+
+import { convertFundamentals, createFxSource, DEFAULT_CURRENCY, fieldsIn, listingOf, matchesListing, US_EXCHANGES } from './currency.js';
+import { DAY, MINUTE, throttleError } from './rate-limits.js';
+import { datedFields, deriveFundamentals, mergeFundamentals, normalizeFundamentals, wantedFields } from './fundamentals.js';
+
+// Annual report forms; figures are taken from the latest of these so that
+// flows such as net income and balances such as equity line up.
+const ANNUAL_FORMS = ['10-K', '10-K/A', '20-F', '40-F'];
+
+/**
+ * Append an API key to a provider URL when one is given. Without a key the
+ * URL is returned unchanged and the server injects its own.
+ *
+ * @param {string} url Provider URL
+ * @param {string} key API key, possibly empty
+ * @returns {string}
+ */
+export function withApiKey(url, key) {
+  if (!key) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}apikey=${encodeURIComponent(key)}`;
+}
+
+// Ticker symbols as the providers write them: letters and digits with the
+// dots and dashes of share classes and exchange suffixes, the caret of
+// indices and the equals sign of currency pairs.
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^=]{1,20}$/;
+
+/**
+ * Bring a ticker symbol into the form the providers look it up in: upper
+ * case, with the slash NASDAQ's screener writes share classes with (BRK/A)
+ * replaced by the dash the other providers use (BRK-A).
+ *
+ * @param {string} symbol
+ * @returns {string|null} The symbol, or null when it cannot be a ticker
+ */
+export function normalizeSymbol(symbol) {
+  const normalized = String(symbol || '').trim().toUpperCase().replace(/\//g, '-');
+  return SYMBOL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Pick the latest value of the first XBRL concept that has one.  Only
+ * facts from annual reports are used; for flows (facts with a start date)
+ * only full-year periods count, which skips the quarterly figures some
+ * annual reports include.  `taxonomy` defaults to us-gaap.  The fact's
+ * period end is returned as its as-of date.
+ *
+ * @param {object} facts `facts` of an EDGAR companyfacts document
+ * @param {string[]} concepts Concept names in order of preference
+ * @param {string} unit Unit such as 'USD' or 'USD/shares'
+ * @param {{taxonomy?: string, annualOnly?: boolean}} options
+ * @returns {{value: number, asOf: string}|null}
+ */
+function latestFact(facts, concepts, unit, { taxonomy = 'us-gaap', annualOnly = true } = {}) {
+  for (const concept of concepts) {
+    const entries = ((((facts[taxonomy] || {})[concept] || {}).units || {})[unit] || []).filter(entry => {
+      if (annualOnly && !ANNUAL_FORMS.includes(entry.form)) return false;
+      if (!entry.start) return true;
+      const days = (Date.parse(entry.end) - Date.parse(entry.start)) / DAY;
+      return days > 340 && days < 380;
+    });
+    if (entries.length === 0) continue;
+    const latest = entries.reduce((best, entry) => {
+      if (entry.end !== best.end) return entry.end > best.end ? entry : best;
+      return entry.filed > best.filed ? entry : best;
+    });
+    const value = parseFloat(latest.val);
+    if (isFinite(value)) return { value, asOf: latest.end };
+  }
+  return null;
+}
+
+/**
+ * Bind the data providers to a transport.
+ *
+ * `fetchJson(url, {signal})` resolves to the parsed response of a provider
+ * URL after waiting for the provider's rate limiter, and rejects with an
+ * Error whose `status` is 503 when no API key is configured for the
+ * provider, with a throttle error (see throttleError) when the provider is
+ * rate limited, or with the signal's reason once the abort signal of the
+ * lookup fires.  `fetchEdgar(url, {signal})` does the same for SEC EDGAR
+ * documents and defaults to `fetchJson`.  `apiKey(provider)` returns a key to append to the
+ * provider's URLs, if any, and `available(provider)` whether the provider
+ * can be asked at all.  `onMissingKey(provider)` is called when a request
+ * failed for want of a key.  `limiters` are the rate limiters by provider.
+ * `currency()` returns the currency lookups convert amounts into, with the
+ * rates of `fx` (see createFxSource), which by default fetches them
+ * through `fetchJson`.
+ *
+ * @param {object} options
+ * @returns {{providers: Array<object>, lookupTicker: function(string, object, AbortSignal=): Promise<object|null>, fetchTickerUniverse: function(number, object): Promise<string[]>}}
+ */
+export function createDataSource({
+  fetchJson,
+  fetchEdgar = fetchJson,
+  apiKey = () => '',
+  available = () => true,
+  onMissingKey = () => {},
+  limiters = {},
+  currency = () => DEFAULT_CURRENCY,
+  fx = createFxSource({ fetchJson })
+}) {
+  /**
+   * Attempt to retrieve fundamental data from the Financial Modeling Prep API.
+   * This function is optional and is skipped once the server reports that no
+   * FMP key is configured (unless the user supplied one). It returns an
+   * object containing price, eps, bookValue, enterprise value, EBITDA,
+   * dividend information, the free cash flow, net debt and share count used
+   * by the DCF model, the return on equity used by the residual income
+   * model and the sector and industry from the company profile, to be
+   * normalized by normalizeFundamentals. The quote is in the trading
+   * currency of the profile; for ADRs and listings outside the US the
+   * currency of the financial statements, which key metrics are in, is read
+   * from the latest income statement. When unavailable or errors occur it
+   * returns null.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {AbortSignal} [signal] Aborts the lookup
+   * @returns {Promise<object|null>}
+   */
+  async function fetchFromFMP(symbol, signal) {
+    if (!available('fmp')) return null;
+    try {
+      // Quote endpoint: includes price, EPS and P/E ratio (if available)
+      const quoteUrl = withApiKey(`https://financialmodelingprep.com/api/v3/quote/${symbol}`, apiKey('fmp'));
+      const quoteData = await fetchJson(quoteUrl, { signal });
+      if (!Array.isArray(quoteData) || quoteData.length === 0) return null;
+      const quote = quoteData[0];
+      const price = parseFloat(quote.price);
+      // Key metrics endpoint: includes book value per share, enterprise value, EBITDA, etc.
+      const metricsUrl = withApiKey(`https://financialmodelingprep.com/api/v3/key-metrics/${symbol}?period=annual&limit=1`, apiKey('fmp'));
+      const metricsData = await fetchJson(metricsUrl, { signal });
+      const metrics = Array.isArray(metricsData) && metricsData.length > 0 ? metricsData[0] : {};
+      const eps = parseFloat(metrics.EarningsPerShareTTM || quote.eps || quote.epsTTM);
+      const bookValue = parseFloat(metrics.bookValuePerShare || metrics.bookValue);
+      const enterpriseValue = parseFloat(metrics.enterpriseValue || quote.enterpriseValue);
+      const ebitda = parseFloat(metrics.EBITDA || quote.ebitda);
+      const dividendPerShare = parseFloat(metrics.dividendPerShare || quote.lastDiv);
+      const dividendYield = parseFloat(metrics.dividendYield || quote.dividendYield);
+      // DCF inputs: free cash flow is reported per share, net debt is the gap
+      // between enterprise value and market capitalisation
+      const sharesOutstanding = parseFloat(quote.sharesOutstanding);
+      const freeCashFlow = parseFloat(metrics.freeCashFlowPerShare) * sharesOutstanding;
+      const netDebt = parseFloat(metrics.enterpriseValue) - parseFloat(metrics.marketCap);
+      const returnOnEquity = parseFloat(metrics.roe);
+      // Company profile: sector and industry for sector-relative scores
+      const profileUrl = withApiKey(`https://financialmodelingprep.com/api/v3/profile/${symbol}`, apiKey('fmp'));
+      const profileData = await fetchJson(profileUrl, { signal });
+      const profile = Array.isArray(profileData) && profileData.length > 0 ? profileData[0] : {};
+      const tradingCurrency = profile.currency || listingOf(symbol, profile.exchangeShortName).currency;
+      let reportedCurrency = tradingCurrency;
+      if (profile.isAdr || (profile.country && profile.country !== 'US')) {
+        const statementUrl = withApiKey(`https://financialmodelingprep.com/api/v3/income-statement/${symbol}?period=annual&limit=1`, apiKey('fmp'));
+        const statements = await fetchJson(statementUrl, { signal });
+        const statement = Array.isArray(statements) && statements.length > 0 ? statements[0] : {};
+        reportedCurrency = statement.reportedCurrency || tradingCurrency;
+      }
+      // Quote fields are as of the quote's timestamp, the rest as of the
+      // reporting period of the key metrics
+      const quoteDate = quote.timestamp ? new Date(quote.timestamp * 1000).toISOString().slice(0, 10) : null;
+      const asOf = {
+        ...datedFields(metrics.date || null, ['eps', 'bookValue', 'enterpriseValue', 'ebitda', 'dividendPerShare', 'dividendYield', 'freeCashFlow', 'netDebt', 'returnOnEquity']),
+        ...datedFields(quoteDate, ['price', 'sharesOutstanding'])
+      };
+      // EPS and the dividend fall back to quote fields, in the trading currency
+      const currency = {
+        ...fieldsIn(reportedCurrency, ['bookValue', 'enterpriseValue', 'ebitda', 'freeCashFlow', 'netDebt']),
+        price: tradingCurrency,
+        eps: metrics.EarningsPerShareTTM ? reportedCurrency : tradingCurrency,
+        dividendPerShare: metrics.dividendPerShare ? reportedCurrency : tradingCurrency
+      };
+      return {
+        price,
+        eps,
+        bookValue,
+        enterpriseValue,
+        ebitda,
+        dividendPerShare,
+        dividendYield,
+        freeCashFlow,
+        netDebt,
+        sharesOutstanding,
+        returnOnEquity,
+        sector: profile.sector,
+        industry: profile.industry,
+        asOf,
+        currency
+      };
+    } catch (err) {
+      if (err.throttled || (signal && signal.aborted)) throw err;
+      if (err.status === 503) onMissingKey('fmp');
+      console.warn('FMP error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve fundamental data from Alpha Vantage's OVERVIEW, GLOBAL_QUOTE and
+   * CASH_FLOW endpoints. The cash flow statement only feeds the DCF model, so
+   * a failure there leaves free cash flow unset instead of failing the
+   * lookup. Uses the user-supplied API key if any, otherwise the key held
+   * by the server. Overview figures are in the overview's currency and the
+   * quote in the trading currency of the listing. Returns null on failure
+   * or if required fields are missing, and rethrows throttle errors so the
+   * caller can retry later.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {AbortSignal} [signal] Aborts the lookup
+   * @returns {Promise<object|null>}
+   */
+  async function fetchFromAlpha(symbol, signal) {
+    if (!available('alpha')) return null;
+    try {
+      // Company overview (fundamentals)
+      const overviewUrl = withApiKey(`https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}`, apiKey('alpha'));
+      const overview = await fetchJson(overviewUrl, { signal });
+      // A `Note` means the call frequency limit was hit; the proxy normally
+      // turns these into 429 responses already
+      if (overview && overview.Note) {
+        if (limiters.alpha) limiters.alpha.penalize(MINUTE);
+        throw throttleError('alpha', MINUTE);
+      }
+      // If the API returns an empty object or contains error keys, abort
+      if (!overview || Object.keys(overview).length === 0 || overview['Error Message']) {
+        return null;
+      }
+      // Global quote (latest price)
+      const quoteUrl = withApiKey(`https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}`, apiKey('alpha'));
+      const quoteData = await fetchJson(quoteUrl, { signal });
+      const quote = quoteData['Global Quote'];
+      if (!quote || !quote['05. price']) return null;
+      const price = parseFloat(quote['05. price']);
+      const eps = parseFloat(overview.EPS);
+      const bookValue = parseFloat(overview.BookValue);
+      const enterpriseValue = parseFloat(overview.EnterpriseValue);
+      const ebitda = parseFloat(overview.EBITDA);
+      const evToEbitda = parseFloat(overview.EVToEBITDA);
+      const dividendPerShare = parseFloat(overview.DividendPerShare);
+      const dividendYield = parseFloat(overview.DividendYield);
+      const sharesOutstanding = parseFloat(overview.SharesOutstanding);
+      const netDebt = enterpriseValue - parseFloat(overview.MarketCapitalization);
+      const returnOnEquity = parseFloat(overview.ReturnOnEquityTTM);
+      const beta = parseFloat(overview.Beta);
+      const sector = overview.Sector;
+      const industry = overview.Industry;
+      const cashFlow = await fetchAlphaFreeCashFlow(symbol, signal);
+      // Overview figures are as of the latest reported quarter
+      const asOf = {
+        ...datedFields(overview.LatestQuarter || null, ['eps', 'bookValue', 'enterpriseValue', 'ebitda', 'evToEbitda', 'dividendPerShare', 'dividendYield', 'netDebt', 'sharesOutstanding', 'returnOnEquity', 'beta']),
+        price: quote['07. latest trading day'] || null,
+        freeCashFlow: cashFlow.asOf
+      };
+      const reportedCurrency = overview.Currency || listingOf(symbol).currency;
+      const currency = {
+        ...fieldsIn(reportedCurrency, ['eps', 'bookValue', 'enterpriseValue', 'ebitda', 'dividendPerShare', 'freeCashFlow', 'netDebt']),
+        price: symbol.includes('.') ? listingOf(symbol).currency : reportedCurrency
+      };
+      return {
+        price,
+        eps,
+        bookValue,
+        enterpriseValue,
+        ebitda,
+        evToEbitda,
+        dividendPerShare,
+        dividendYield,
+        freeCashFlow: cashFlow.value,
+        netDebt,
+        sharesOutstanding,
+        returnOnEquity,
+        beta,
+        sector,
+        industry,
+        asOf,
+        currency
+      };
+    } catch (err) {
+      if (err.throttled || (signal && signal.aborted)) throw err;
+      if (err.status === 503) onMissingKey('alpha');
+      console.warn('AlphaVantage error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve the latest annual free cash flow (operating cash flow minus
+   * capital expenditures) from Alpha Vantage's CASH_FLOW endpoint together
+   * with the fiscal year end it belongs to. The value is NaN when the
+   * statement is unavailable; throttle errors are rethrown.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {AbortSignal} [signal] Aborts the lookup
+   * @returns {Promise<{value: number, asOf: string|null}>}
+   */
+  async function fetchAlphaFreeCashFlow(symbol, signal) {
+    try {
+      const url = withApiKey(`https://www.alphavantage.co/query?function=CASH_FLOW&symbol=${symbol}`, apiKey('alpha'));
+      const data = await fetchJson(url, { signal });
+      const report = data && Array.isArray(data.annualReports) ? data.annualReports[0] : null;
+      if (!report) return { value: NaN, asOf: null };
+      // Capital expenditures are reported as a positive outflow
+      const value = parseFloat(report.operatingCashflow) - Math.abs(parseFloat(report.capitalExpenditures));
+      return { value, asOf: report.fiscalDateEnding || null };
+    } catch (err) {
+      if (err.throttled || (signal && signal.aborted)) throw err;
+      console.warn('AlphaVantage cash flow error:', err);
+      return { value: NaN, asOf: null };
+    }
+  }
+
+  let edgarTickerMap = null;
+
+  /**
+   * Load the SEC's ticker to CIK mapping once per data source.  Every
+   * lookup waits for the same request, so none of them can abort it.
+   *
+   * @returns {Promise<Map<string, number>>}
+   */
+  function fetchEdgarTickerMap() {
+    if (!edgarTickerMap) {
+      edgarTickerMap = fetchEdgar('https://www.sec.gov/files/company_tickers.json')
+        .then(data => new Map(Object.values(data || {}).map(entry => [String(entry.ticker).toUpperCase(), entry.cik_str])))
+        .catch(err => {
+          // Try again on the next lookup
+          edgarTickerMap = null;
+          throw err;
+        });
+    }
+    return edgarTickerMap;
+  }
+
+  /**
+   * Derive fundamentals from a company's SEC EDGAR companyfacts XBRL
+   * document: EPS, book value per common share, shares outstanding, the
+   * dividend per share, free cash flow (operating cash flow less capital
+   * expenditures), net debt and return on equity.  EDGAR has no market data,
+   * so the result has no price.  Only facts reported in US dollars are read.
+   * Returns null for tickers without a CIK or without facts.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {AbortSignal} [signal] Aborts the lookup
+   * @returns {Promise<object|null>}
+   */
+  async function fetchFromEdgar(symbol, signal) {
+    try {
+      const tickers = await fetchEdgarTickerMap();
+      // EDGAR writes share classes with a dash (BRK-B)
+      const cik = tickers.get(symbol.replace(/\./g, '-'));
+      if (!cik) return null;
+      const companyFacts = await fetchEdgar(`https://data.sec.gov/api/xbrl/companyfacts/CIK${String(cik).padStart(10, '0')}.json`, { signal });
+      const facts = companyFacts && companyFacts.facts;
+      if (!facts) return null;
+      const usd = concepts => latestFact(facts, concepts, 'USD');
+      const eps = latestFact(facts, ['EarningsPerShareDiluted', 'EarningsPerShareBasic'], 'USD/shares');
+      const shares = latestFact(facts, ['EntityCommonStockSharesOutstanding'], 'shares', { taxonomy: 'dei', annualOnly: false })
+        || latestFact(facts, ['CommonStockSharesOutstanding'], 'shares');
+      const equity = usd(['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest']);
+      const preferred = usd(['PreferredStockValue']);
+      const netIncome = usd(['NetIncomeLoss', 'ProfitLoss']);
+      const dividend = latestFact(facts, ['CommonStockDividendsPerShareDeclared', 'CommonStockDividendsPerShareCashPaid'], 'USD/shares');
+      const operatingCashFlow = usd(['NetCashProvidedByUsedInOperatingActivities']);
+      const capitalExpenditures = usd(['PaymentsToAcquirePropertyPlantAndEquipment', 'PaymentsToAcquireProductiveAssets']);
+      const debt = usd(['LongTermDebt', 'LongTermDebtNoncurrent']);
+      const cash = usd(['CashAndCashEquivalentsAtCarryingValue', 'CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents']);
+      const value = fact => (fact ? fact.value : null);
+      const preferredValue = value(preferred) || 0;
+      return {
+        eps: value(eps),
+        bookValue: equity && shares && shares.value ? (equity.value - preferredValue) / shares.value : null,
+        dividendPerShare: value(dividend),
+        freeCashFlow: operatingCashFlow && capitalExpenditures ? operatingCashFlow.value - Math.abs(capitalExpenditures.value) : null,
+        netDebt: debt && cash ? debt.value - cash.value : null,
+        sharesOutstanding: value(shares),
+        returnOnEquity: netIncome && equity && equity.value ? netIncome.value / equity.value : null,
+        // Derived figures are as of their balance sheet or cash flow period
+        asOf: {
+          eps: eps && eps.asOf,
+          bookValue: equity && equity.asOf,
+          dividendPerShare: dividend && dividend.asOf,
+          freeCashFlow: operatingCashFlow && operatingCashFlow.asOf,
+          netDebt: debt && debt.asOf,
+          sharesOutstanding: shares && shares.asOf,
+          returnOnEquity: netIncome && netIncome.asOf
+        },
+        currency: fieldsIn('USD', ['eps', 'bookValue', 'dividendPerShare', 'freeCashFlow', 'netDebt'])
+      };
+    } catch (err) {
+      if (err.throttled || (signal && signal.aborted)) throw err;
+      console.warn('SEC EDGAR error:', err);
+      return null;
+    }
+  }
+
+  /*
+   * Data providers.  Each provider has
+   *
+   *   id            Key of its rate limiter, API key and label
+   *   priority      Providers are asked in ascending order
+   *   capabilities  Normalized fields it can supply; a lookup only asks a
+   *                 provider that can fill a field still missing
+   *   available()   Whether it can be asked right now, e.g. has an API key
+   *   fetch(symbol, signal)
+   *                 Resolves to its raw fields, with their as-of dates in
+   *                 `asOf`, or null when it has no data; rejects with a
+   *                 throttle error when rate limited and with the reason of
+   *                 the abort signal once it fires
+   *
+   * To add a provider, write its fetch function and list it here.
+   */
+  const providers = [
+    {
+      id: 'fmp',
+      priority: 10,
+      capabilities: ['price', 'eps', 'bookValue', 'enterpriseValue', 'ebitda', 'dividendPerShare', 'dividendYield', 'freeCashFlow', 'netDebt', 'sharesOutstanding', 'returnOnEquity', 'sector', 'industry'],
+      available: () => available('fmp'),
+      fetch: fetchFromFMP
+    },
+    {
+      id: 'alpha',
+      priority: 20,
+      capabilities: ['price', 'eps', 'bookValue', 'enterpriseValue', 'ebitda', 'evToEbitda', 'dividendPerShare', 'dividendYield', 'freeCashFlow', 'netDebt', 'sharesOutstanding', 'returnOnEquity', 'beta', 'sector', 'industry'],
+      available: () => available('alpha'),
+      fetch: fetchFromAlpha
+    },
+    {
+      id: 'sec',
+      priority: 30,
+      capabilities: ['eps', 'bookValue', 'dividendPerShare', 'freeCashFlow', 'netDebt', 'sharesOutstanding', 'returnOnEquity'],
+      available: () => true,
+      fetch: fetchFromEdgar
+    }
+  ].sort((a, b) => a.priority - b.priority);
+
+  /**
+   * Lookup a ticker by asking the available providers in priority order
+   * and merge their answers field by field (see mergeFundamentals): a
+   * provider is only asked while it can fill one of the wanted fields that
+   * is still missing, so FMP's price can be combined with Alpha Vantage's
+   * book value or SEC EDGAR's cash flow.  Every field keeps its provenance.
+   * Each provider's amounts are converted into the lookup currency before
+   * they are merged (see convertFundamentals), so a field that cannot be
+   * converted is asked of the next provider instead.
+   * When no price could be found and a provider was throttled, its throttle
+   * error is thrown so the lookup can be retried (see retryThrottled).
+   * Symbols are looked up as normalizeSymbol writes them; anything that
+   * cannot be a ticker finds nothing without asking a provider.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {object} a Valuation assumptions, which decide whether beta is wanted
+   * @param {AbortSignal} [signal] Abandons the lookup, e.g. when a scan is stopped
+   * @returns {Promise<object|null>} Normalized fundamentals or null
+   */
+  async function lookupTicker(symbol, a, signal) {
+    const upper = normalizeSymbol(symbol);
+    if (!upper) return null;
+    const wanted = wantedFields(a);
+    const target = currency();
+    let data = null;
+    let throttled = null;
+    for (const provider of providers) {
+      const missing = wanted.filter(field => !data || data[field] == null);
+      if (missing.length === 0) break;
+      if (!provider.available() || !missing.some(field => provider.capabilities.includes(field))) continue;
+      try {
+        const raw = await provider.fetch(upper, signal);
+        if (raw) {
+          const converted = await convertFundamentals(normalizeFundamentals(raw, provider.id), target, fx);
+          data = mergeFundamentals(data, converted);
+        }
+      } catch (err) {
+        if (!err.throttled) throw err;
+        throttled = throttled || err;
+      }
+    }
+    if (throttled && (!data || data.price == null)) throw throttled;
+    return data ? deriveFundamentals(data) : null;
+  }
+
+  /**
+   * Fetch a list of ticker symbols from the NASDAQ screener API. This
+   * endpoint returns approximately 7,000 actively traded U.S. companies
+   * along with price and market cap information.  We only need the
+   * symbol field for scanning.  The screener lists one exchange at a time
+   * when asked to, which is how exchange filters are applied; every
+   * listing it has is in the US.  If the request fails, an empty array is
+   * returned.
+   *
+   * @param {number} limit Maximum number of tickers to return. Limiting the
+   * number of symbols helps avoid exhausting rate limits on subsequent
+   * fundamental data requests.
+   * @param {{exchanges?: string[], countries?: string[]}} filters See fetchTickerUniverse
+   * @returns {Promise<string[]>}
+   */
+  async function fetchNasdaqList(limit = 100, { exchanges = [], countries = [] } = {}) {
+    if (countries.length > 0 && !countries.includes('US')) return [];
+    const listed = exchanges.length > 0 ? US_EXCHANGES.filter(exchange => exchanges.includes(exchange)) : [null];
+    const symbols = [];
+    for (const exchange of listed) {
+      try {
+        // NASDAQ screener endpoint returns a JSON table of all US-listed stocks.
+        // We pass limit=0 here so that the API returns the full dataset on the
+        // server side; we handle slicing on the client.  If the API were to
+        // respect a limit parameter this would avoid downloading unnecessary
+        // data, but at the time of writing the parameter is ignored.
+        const url = `https://api.nasdaq.com/api/screener/stocks?tableonly=true&limit=0${exchange ? `&exchange=${exchange.toLowerCase()}` : ''}`;
+        const data = await fetchJson(url);
+        const rows = data && data.data && data.data.table && Array.isArray(data.data.table.rows)
+          ? data.data.table.rows
+          : [];
+        // Extract the symbol property in the form the providers look it up
+        // in, dropping anything that cannot be a ticker
+        symbols.push(...rows.map(r => normalizeSymbol(r.symbol)).filter(Boolean));
+      } catch (err) {
+        console.warn('Unable to fetch NASDAQ ticker list:', err);
+      }
+    }
+    // When the caller passes limit <= 0 or a non‑finite value, return the
+    // entire list of symbols.  Otherwise slice to the requested count.
+    if (!limit || !isFinite(limit) || limit <= 0) {
+      return symbols;
+    }
+    return symbols.slice(0, limit);
+  }
+
+  /**
+   * Retrieve a list of ticker symbols from the broadest available universe.
+   * If a Financial Modeling Prep (FMP) API key is available (configured on
+   * the server or supplied by the user), this function will request the
+   * `stock/list` endpoint which includes tens of thousands of symbols
+   * across global markets.  When no FMP key is available, it falls back to the NASDAQ screener list.  Because the
+   * global list is very large, you can cap the number of returned symbols
+   * via the `limit` parameter.  If `limit` is zero or negative, the full
+   * list is returned.  `filters` keep only the listings on the given
+   * exchanges (short names such as NYSE, LSE or XETRA) and in the given
+   * countries (ISO codes such as US, GB or DE) of the exchange, see
+   * listingOf; the limit applies after filtering.
+   *
+   * @param {number} limit Maximum number of tickers to return
+   * @param {{exchanges?: string[], countries?: string[]}} filters Upper-case
+   *   exchange short names and country codes; empty lists pass everything
+   * @returns {Promise<string[]>}
+   */
+  async function fetchTickerUniverse(limit = 0, filters = {}) {
+    // If an FMP API key is available and not the demo key, fetch the
+    // comprehensive list of global symbols.  Otherwise use the NASDAQ list.
+    if (available('fmp') && (apiKey('fmp') || '').toLowerCase() !== 'demo') {
+      try {
+        const url = withApiKey('https://financialmodelingprep.com/api/v3/stock/list', apiKey('fmp'));
+        const data = await fetchJson(url);
+        // The FMP endpoint returns an array of objects with `symbol` and
+        // `exchangeShortName` fields.
+        const symbols = Array.isArray(data)
+          ? data
+              .map(item => ({ symbol: normalizeSymbol(item.symbol), exchange: item.exchangeShortName }))
+              .filter(item => item.symbol && matchesListing(listingOf(item.symbol, item.exchange), filters))
+              .map(item => item.symbol)
+          : [];
+        if (!limit || !isFinite(limit) || limit <= 0) {
+          return symbols;
+        }
+        return symbols.slice(0, limit);
+      } catch (err) {
+        if (err.status === 503) onMissingKey('fmp');
+        console.warn('Unable to fetch FMP ticker list:', err);
+        // fall back to NASDAQ list below
+      }
+    }
+    // Fallback: use NASDAQ list for U.S. companies
+    return fetchNasdaqList(limit, filters);
+  }
+
+  return { providers, lookupTicker, fetchTickerUniverse };
+}
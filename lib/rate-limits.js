@@ -0,0 +1,249 @@
+/*
+ * Provider rate limits.
+ *
+ * Every request to a data provider first takes a token from the provider's
+ * rate limiter, so scans slow down to the allowed rate instead of hammering
+ * the API and collecting throttle responses.  The browser keeps one set of
+ * limiters per session; the scan endpoint (api/scan.js) keeps one per
+ * function instance.
+ */
+
+export const MINUTE = 60 * 1000;
+export const DAY = 24 * 60 * MINUTE;
+
+/*
+ * Request limits per provider, matching the free tiers at the time of
+ * writing.  Paid plans allow far more; raise these numbers if you configure
+ * a premium key.
+ */
+export const PROVIDER_LIMITS = {
+  alpha: { perMinute: 5, perDay: 25 },
+  fmp: { perMinute: 300, perDay: 250 },
+  nasdaq: { perMinute: 10 },
+  // The SEC asks for at most ten requests per second from all users of
+  // the proxy together
+  sec: { perMinute: 300 },
+  // Exchange rates are fetched a few times a day at most (see createFxSource)
+  fx: { perMinute: 30 }
+};
+
+// Human readable provider names used in progress messages.
+export const PROVIDER_LABELS = {
+  alpha: 'Alpha Vantage',
+  fmp: 'FMP',
+  nasdaq: 'NASDAQ',
+  sec: 'SEC EDGAR',
+  fx: 'Frankfurter'
+};
+
+// How often a throttled lookup is retried, and the initial back-off delay
+// which doubles on every further attempt.
+export const MAX_THROTTLE_RETRIES = 5;
+export const THROTTLE_BACKOFF_MS = 15 * 1000;
+
+// A full scan pauses itself when a provider it is waiting for will not
+// accept another request for longer than this, which in practice means the
+// daily quota is used up.  It can be resumed once the quota resets.
+export const QUOTA_PAUSE_THRESHOLD_MS = 5 * MINUTE;
+
+/**
+ * Wait for `ms` milliseconds, or reject with the signal's reason as soon as
+ * the optional abort signal fires.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Create a token bucket holding up to `capacity` tokens that refills
+ * continuously at `capacity` tokens per `intervalMs`.
+ *
+ * @param {number} capacity Maximum number of tokens
+ * @param {number} intervalMs Time in which a full bucket refills
+ * @returns {{wait: function(): number, take: function(): void, give: function(): void}}
+ */
+function createTokenBucket(capacity, intervalMs) {
+  let tokens = capacity;
+  let updated = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - updated) / intervalMs) * capacity);
+    updated = now;
+  };
+  return {
+    // Milliseconds until a token is available; 0 when one is available now
+    wait() {
+      refill();
+      return tokens >= 1 ? 0 : ((1 - tokens) / capacity) * intervalMs;
+    },
+    take() {
+      refill();
+      tokens -= 1;
+    },
+    give() {
+      tokens = Math.min(capacity, tokens + 1);
+    }
+  };
+}
+
+/**
+ * Create a rate limiter for one provider from its per-minute and optional
+ * per-day limits. `acquire(signal)` resolves once a request may be sent,
+ * or rejects without taking a token when the optional abort signal fires
+ * while it waits. `penalize(ms)` blocks the provider after a throttle response and
+ * `refund()` returns the token of a request answered from the proxy cache.
+ * `status()` reports 'ready', 'waiting' (out of tokens) or 'throttled'
+ * (backing off after a throttle response) and the remaining wait.
+ *
+ * @param {{perMinute: number, perDay?: number}} limits
+ * @returns {object}
+ */
+export function createRateLimiter({ perMinute, perDay }) {
+  const buckets = [createTokenBucket(perMinute, MINUTE)];
+  if (perDay) buckets.push(createTokenBucket(perDay, DAY));
+  let blockedUntil = 0;
+  let waiting = 0;
+  const waitTime = () => Math.max(blockedUntil - Date.now(), ...buckets.map(b => b.wait()), 0);
+  return {
+    async acquire(signal) {
+      waiting++;
+      try {
+        let wait = waitTime();
+        while (wait > 0) {
+          await sleep(wait, signal);
+          wait = waitTime();
+        }
+        buckets.forEach(b => b.take());
+      } finally {
+        waiting--;
+      }
+    },
+    penalize(ms) {
+      blockedUntil = Math.max(blockedUntil, Date.now() + ms);
+    },
+    refund() {
+      buckets.forEach(b => b.give());
+    },
+    status() {
+      const wait = waitTime();
+      if (blockedUntil > Date.now()) return { state: 'throttled', wait };
+      return { state: waiting > 0 && wait > 0 ? 'waiting' : 'ready', wait };
+    }
+  };
+}
+
+/**
+ * Create a rate limiter for every provider of `limits`.
+ *
+ * @param {Object<string, {perMinute: number, perDay?: number}>} limits
+ * @returns {Object<string, object>} Rate limiters by provider key
+ */
+export function createRateLimiters(limits = PROVIDER_LIMITS) {
+  return Object.fromEntries(
+    Object.entries(limits).map(([provider, providerLimits]) => [provider, createRateLimiter(providerLimits)])
+  );
+}
+
+/**
+ * The status of every rate limiter, as reported by its `status()`.
+ *
+ * @param {Object<string, object>} limiters Rate limiters by provider key
+ * @returns {Object<string, {state: string, wait: number}>}
+ */
+export function limiterStatuses(limiters) {
+  return Object.fromEntries(Object.entries(limiters).map(([provider, limiter]) => [provider, limiter.status()]));
+}
+
+/**
+ * Find a provider that scan workers are waiting on for longer than
+ * QUOTA_PAUSE_THRESHOLD_MS, i.e. one whose quota is exhausted.
+ *
+ * @param {Object<string, object>} limiters Rate limiters by provider key
+ * @returns {{provider: string, wait: number}|null}
+ */
+export function findExhaustedProvider(limiters) {
+  for (const [provider, limiter] of Object.entries(limiters)) {
+    const { state, wait } = limiter.status();
+    if (state !== 'ready' && wait > QUOTA_PAUSE_THRESHOLD_MS) return { provider, wait };
+  }
+  return null;
+}
+
+/**
+ * Map a provider URL to the key of its rate limiter.
+ *
+ * @param {string} url Provider URL
+ * @returns {string|null}
+ */
+export function providerForUrl(url) {
+  const { hostname } = new URL(url);
+  if (hostname.endsWith('alphavantage.co')) return 'alpha';
+  if (hostname.endsWith('financialmodelingprep.com')) return 'fmp';
+  if (hostname.endsWith('nasdaq.com')) return 'nasdaq';
+  if (hostname.endsWith('sec.gov')) return 'sec';
+  if (hostname.endsWith('frankfurter.app')) return 'fx';
+  return null;
+}
+
+/**
+ * Build the error thrown when a provider rejects a request because of its
+ * rate limit. Lookups rethrow it so the scan can back off and retry.
+ *
+ * @param {string} provider Provider key
+ * @param {number} retryAfter Suggested delay in milliseconds
+ * @returns {Error}
+ */
+export function throttleError(provider, retryAfter) {
+  const error = new Error(`${PROVIDER_LABELS[provider] || provider} rate limit reached`);
+  error.status = 429;
+  error.throttled = true;
+  error.provider = provider;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Call `attempt` and retry with exponential back-off while it rejects with
+ * a throttle error. The back-off is applied to the throttled provider's
+ * rate limiter so that every concurrent request waits as well.  Once the
+ * optional abort signal fires nothing is retried any more.
+ *
+ * @param {function(): Promise<*>} attempt E.g. a ticker lookup
+ * @param {Object<string, object>} limiters Rate limiters by provider key
+ * @param {AbortSignal} [signal] E.g. the signal of a scan control
+ * @returns {Promise<*>} What `attempt` resolved to
+ */
+export async function retryThrottled(attempt, limiters, signal) {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!err.throttled || retry >= MAX_THROTTLE_RETRIES || (signal && signal.aborted)) throw err;
+      const backoff = Math.max(err.retryAfter || 0, THROTTLE_BACKOFF_MS * 2 ** retry);
+      const limiter = limiters[err.provider];
+      if (limiter) {
+        limiter.penalize(backoff);
+      } else {
+        await sleep(backoff, signal);
+      }
+    }
+  }
+}
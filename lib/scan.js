@@ -0,0 +1,252 @@
+/*
+ * Scan loop shared by the page and the scan endpoint: a bounded queue of
+ * ticker lookups that can be paused, resumed and stopped, and runScan,
+ * which screens the fundamentals as they arrive.
+ */
+
+import { byUndervaluation, scoreUniverse, screenRow, screenRows } from './screen.js';
+
+// Number of tickers looked up in parallel during a full market scan.
+export const SCAN_CONCURRENCY = 4;
+
+// Minimum time between recomputing the sector-relative scores of a
+// running full scan (see scoreUniverse).
+export const RESCORE_INTERVAL_MS = 5000;
+
+/**
+ * Create the control handle of a running scan. `pause()` stops handing out
+ * new items until `resume()` is called, letting lookups already in flight
+ * finish; `stop()` ends the scan for good and aborts `signal`, which
+ * lookups pass on to the rate limiters and provider requests they wait for.
+ *
+ * @returns {object}
+ */
+export function createScanControl() {
+  let resumeWaiters = [];
+  const aborter = new AbortController();
+  const control = {
+    paused: false,
+    stopped: false,
+    // Why the scan was paused or stopped, e.g. an exhausted provider quota
+    reason: '',
+    signal: aborter.signal,
+    pause(reason = '') {
+      control.paused = true;
+      control.reason = reason;
+    },
+    resume() {
+      control.paused = false;
+      control.reason = '';
+      resumeWaiters.forEach(resolve => resolve());
+      resumeWaiters = [];
+    },
+    stop(reason = '') {
+      control.stopped = true;
+      control.resume();
+      control.reason = reason;
+      aborter.abort();
+    },
+    async waitWhilePaused() {
+      while (control.paused && !control.stopped) {
+        await new Promise(resolve => resumeWaiters.push(resolve));
+      }
+    }
+  };
+  return control;
+}
+
+/**
+ * Run `worker` over every item with at most `concurrency` calls in flight.
+ * Items are handed out in order starting at `start`; an error thrown for
+ * one item is logged and does not stop the others. When a scan control is
+ * passed the queue honours pause requests, hands the control's abort
+ * signal to the worker and stops handing out items once the scan is
+ * stopped; errors of the aborted calls are not logged.
+ *
+ * @param {Array} items Items to process, e.g. ticker symbols
+ * @param {function(*, number, AbortSignal=): Promise<void>} worker Async callback per item
+ * @param {{concurrency?: number, start?: number, control?: object}} options
+ * @returns {Promise<void>} Resolves once every call has settled, after every
+ *   item was processed or the scan was stopped
+ */
+export async function runScanQueue(items, worker, { concurrency = SCAN_CONCURRENCY, start = 0, control = null } = {}) {
+  let next = start;
+  const runWorker = async () => {
+    while (next < items.length) {
+      if (control) {
+        await control.waitWhilePaused();
+        if (control.stopped || next >= items.length) return;
+      }
+      const index = next++;
+      try {
+        await worker(items[index], index, control ? control.signal : undefined);
+      } catch (err) {
+        if (control && control.stopped) return;
+        console.warn('Error scanning symbol', items[index], err);
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, items.length - start));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+}
+
+/**
+ * Collect the lookups of a scan as they finish, in any order: keep every
+ * symbol's fundamentals in `fundamentals`, advance the cursor over the
+ * symbols looked up and screen the fundamentals.  `add(symbol, index,
+ * fundamentals)` records a lookup; `rescore()` recomputes the
+ * sector-relative scores of everything collected and derives the rows
+ * again, which `add` also does every RESCORE_INTERVAL_MS; `complete()`
+ * moves the cursor past symbols that were never recorded, once the scan
+ * is over.  runScan records its own lookups here; the page records the
+ * lookups the scan endpoint streams to it.  The callbacks are those of
+ * runScan.
+ *
+ * @param {object} options
+ * @param {number} options.total Number of symbols in the universe
+ * @param {object} options.screen Result of compileScreen
+ * @param {{model: string, assumptions: object}} options.context Screen context without scores
+ * @param {number} [options.start] Index of the first symbol to look up
+ * @param {Object<string, object|null>} [options.fundamentals] Fundamentals
+ *   by symbol collected before, e.g. by the scan being resumed; extended in
+ *   place
+ * @returns {{add: function(string, number, object|null): void, rescore: function(): void, complete: function(): void, rows: Array, cursor: number, scanned: number}}
+ */
+export function createScanResults({
+  total,
+  screen,
+  context,
+  start = 0,
+  fundamentals = {},
+  onRow = () => {},
+  onRows = () => {},
+  onProgress = () => {}
+}) {
+  let rows = [];
+  let cursor = start;
+  let scanned = 0;
+  // Indices scanned beyond the cursor; the cursor advances over them
+  const completed = new Set();
+  let lastScored = Date.now();
+  const results = {
+    get rows() {
+      return rows;
+    },
+    get cursor() {
+      return cursor;
+    },
+    get scanned() {
+      return scanned;
+    },
+    rescore() {
+      lastScored = Date.now();
+      const scores = scoreUniverse(Object.values(fundamentals));
+      rows = screenRows(fundamentals, screen, { ...context, scores });
+      onRows(rows, scores);
+    },
+    add(symbol, index, data) {
+      fundamentals[symbol] = data;
+      completed.add(index);
+      while (completed.has(cursor)) {
+        completed.delete(cursor);
+        cursor++;
+      }
+      scanned++;
+      if (Date.now() - lastScored >= RESCORE_INTERVAL_MS) {
+        results.rescore();
+      } else if (data) {
+        // Until the next rescore the new row has no sector-relative scores
+        const row = screenRow(symbol, data, screen, context);
+        if (row) {
+          rows.push(row);
+          rows.sort(byUndervaluation);
+          onRow(row, rows);
+        }
+      }
+      onProgress({ total, scanned, cursor, found: rows.length });
+    },
+    complete() {
+      cursor = total;
+    }
+  };
+  return results;
+}
+
+/**
+ * Look up and screen the symbols of a universe, starting at `start`.
+ *
+ * `lookup(symbol, signal)` resolves to the symbol's fundamentals or null and
+ * may reject with a throttle error once its retries are used up.  The
+ * signal is the control's, aborted when the scan is stopped.  Such symbols
+ * hold the cursor back, so a stopped scan that is resumed tries them again;
+ * a scan that completes skips them and lists them in `skipped`.  The
+ * callbacks report the scan as it runs:
+ *
+ *   onTicker({symbol, index, fundamentals})  Every symbol looked up
+ *   onRow(row, rows)  A row that passed the screen (see screenRow), and all
+ *                    rows so far, sorted by undervaluation
+ *   onRows(rows, scores)  All rows so far, sorted by undervaluation, after
+ *                    the sector-relative scores were recomputed, which
+ *                    happens every RESCORE_INTERVAL_MS and at the end, and
+ *                    those scores (see scoreUniverse)
+ *   onProgress({total, scanned, cursor, found})  After every symbol
+ *
+ * The cursor is the index of the first symbol not yet looked up.  Scores
+ * cover the symbols looked up by this call and the `fundamentals` passed
+ * in, whose rows are derived first.
+ *
+ * @param {object} options
+ * @param {string[]} options.symbols Ticker universe
+ * @param {function(string, AbortSignal): Promise<object|null>} options.lookup
+ * @param {object} options.screen Result of compileScreen
+ * @param {{model: string, assumptions: object}} options.context Screen context without scores
+ * @param {number} [options.start] Index to start at
+ * @param {Object<string, object|null>} [options.fundamentals] Fundamentals
+ *   by symbol collected before (see createScanResults)
+ * @param {object} [options.control] Scan control handle (see createScanControl)
+ * @param {number} [options.concurrency]
+ * @returns {Promise<{cursor: number, scanned: number, rows: Array, complete: boolean, skipped: string[]}>}
+ *   `complete` is false when the control stopped the scan
+ */
+export async function runScan({
+  symbols,
+  lookup,
+  screen,
+  context,
+  start = 0,
+  fundamentals = {},
+  control = createScanControl(),
+  concurrency = SCAN_CONCURRENCY,
+  onTicker = () => {},
+  onRow = () => {},
+  onRows = () => {},
+  onProgress = () => {}
+}) {
+  const results = createScanResults({ total: symbols.length, screen, context, start, fundamentals, onRow, onRows, onProgress });
+  if (Object.keys(fundamentals).length > 0) results.rescore();
+  const skipped = [];
+  await runScanQueue(symbols, async (symbol, index, signal) => {
+    let data = null;
+    try {
+      data = await lookup(symbol, signal);
+    } catch (err) {
+      // Lookups aborted by stopping the scan
+      if (control.stopped) return;
+      if (err.throttled) {
+        skipped.push(symbol);
+        throw err;
+      }
+      console.warn('Error scanning symbol', symbol, err);
+    }
+    // Ignore lookups that were still in flight when the scan was stopped
+    if (control.stopped) return;
+    onTicker({ symbol, index, fundamentals: data });
+    results.add(symbol, index, data);
+  }, { start, control, concurrency });
+  results.rescore();
+  const complete = !control.stopped;
+  // Symbols that stayed throttled after every retry were logged by the
+  // queue; a completed scan moves the cursor past them
+  if (complete) results.complete();
+  return { cursor: results.cursor, scanned: results.scanned, rows: results.rows, complete, skipped: complete ? skipped : [] };
+}
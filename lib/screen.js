@@ -0,0 +1,610 @@
+/*
+ * Screens and sector-relative scores.
+ *
+ * Which stocks a scan keeps is decided by a screen written in a small
+ * filter language (see compileScreen) over the fields of SCREEN_FIELDS.
+ * Screens, scores and result rows are evaluated in a screen context that
+ * names the valuation model, the assumptions and the scores of the
+ * universe, so the page and the scan endpoint share them.
+ */
+
+import { finiteOrNull } from './fundamentals.js';
+import { modelValue, VALUATION_MODELS } from './valuation.js';
+
+// Ratio of two values, or null when either is missing or the denominator
+// is not positive (a P/E of a loss-making company is not meaningful).
+export function positiveRatio(numerator, denominator) {
+  const n = finiteOrNull(numerator);
+  const d = finiteOrNull(denominator);
+  return n != null && d != null && d > 0 ? n / d : null;
+}
+
+/*
+ * Fields a screen can refer to.  Each one returns a number, or null when
+ * the value is missing, from the lookupTicker fundamentals and a screen
+ * context:
+ *
+ *   model        Key of the valuation model the intrinsic value fields use
+ *   assumptions  Valuation assumptions
+ *   scores       Sector-relative scores of the universe (see scoreUniverse)
+ *
+ * Rates such as divYield and roe are decimals (0.03 = 3%).
+ */
+export const SCREEN_FIELDS = {
+  price: { label: 'Share price', value: data => finiteOrNull(data.price) },
+  eps: { label: 'Earnings per share', value: data => finiteOrNull(data.eps) },
+  pe: { label: 'Price / earnings', value: data => positiveRatio(data.price, data.eps) },
+  bookValue: { label: 'Book value per share', value: data => finiteOrNull(data.bookValue) },
+  pb: { label: 'Price / book', value: data => positiveRatio(data.price, data.bookValue) },
+  evEbitda: {
+    label: 'EV / EBITDA',
+    value: data => {
+      const reported = finiteOrNull(data.evToEbitda);
+      if (reported != null) return reported > 0 ? reported : null;
+      return positiveRatio(data.enterpriseValue, data.ebitda);
+    }
+  },
+  dividend: { label: 'Dividend per share', value: data => finiteOrNull(data.dividendPerShare) },
+  divYield: {
+    label: 'Dividend yield',
+    value: data => {
+      const reported = finiteOrNull(data.dividendYield);
+      return reported != null ? reported : positiveRatio(data.dividendPerShare, data.price);
+    }
+  },
+  roe: { label: 'Return on equity', value: data => finiteOrNull(data.returnOnEquity) },
+  beta: { label: 'Beta', value: data => finiteOrNull(data.beta) },
+  marketCap: {
+    label: 'Market capitalization',
+    value: data => {
+      const price = finiteOrNull(data.price);
+      const shares = finiteOrNull(data.sharesOutstanding);
+      return price != null && shares != null ? price * shares : null;
+    }
+  },
+  intrinsic: { label: 'Intrinsic value of the selected model', value: (data, { model, assumptions }) => modelValue(model, data, assumptions) },
+  ddm: { label: 'DDM value', value: (data, { assumptions }) => modelValue('ddm', data, assumptions) },
+  dcf: { label: 'DCF value', value: (data, { assumptions }) => modelValue('dcf', data, assumptions) },
+  ri: { label: 'Residual income value', value: (data, { assumptions }) => modelValue('residualIncome', data, assumptions) },
+  upside: {
+    label: 'Intrinsic value / price − 1',
+    value: (data, { model, assumptions }) => {
+      const ratio = positiveRatio(modelValue(model, data, assumptions), data.price);
+      return ratio != null ? ratio - 1 : null;
+    }
+  },
+  undervalued: {
+    label: 'Price below intrinsic value less the margin of safety (1 or 0)',
+    value: (data, { model, assumptions }) => {
+      const price = finiteOrNull(data.price);
+      const intrinsic = modelValue(model, data, assumptions);
+      if (price == null || intrinsic == null) return null;
+      return price < intrinsic * (1 - assumptions.marginOfSafety) ? 1 : 0;
+    }
+  },
+  pePctl: { label: 'P/E percentile among sector peers (0–1)', value: (data, { scores }) => relativeScore(scores, data, 'pePctl') },
+  pbPctl: { label: 'P/B percentile among sector peers (0–1)', value: (data, { scores }) => relativeScore(scores, data, 'pbPctl') },
+  evEbitdaPctl: { label: 'EV/EBITDA percentile among sector peers (0–1)', value: (data, { scores }) => relativeScore(scores, data, 'evEbitdaPctl') },
+  divYieldPctl: { label: 'Dividend yield percentile among sector peers (0–1)', value: (data, { scores }) => relativeScore(scores, data, 'divYieldPctl') },
+  peZ: { label: 'P/E z-score among sector peers', value: (data, { scores }) => relativeScore(scores, data, 'peZ') },
+  pbZ: { label: 'P/B z-score among sector peers', value: (data, { scores }) => relativeScore(scores, data, 'pbZ') },
+  evEbitdaZ: { label: 'EV/EBITDA z-score among sector peers', value: (data, { scores }) => relativeScore(scores, data, 'evEbitdaZ') },
+  divYieldZ: { label: 'Dividend yield z-score among sector peers', value: (data, { scores }) => relativeScore(scores, data, 'divYieldZ') },
+  cheapness: { label: 'Relative cheapness against sector peers (0–1, 1 = cheapest)', value: (data, { scores }) => relativeScore(scores, data, 'cheapness') },
+  cheapRank: { label: 'Rank by relative cheapness in the universe (1 = cheapest)', value: (data, { scores }) => relativeScore(scores, data, 'cheapRank') }
+};
+
+/*
+ * Sector-relative scores.  A P/E of 12 means something else for a utility
+ * than for a software company, so P/E, P/B, EV/EBITDA and dividend yield
+ * are also scored against the stocks of the same sector in the current
+ * universe: the tickers of the last lookup, or every ticker a full scan
+ * has fetched so far.  Per metric a stock gets
+ *
+ *   <metric>Pctl  Share of its sector peers with a lower value (0–1)
+ *   <metric>Z     Standard deviations from the sector mean
+ *
+ * The composite `cheapness` (0–1) averages how much cheaper a stock is
+ * than its peers over the metrics it has scores for: a low P/E, P/B or
+ * EV/EBITDA and a high dividend yield are cheap.  `cheapRank` orders the
+ * whole universe by cheapness, 1 being the cheapest.  Sectors are matched
+ * by the name the provider reports, and a metric is only scored in a
+ * sector where at least MIN_SECTOR_PEERS stocks have a value for it.
+ */
+export const RELATIVE_METRICS = {
+  pe: { cheapWhenLow: true },
+  pb: { cheapWhenLow: true },
+  evEbitda: { cheapWhenLow: true },
+  divYield: { cheapWhenLow: false }
+};
+
+export const MIN_SECTOR_PEERS = 3;
+
+// Keys of the scores of a stock, as added to the result rows.
+export const RELATIVE_KEYS = [
+  ...Object.keys(RELATIVE_METRICS).flatMap(metric => [`${metric}Pctl`, `${metric}Z`]),
+  'cheapness',
+  'cheapRank',
+  'sectorPeers'
+];
+
+/**
+ * Number of values of an ascending array below `value`, or at most
+ * `value` when `inclusive`.
+ *
+ * @param {number[]} sorted Ascending values
+ * @param {number} value
+ * @param {boolean} inclusive
+ * @returns {number}
+ */
+function countBelow(sorted, value, inclusive = false) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value || (inclusive && sorted[mid] === value)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Score every stock of a universe against its sector peers.  Stocks
+ * without a sector get no scores.
+ *
+ * @param {Array<object|null>} universe lookupTicker results
+ * @returns {WeakMap<object, object>} Scores by fundamentals object
+ */
+export function scoreUniverse(universe) {
+  const relativeScores = new WeakMap();
+  const sectors = new Map();
+  new Set(universe).forEach(data => {
+    if (!data || !data.sector) return;
+    if (!sectors.has(data.sector)) sectors.set(data.sector, []);
+    sectors.get(data.sector).push(data);
+  });
+  const ranked = [];
+  sectors.forEach(peers => {
+    const scores = peers.map(() => ({ sectorPeers: peers.length }));
+    const cheapness = peers.map(() => []);
+    Object.entries(RELATIVE_METRICS).forEach(([metric, { cheapWhenLow }]) => {
+      const values = peers.map(data => SCREEN_FIELDS[metric].value(data));
+      const sorted = values.filter(value => value != null).sort((a, b) => a - b);
+      if (sorted.length < MIN_SECTOR_PEERS) return;
+      const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+      const sd = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length);
+      values.forEach((value, i) => {
+        if (value == null) return;
+        // Peers with the same value count half
+        const below = countBelow(sorted, value);
+        const ties = countBelow(sorted, value, true) - below - 1;
+        const percentile = (below + ties / 2) / (sorted.length - 1);
+        scores[i][`${metric}Pctl`] = percentile;
+        scores[i][`${metric}Z`] = sd > 0 ? (value - mean) / sd : 0;
+        cheapness[i].push(cheapWhenLow ? 1 - percentile : percentile);
+      });
+    });
+    peers.forEach((data, i) => {
+      if (cheapness[i].length > 0) {
+        scores[i].cheapness = cheapness[i].reduce((sum, value) => sum + value, 0) / cheapness[i].length;
+        ranked.push(scores[i]);
+      }
+      relativeScores.set(data, scores[i]);
+    });
+  });
+  ranked.sort((a, b) => b.cheapness - a.cheapness).forEach((score, i) => {
+    score.cheapRank = i + 1;
+  });
+  return relativeScores;
+}
+
+/**
+ * A sector-relative score of a stock.
+ *
+ * @param {WeakMap<object, object>|undefined} scores Result of scoreUniverse
+ * @param {object} data lookupTicker result
+ * @param {string} key One of RELATIVE_KEYS
+ * @returns {number|null}
+ */
+export function relativeScore(scores, data, key) {
+  const score = scores && scores.get(data);
+  return score && score[key] != null ? score[key] : null;
+}
+
+// Field names by lower case, so screens are not case sensitive.
+const SCREEN_FIELD_NAMES = new Map(Object.keys(SCREEN_FIELDS).map(name => [name.toLowerCase(), name]));
+
+/**
+ * Build the error thrown for an invalid screen.  `position` is the zero
+ * based offset into the screen text the message refers to.
+ *
+ * @param {string} message
+ * @param {number} position
+ * @returns {Error}
+ */
+function screenSyntaxError(message, position) {
+  const err = new Error(message);
+  err.position = position;
+  return err;
+}
+
+/**
+ * Levenshtein distance between two strings, used to suggest a field name
+ * for a misspelt one.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Split a screen into tokens: numbers (a `%` suffix divides by 100),
+ * field names, the keywords AND, OR and NOT (also written &&, || and !),
+ * comparison operators and parentheses.
+ *
+ * @param {string} source Screen text
+ * @returns {Array<{type: string, value: *, text: string, position: number}>}
+ */
+function tokenizeScreen(source) {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+    const number = /^-?(?:\d+(?:\.\d*)?|\.\d+)%?/.exec(rest);
+    const word = /^[A-Za-z_]\w*/.exec(rest);
+    const symbol = /^(?:&&|\|\||<=|>=|!=|==|<|>|=|!|\(|\))/.exec(rest);
+    let token;
+    if (number) {
+      const text = number[0];
+      const percent = text.endsWith('%');
+      token = { type: 'number', value: parseFloat(text) / (percent ? 100 : 1), text };
+    } else if (word) {
+      const keyword = word[0].toUpperCase();
+      token = ['AND', 'OR', 'NOT'].includes(keyword)
+        ? { type: keyword, text: word[0] }
+        : { type: 'field', value: word[0], text: word[0] };
+    } else if (symbol) {
+      const text = symbol[0];
+      const keywords = { '&&': 'AND', '||': 'OR', '!': 'NOT', '(': '(', ')': ')' };
+      token = keywords[text]
+        ? { type: keywords[text], text }
+        : { type: 'operator', value: text === '==' ? '=' : text, text };
+    } else {
+      throw screenSyntaxError(`Unexpected character "${rest[0]}" at position ${position + 1}`, position);
+    }
+    token.position = position;
+    tokens.push(token);
+    position += token.text.length;
+  }
+  tokens.push({ type: 'end', text: 'the end of the screen', position: source.length });
+  return tokens;
+}
+
+/**
+ * Evaluate a parsed screen node against one company's fundamentals.
+ * Comparisons involving a missing value are false, so `pe < 15` never
+ * matches a stock without earnings (while `NOT pe < 15` does).
+ *
+ * @param {object} node Node produced by compileScreen
+ * @param {object} data Fundamental data
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {boolean}
+ */
+function evaluateScreen(node, data, context) {
+  const operand = term => (term.type === 'number' ? term.value : SCREEN_FIELDS[term.name].value(data, context));
+  switch (node.type) {
+    case 'AND':
+      return evaluateScreen(node.left, data, context) && evaluateScreen(node.right, data, context);
+    case 'OR':
+      return evaluateScreen(node.left, data, context) || evaluateScreen(node.right, data, context);
+    case 'NOT':
+      return !evaluateScreen(node.operand, data, context);
+    case 'truthy': {
+      const value = operand(node.operand);
+      return value != null && value !== 0;
+    }
+    default: {
+      const left = operand(node.left);
+      const right = operand(node.right);
+      if (left == null || right == null) return false;
+      switch (node.operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '=': return left === right;
+        default: return left !== right;
+      }
+    }
+  }
+}
+
+/**
+ * Parse and validate a screen written in the screening language, e.g.
+ *
+ *   pe < 15 AND pb < 1.5 AND divYield > 3% AND evEbitda < 10
+ *
+ * A condition compares a field of SCREEN_FIELDS with a number or another
+ * field using <, <=, >, >=, = or !=; a bare field name is true when its
+ * value is present and not zero.  Conditions combine with NOT, AND and OR
+ * (in that order of precedence) and parentheses.  Field names and
+ * keywords are not case sensitive.
+ *
+ * Invalid screens throw an Error whose message names the problem and its
+ * position, suggesting a field name for misspelt ones.
+ *
+ * @param {string} source Screen text
+ * @returns {{source: string, fields: string[], test: function(object, object): boolean}}
+ *   `fields` lists the fields the screen uses, and `test` tells whether
+ *   fundamentals pass the screen in the given screen context (see
+ *   SCREEN_FIELDS)
+ */
+export function compileScreen(source) {
+  const text = String(source || '').trim();
+  if (!text) throw screenSyntaxError('Enter a screen, e.g. pe < 15 AND pb < 1.5', 0);
+  const tokens = tokenizeScreen(text);
+  let index = 0;
+  const fields = new Set();
+  const peek = () => tokens[index];
+  const describe = token => (token.type === 'end' ? token.text : `"${token.text}" at position ${token.position + 1}`);
+
+  function parseOperand() {
+    const token = peek();
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'field') {
+      const name = SCREEN_FIELD_NAMES.get(token.value.toLowerCase());
+      if (!name) {
+        const suggestion = Object.keys(SCREEN_FIELDS)
+          .map(field => ({ field, distance: editDistance(token.value.toLowerCase(), field.toLowerCase()) }))
+          .sort((a, b) => a.distance - b.distance)[0];
+        const hint = suggestion.distance <= 2 ? ` Did you mean "${suggestion.field}"?` : '';
+        throw screenSyntaxError(`Unknown field "${token.value}" at position ${token.position + 1}.${hint}`, token.position);
+      }
+      index++;
+      fields.add(name);
+      return { type: 'field', name };
+    }
+    throw screenSyntaxError(`Expected a field or number but found ${describe(token)}`, token.position);
+  }
+
+  function parseCondition() {
+    const token = peek();
+    if (token.type === '(') {
+      index++;
+      const inner = parseOr();
+      if (peek().type !== ')') {
+        throw screenSyntaxError(`Missing ")" for the "(" at position ${token.position + 1}`, peek().position);
+      }
+      index++;
+      return inner;
+    }
+    const left = parseOperand();
+    if (peek().type !== 'operator') {
+      if (left.type === 'number') {
+        throw screenSyntaxError(`Expected a comparison operator after ${describe(token)} but found ${describe(peek())}`, peek().position);
+      }
+      return { type: 'truthy', operand: left };
+    }
+    const operator = peek().value;
+    index++;
+    const right = parseOperand();
+    return { type: 'compare', operator, left, right };
+  }
+
+  function parseNot() {
+    if (peek().type === 'NOT') {
+      index++;
+      return { type: 'NOT', operand: parseNot() };
+    }
+    return parseCondition();
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek().type === 'AND') {
+      index++;
+      node = { type: 'AND', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek().type === 'OR') {
+      index++;
+      node = { type: 'OR', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  const ast = parseOr();
+  const rest = peek();
+  if (rest.type !== 'end') {
+    const hint = rest.type === ')' ? ' without a matching "("' : '; join conditions with AND or OR';
+    throw screenSyntaxError(`Unexpected ${describe(rest)}${hint}`, rest.position);
+  }
+  return {
+    source: text,
+    fields: [...fields],
+    test: (data, context) => evaluateScreen(ast, data, context)
+  };
+}
+
+// Screen used when none was chosen: the undervalued filter of the
+// selected valuation model.
+export const DEFAULT_SCREEN = 'undervalued';
+
+// Built-in screens offered next to the saved ones.
+export const PRESET_SCREENS = {
+  Undervalued: DEFAULT_SCREEN,
+  'Deep value': 'pe < 10 AND pb < 1 AND evEbitda < 8',
+  'Dividend aristocrat': 'divYield > 2.5% AND pe < 25 AND roe > 10% AND dividend < eps',
+  'Low EV/EBITDA': 'evEbitda < 8 AND undervalued',
+  'Cheap for its sector': 'cheapness >= 0.75'
+};
+
+/**
+ * Build a results row for a symbol if its fundamentals pass the screen,
+ * otherwise return null.  The row carries the numeric price and intrinsic
+ * value of the context's model for sorting.
+ *
+ * @param {string} symbol Stock ticker
+ * @param {object} fundamental lookupTicker result
+ * @param {object} screen Result of compileScreen
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {object|null}
+ */
+export function screenRow(symbol, fundamental, screen, context) {
+  if (!screen.test(fundamental, context)) return null;
+  return {
+    ticker: symbol.toUpperCase(),
+    ...numericMetrics(fundamental, context),
+    _priceNumeric: finiteOrNull(fundamental.price),
+    _intrinsicNumeric: modelValue(context.model, fundamental, context.assumptions)
+  };
+}
+
+// Order rows by how undervalued they are: price / intrinsic ascending, with
+// rows lacking either value last
+const undervaluation = row => (row._priceNumeric != null && row._intrinsicNumeric > 0 ? row._priceNumeric / row._intrinsicNumeric : Infinity);
+export const byUndervaluation = (a, b) => undervaluation(a) - undervaluation(b) || 0;
+
+/**
+ * Derive the sorted rows passing the screen from the raw fundamentals
+ * collected by a scan, e.g. after another valuation model or screen was
+ * selected.  Unless the context brings its scores, the fundamentals are
+ * scored against their sector peers first (see scoreUniverse), so they
+ * form the universe of the scores.
+ *
+ * @param {Object<string, object|null>} fundamentals lookupTicker results by symbol
+ * @param {object} screen Result of compileScreen
+ * @param {object} context Screen context (see SCREEN_FIELDS)
+ * @returns {Array}
+ */
+export function screenRows(fundamentals, screen, context) {
+  const scores = context.scores || scoreUniverse(Object.values(fundamentals));
+  return Object.entries(fundamentals)
+    .map(([symbol, data]) => (data ? screenRow(symbol, data, screen, { ...context, scores }) : null))
+    .filter(Boolean)
+    .sort(byUndervaluation);
+}
+
+/**
+ * Compute valuation metrics given fundamental inputs, as numbers or null
+ * where a value is missing. Every model in VALUATION_MODELS adds its
+ * per-share intrinsic value under its column name, computed with the
+ * context's valuation assumptions.  The sector and industry are passed
+ * through, followed by the context's sector-relative scores (see
+ * scoreUniverse).
+ *
+ * @param {object} data Fundamental data
+ * @param {object} context Screen context (see SCREEN_FIELDS); its model is not used
+ * @returns {object} Metrics keyed like the results table columns
+ */
+export function numericMetrics(data, { assumptions, scores }) {
+  const intrinsicValues = Object.fromEntries(
+    Object.entries(VALUATION_MODELS).map(([key, model]) => [model.column, modelValue(key, data, assumptions)])
+  );
+  // The same values as the screen fields, e.g. no ratio for losses or
+  // negative equity
+  return {
+    price: SCREEN_FIELDS.price.value(data),
+    eps: SCREEN_FIELDS.eps.value(data),
+    pe: SCREEN_FIELDS.pe.value(data),
+    bookValue: SCREEN_FIELDS.bookValue.value(data),
+    pb: SCREEN_FIELDS.pb.value(data),
+    evEbitda: SCREEN_FIELDS.evEbitda.value(data),
+    dividendPerShare: SCREEN_FIELDS.dividend.value(data),
+    dividendYield: SCREEN_FIELDS.divYield.value(data),
+    ...intrinsicValues,
+    sector: data.sector || null,
+    industry: data.industry || null,
+    ...Object.fromEntries(RELATIVE_KEYS.map(key => [key, relativeScore(scores, data, key)]))
+  };
+}
+
+/**
+ * Tooltip line of a sector percentile cell: the z-score and the peers it
+ * was computed against.
+ *
+ * @param {object} row Result row
+ * @param {string} metric Key of RELATIVE_METRICS
+ * @returns {string}
+ */
+function relativeNote(row, metric) {
+  const z = row[`${metric}Z`];
+  return z != null ? `z-score ${z.toFixed(2)} among ${row.sectorPeers} ${row.sector} stocks` : '';
+}
+
+/*
+ * Columns of the results table after the ticker: the key of the value in a
+ * numericMetrics row, its label in the column chooser, how it is
+ * formatted, and the fundamentals it is computed from, whose provenance
+ * the cell's tooltip shows.  Intrinsic value columns are marked
+ * `intrinsic` and coloured against the price.  Sector-relative columns
+ * are marked `relative` and add `note(row)` to the tooltip.
+ */
+export const RESULT_COLUMNS = [
+  { key: 'sector', label: 'Sector', format: 'text', fields: ['sector'] },
+  { key: 'industry', label: 'Industry', format: 'text', fields: ['industry'] },
+  { key: 'price', label: 'Price', format: 'number', fields: ['price'] },
+  { key: 'eps', label: 'EPS', format: 'number', fields: ['eps'] },
+  { key: 'pe', label: 'P/E', format: 'number', fields: ['price', 'eps'] },
+  { key: 'bookValue', label: 'Book Value', format: 'number', fields: ['bookValue'] },
+  { key: 'pb', label: 'P/B', format: 'number', fields: ['price', 'bookValue'] },
+  { key: 'evEbitda', label: 'EV/EBITDA', format: 'number', fields: ['evToEbitda'] },
+  { key: 'dividendPerShare', label: 'Dividend', format: 'number', fields: ['dividendPerShare'] },
+  { key: 'dividendYield', label: 'Div. Yield', format: 'percent', fields: ['dividendYield'] },
+  ...Object.values(VALUATION_MODELS).map(model => ({
+    key: model.column,
+    label: `${model.label} Value`,
+    format: 'number',
+    fields: model.inputs,
+    intrinsic: true
+  })),
+  { key: 'pePctl', label: 'P/E Sector Pctl.', format: 'percentile', fields: ['price', 'eps', 'sector'], relative: true, note: row => relativeNote(row, 'pe') },
+  { key: 'pbPctl', label: 'P/B Sector Pctl.', format: 'percentile', fields: ['price', 'bookValue', 'sector'], relative: true, note: row => relativeNote(row, 'pb') },
+  { key: 'evEbitdaPctl', label: 'EV/EBITDA Sector Pctl.', format: 'percentile', fields: ['evToEbitda', 'sector'], relative: true, note: row => relativeNote(row, 'evEbitda') },
+  { key: 'divYieldPctl', label: 'Yield Sector Pctl.', format: 'percentile', fields: ['dividendYield', 'sector'], relative: true, note: row => relativeNote(row, 'divYield') },
+  {
+    key: 'cheapness',
+    label: 'Rel. Cheapness',
+    format: 'percentile',
+    fields: ['sector'],
+    relative: true,
+    note: row => (row.cheapRank != null ? `Rank ${row.cheapRank} by relative cheapness` : '')
+  }
+];
+
+/**
+ * Strip the numeric helper fields from rows built by screenRow so they can
+ * be shown or exported.
+ *
+ * @param {Array} results Rows carrying `_priceNumeric`/`_intrinsicNumeric`
+ * @returns {Array}
+ */
+export function toDisplayRows(results) {
+  return results.map(({ _priceNumeric, _intrinsicNumeric, ...row }) => row);
+}
@@ -0,0 +1,285 @@
+/*
+ * Shareable screener state.
+ *
+ * The state of the scanner (tickers, valuation model, assumptions, screen,
+ * sort order, hidden columns, display currency and universe filters) is
+ * encoded as URL parameters, which the page puts in the fragment of a link
+ * and reads back on load (see encodeShareState and decodeShareState).  A
+ * link may also carry a snapshot of the results: the fundamentals behind
+ * the rows, compressed (see packSnapshot), so whoever opens it sees the
+ * same table without looking anything up.  Snapshots too large for a link
+ * are saved as a file instead (see snapshotFile).
+ */
+
+import { DEFAULT_CURRENCY, DISPLAY_CURRENCIES } from './currency.js';
+import { compileScreen, RESULT_COLUMNS } from './screen.js';
+import { DEFAULT_ASSUMPTIONS, validateAssumptions, VALUATION_MODELS } from './valuation.js';
+
+// Version of the snapshot format, raised when it changes incompatibly.
+export const SNAPSHOT_VERSION = 1;
+
+// `format` of a snapshot file.
+export const SNAPSHOT_FILE_FORMAT = 'stock-screener-snapshot';
+
+// Longest packed snapshot put in a link, in characters.  Browsers accept
+// much longer URLs, but chat tools and mail clients truncate them.
+export const SNAPSHOT_URL_LIMIT = 32 * 1024;
+
+// Keys a shared table can be sorted by.
+const SORT_KEYS = ['ticker', ...RESULT_COLUMNS.map(column => column.key)];
+
+// Split a comma separated parameter into its upper-case entries.
+const listParam = value => (value || '').split(',').map(entry => entry.trim().toUpperCase()).filter(Boolean);
+
+/**
+ * Encode scanner state as URL parameters.  Assumptions are included only
+ * where they differ from DEFAULT_ASSUMPTIONS, a sort key is prefixed with
+ * `-` when descending, hidden columns are listed as `-` when there are none
+ * and other empty lists are left out.
+ *
+ * @param {object} state
+ * @param {string[]} [state.tickers] Ticker symbols of the tickers input
+ * @param {string} [state.model] Key of VALUATION_MODELS
+ * @param {string} [state.screen] Screen source (see compileScreen)
+ * @param {object} [state.assumptions] Valuation assumptions
+ * @param {string|null} [state.sortKey] Column the table is sorted by
+ * @param {boolean} [state.sortDescending]
+ * @param {string[]} [state.hiddenColumns] Keys of the hidden RESULT_COLUMNS
+ * @param {string} [state.currency] Display currency
+ * @param {{exchanges: string[], countries: string[]}} [state.filters] Universe filters
+ * @param {string} [state.results] Packed snapshot (see packSnapshot)
+ * @returns {string} Parameters, e.g. "tickers=KO%2CPEP&model=ddm"
+ */
+export function encodeShareState(state) {
+  const params = new URLSearchParams();
+  const set = (name, value) => {
+    if (value != null && value !== '') params.set(name, value);
+  };
+  set('tickers', (state.tickers || []).join(','));
+  set('model', state.model);
+  set('screen', state.screen);
+  Object.entries(state.assumptions || {}).forEach(([name, value]) => {
+    if (name in DEFAULT_ASSUMPTIONS && value !== DEFAULT_ASSUMPTIONS[name]) set(`a.${name}`, String(value));
+  });
+  if (state.sortKey) set('sort', `${state.sortDescending ? '-' : ''}${state.sortKey}`);
+  if (state.hiddenColumns) set('hide', state.hiddenColumns.join(',') || '-');
+  set('currency', state.currency);
+  if (state.filters) {
+    set('exchanges', state.filters.exchanges.join(','));
+    set('countries', state.filters.countries.join(','));
+  }
+  set('results', state.results);
+  return params.toString();
+}
+
+/**
+ * Decode scanner state from URL parameters.  Only the parts present are
+ * returned; invalid parts are left out and described in `problems`, so a
+ * link edited by hand still restores what it can.  Assumptions missing
+ * from the parameters take their defaults.
+ *
+ * @param {string|URLSearchParams} text Parameters, with or without a
+ *   leading '#' or '?'
+ * @returns {{state: object, problems: string[]}} State in the shape of
+ *   encodeShareState
+ */
+export function decodeShareState(text) {
+  const params = typeof text === 'string' ? new URLSearchParams(text.replace(/^[#?]/, '')) : text;
+  const state = {};
+  const problems = [];
+
+  if (params.has('tickers')) state.tickers = listParam(params.get('tickers'));
+  if (params.has('model')) {
+    const model = params.get('model');
+    if (VALUATION_MODELS[model]) state.model = model;
+    else problems.push(`unknown valuation model "${model}"`);
+  }
+  if (params.has('screen')) {
+    const screen = params.get('screen');
+    try {
+      state.screen = compileScreen(screen).source;
+    } catch (err) {
+      problems.push(`screen "${screen}": ${err.message}`);
+    }
+  }
+
+  const overrides = [...params.keys()].filter(name => name.startsWith('a.'));
+  if (overrides.length > 0) {
+    const assumptions = { ...DEFAULT_ASSUMPTIONS };
+    overrides.forEach(param => {
+      const name = param.slice(2);
+      const value = params.get(param);
+      if (!Object.keys(DEFAULT_ASSUMPTIONS).includes(name)) {
+        problems.push(`unknown assumption "${name}"`);
+      } else if (typeof DEFAULT_ASSUMPTIONS[name] === 'boolean') {
+        assumptions[name] = value === 'true';
+      } else {
+        assumptions[name] = parseFloat(value);
+      }
+    });
+    const error = validateAssumptions(assumptions);
+    if (error) problems.push(`assumptions: ${error.replace(/\.$/, '')}`);
+    else state.assumptions = assumptions;
+  }
+
+  if (params.has('sort')) {
+    const sort = params.get('sort');
+    const key = sort.replace(/^-/, '');
+    if (SORT_KEYS.includes(key)) {
+      state.sortKey = key;
+      state.sortDescending = sort.startsWith('-');
+    } else {
+      problems.push(`unknown sort column "${key}"`);
+    }
+  }
+  if (params.has('hide')) {
+    const keys = params.get('hide').split(',');
+    state.hiddenColumns = RESULT_COLUMNS.map(column => column.key).filter(key => keys.includes(key));
+  }
+  if (params.has('currency')) {
+    const currency = params.get('currency').toUpperCase();
+    if (DISPLAY_CURRENCIES.includes(currency)) state.currency = currency;
+    else problems.push(`unsupported currency "${currency}"`);
+  }
+  if (params.has('exchanges') || params.has('countries')) {
+    state.filters = { exchanges: listParam(params.get('exchanges')), countries: listParam(params.get('countries')) };
+  }
+  if (params.has('results')) state.results = params.get('results');
+  return { state, problems };
+}
+
+/**
+ * Take a snapshot of results: the lookupTicker fundamentals of the tickers
+ * in the order of the table, and what they were looked up with.
+ *
+ * @param {string[]} tickers Tickers of the rows, in order
+ * @param {Map<string, object>} fundamentals lookupTicker results by ticker
+ * @param {{takenAt: number, source: string, currency: string}} meta When
+ *   the data was fetched, 'full scan' or 'ticker lookup', and the currency
+ *   of its amounts
+ * @returns {object}
+ */
+export function createSnapshot(tickers, fundamentals, { takenAt, source, currency }) {
+  const symbols = tickers.filter(ticker => fundamentals.get(ticker));
+  return {
+    version: SNAPSHOT_VERSION,
+    takenAt,
+    source,
+    currency,
+    tickers: symbols,
+    fundamentals: Object.fromEntries(symbols.map(ticker => [ticker, fundamentals.get(ticker)]))
+  };
+}
+
+/**
+ * Check a snapshot read from a link or a file.  Throws an Error describing
+ * what is wrong with it.  The provenance of every field, which the detail
+ * view shows, must be an object whose exchange rate, if any, is a number.
+ *
+ * @param {*} snapshot
+ * @returns {object} The snapshot
+ */
+export function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.tickers) || !snapshot.fundamentals) {
+    throw new Error('This is not a screener snapshot');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Snapshots of version ${snapshot.version} are not supported`);
+  }
+  const missing = snapshot.tickers.find(ticker => !snapshot.fundamentals[ticker] || typeof snapshot.fundamentals[ticker] !== 'object');
+  if (missing) throw new Error(`The snapshot has no data for ${missing}`);
+  const damaged = snapshot.tickers.find(ticker => {
+    const { provenance } = snapshot.fundamentals[ticker];
+    if (provenance == null) return false;
+    if (typeof provenance !== 'object') return true;
+    return Object.values(provenance).some(source => !source || typeof source !== 'object' || (source.rate != null && !Number.isFinite(source.rate)));
+  });
+  if (damaged) throw new Error(`The snapshot has damaged data for ${damaged}`);
+  return { ...snapshot, currency: snapshot.currency || DEFAULT_CURRENCY };
+}
+
+// Base64url encoding of bytes, which needs no escaping in a URL.
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream or DecompressionStream.
+const transform = (bytes, stream) => new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buffer => new Uint8Array(buffer));
+
+/**
+ * Pack a snapshot into text for a URL parameter: its JSON, compressed with
+ * deflate where the runtime supports CompressionStream, base64url encoded
+ * and prefixed with 'z' when compressed or 'j' when not.
+ *
+ * @param {object} snapshot See createSnapshot
+ * @returns {Promise<string>}
+ */
+export async function packSnapshot(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await transform(bytes, new CompressionStream('deflate')))}`;
+}
+
+/**
+ * Unpack and check a snapshot packed by packSnapshot.  Rejects with an
+ * Error when the text is damaged, e.g. by a truncated link.
+ *
+ * @param {string} text
+ * @returns {Promise<object>}
+ */
+export async function unpackSnapshot(text) {
+  let snapshot;
+  try {
+    let bytes = fromBase64Url(text.slice(1));
+    if (text[0] === 'z') {
+      if (typeof DecompressionStream === 'undefined') throw new Error('unsupported');
+      bytes = await transform(bytes, new DecompressionStream('deflate'));
+    } else if (text[0] !== 'j') {
+      throw new Error('unknown encoding');
+    }
+    snapshot = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error('The results in this link are damaged or cannot be read in this browser');
+  }
+  return validateSnapshot(snapshot);
+}
+
+/**
+ * Content of a snapshot file: the state in the encoding of a link and the
+ * snapshot itself, as JSON.
+ *
+ * @param {object} state See encodeShareState; `results` is ignored
+ * @param {object} snapshot See createSnapshot
+ * @returns {string}
+ */
+export function snapshotFile(state, snapshot) {
+  return JSON.stringify({ format: SNAPSHOT_FILE_FORMAT, state: encodeShareState({ ...state, results: null }), snapshot }, null, 2);
+}
+
+/**
+ * Read a snapshot file written by snapshotFile.  Throws an Error when the
+ * file is not one.
+ *
+ * @param {string} text Content of the file
+ * @returns {{state: object, problems: string[], snapshot: object}}
+ */
+export function readSnapshotFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This is not a screener snapshot');
+  }
+  if (!file || file.format !== SNAPSHOT_FILE_FORMAT) throw new Error('This is not a screener snapshot');
+  const { state, problems } = decodeShareState(String(file.state || ''));
+  return { state, problems, snapshot: validateSnapshot(file.snapshot) };
+}
@@ -0,0 +1,286 @@
+// Upstream provider access shared by the serverless functions in api/ and
+// the command line (bin/screener.js): the allowlist of provider hosts with
+// the environment variables holding their API keys, an in-memory TTL cache
+// of provider responses that survives between invocations while a function
+// instance stays warm, and rate limited provider requests for code that
+// runs on the server. Upstream requests can be recorded and replayed (see
+// lib/fixtures.js).
+
+import { FIXTURE_MODE, recordFixture, replayFixture } from './fixtures.js';
+import { providerForUrl, throttleError } from './rate-limits.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Time to wait for an upstream response before giving up.
+export const UPSTREAM_TIMEOUT_MS = 15 * 1000;
+
+// Upper bounds on cached responses held by one function instance. EDGAR
+// company facts run to several megabytes each, so the size is capped too.
+const MAX_CACHE_ENTRIES = 500;
+const MAX_CACHE_BYTES = 64 * 1024 * 1024;
+
+// Allowed upstream hosts. A request matches an entry when its hostname equals
+// `host` or is a subdomain of it (www.alphavantage.co matches alphavantage.co).
+// `ttl` returns how long a successful response for the given URL may be cached
+// and `headers`, if present, returns extra request headers for the upstream.
+export const PROVIDERS = [
+  {
+    host: 'alphavantage.co',
+    keyEnv: 'ALPHA_VANTAGE_API_KEY',
+    fallbackKey: 'demo',
+    ttl: url => {
+      switch (url.searchParams.get('function')) {
+        case 'GLOBAL_QUOTE':
+          return MINUTE;
+        case 'OVERVIEW':
+        case 'CASH_FLOW':
+          return 24 * HOUR;
+        default:
+          return HOUR;
+      }
+    }
+  },
+  {
+    host: 'financialmodelingprep.com',
+    keyEnv: 'FMP_API_KEY',
+    ttl: url => {
+      if (url.pathname.includes('/quote/')) return MINUTE;
+      if (url.pathname.includes('/stock/list')) return 24 * HOUR;
+      if (url.pathname.includes('/profile/')) return 24 * HOUR;
+      return 6 * HOUR;
+    }
+  },
+  {
+    host: 'api.nasdaq.com',
+    ttl: () => HOUR
+  },
+  {
+    // www.sec.gov serves the ticker to CIK mapping, data.sec.gov the XBRL
+    // company facts; both change at most once a day per company
+    host: 'sec.gov',
+    ttl: () => 24 * HOUR,
+    headers: () => ({ 'User-Agent': process.env.SEC_USER_AGENT || 'stock-screener admin@example.com' })
+  },
+  {
+    // Exchange rates of the European Central Bank, published once a working day
+    host: 'frankfurter.app',
+    ttl: () => 6 * HOUR
+  }
+];
+
+/**
+ * Minimal time-to-live cache backed by a Map. Entries are evicted when they
+ * expire or, once the cache is full, in insertion order (oldest first).
+ */
+const cache = new Map();
+let cacheBytes = 0;
+
+function cacheDelete(key) {
+  const entry = cache.get(key);
+  if (!entry) return;
+  cacheBytes -= entry.body.length;
+  cache.delete(key);
+}
+
+export function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    cacheDelete(key);
+    return null;
+  }
+  return entry;
+}
+
+export function cacheSet(key, value, ttl) {
+  // Replayed responses are not cached, so every request gets its own
+  // simulated fault (see lib/fixtures.js)
+  if (FIXTURE_MODE === 'replay' || value.body.length > MAX_CACHE_BYTES) return;
+  cacheDelete(key);
+  while (cache.size >= MAX_CACHE_ENTRIES || cacheBytes + value.body.length > MAX_CACHE_BYTES) {
+    cacheDelete(cache.keys().next().value);
+  }
+  cache.set(key, { ...value, storedAt: Date.now(), expires: Date.now() + ttl });
+  cacheBytes += value.body.length;
+}
+
+/**
+ * Find the provider entry allowed to serve the given URL, or null.
+ *
+ * @param {URL} url Parsed upstream URL
+ * @returns {object|null}
+ */
+export function findProvider(url) {
+  const hostname = url.hostname.toLowerCase();
+  return PROVIDERS.find(p => hostname === p.host || hostname.endsWith(`.${p.host}`)) || null;
+}
+
+/**
+ * Build the cache key for an upstream URL. Query parameters are sorted so
+ * equivalent requests share an entry, and the API key is left out so keys
+ * never end up in memory longer than a single request. Requests carrying a
+ * client's own key therefore neither use nor fill the cache, which every
+ * client shares.
+ *
+ * @param {URL} url Parsed upstream URL
+ * @returns {string}
+ */
+export function cacheKey(url) {
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => name.toLowerCase() !== 'apikey')
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  return `${url.hostname}${url.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Alpha Vantage reports throttling with HTTP 200 and a `Note` (or, for newer
+ * messages, `Information`) field instead of an error status. Detect those so
+ * they are surfaced as 429 and never cached.
+ *
+ * @param {string} body Raw upstream response body
+ * @returns {boolean}
+ */
+export function isThrottlePayload(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    return false;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  if (data.Note) return true;
+  return typeof data.Information === 'string' && /rate limit|call frequency|requests per (day|minute)/i.test(data.Information);
+}
+
+/**
+ * Provider error payloads (e.g. Alpha Vantage's `Error Message`) come back
+ * with HTTP 200; they are passed through but not cached. Alpha Vantage also
+ * answers with a lone `Information` notice, e.g. about premium endpoints or
+ * the limits of the demo key, in place of the data asked for; such notices
+ * are errors too, so a later request can still get the data.
+ *
+ * @param {string} body Raw upstream response body
+ * @returns {boolean}
+ */
+export function isErrorPayload(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (err) {
+    return false;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  if (data['Error Message'] || data.error) return true;
+  return typeof data.Information === 'string' && Object.keys(data).every(key => key === 'Information');
+}
+
+/**
+ * Add the server-held API key of a provider to an upstream URL unless it
+ * already carries one.
+ *
+ * @param {URL} url Parsed upstream URL, updated in place
+ * @param {object} provider Entry of PROVIDERS
+ * @returns {boolean} False when the provider needs a key and none is configured
+ */
+export function injectApiKey(url, provider) {
+  // Fixtures are keyed without the API key, so replaying needs none
+  if (!provider.keyEnv || url.searchParams.get('apikey') || FIXTURE_MODE === 'replay') return true;
+  const key = process.env[provider.keyEnv] || provider.fallbackKey;
+  if (!key) return false;
+  url.searchParams.set('apikey', key);
+  return true;
+}
+
+/**
+ * Request an upstream URL with the provider's headers and a timeout. The
+ * request is also aborted when the optional `signal` fires. With
+ * SCREENER_FIXTURES=record the response is saved as a fixture as well, and
+ * with SCREENER_FIXTURES=replay it comes from the fixtures instead (see
+ * lib/fixtures.js).
+ *
+ * @param {URL} url Parsed upstream URL, with its API key
+ * @param {object} provider Entry of PROVIDERS
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ */
+export async function fetchUpstream(url, provider, signal) {
+  const key = cacheKey(url);
+  if (signal) signal.throwIfAborted();
+  if (FIXTURE_MODE === 'replay') return replayFixture(key);
+  const timeout = AbortSignal.timeout(UPSTREAM_TIMEOUT_MS);
+  const response = await fetch(url, {
+    headers: provider.headers ? provider.headers() : undefined,
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+  });
+  if (FIXTURE_MODE !== 'record') return response;
+  const body = await response.text();
+  if (response.status !== 429 && !isThrottlePayload(body)) {
+    await recordFixture(key, { status: response.status, contentType: response.headers.get('content-type') || '', body });
+  }
+  return new Response(body, { status: response.status, headers: response.headers });
+}
+
+/**
+ * Build an Error carrying an HTTP status, like the ones the page's proxy
+ * requests reject with.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create a function that fetches a provider URL and parses its JSON, the
+ * server side counterpart of the page's fetchWithProxy: the server's API key
+ * is injected unless the URL carries one, cached responses are reused for
+ * URLs without their own key, and anything else waits for the provider's
+ * rate limiter. Throttle responses
+ * penalize the provider and reject with a throttle error. The wait and the
+ * request are abandoned when the `signal` option fires.
+ *
+ * @param {object} limiters Rate limiters by provider (see createRateLimiters)
+ * @returns {function(string, {signal?: AbortSignal}=): Promise<any>} Resolves
+ *   to the parsed JSON response of a fully qualified provider URL, or the
+ *   raw text
+ */
+export function createUpstreamFetch(limiters) {
+  return async function fetchJson(url, { signal } = {}) {
+    const target = new URL(url);
+    const provider = findProvider(target);
+    if (!provider) throw httpError(403, `Host not allowed: ${target.hostname}`);
+    const ownKey = target.searchParams.has('apikey');
+    if (!injectApiKey(target, provider)) throw httpError(503, `No API key configured for ${provider.host}`);
+    const key = cacheKey(target);
+    const cached = ownKey ? null : cacheGet(key);
+    let body = cached ? cached.body : null;
+    if (!cached) {
+      const id = providerForUrl(url);
+      // Replayed responses do not cost any provider quota
+      const limiter = FIXTURE_MODE === 'replay' ? null : limiters[id];
+      if (limiter) await limiter.acquire(signal);
+      const response = await fetchUpstream(target, provider, signal);
+      body = await response.text();
+      if (response.status === 429 || isThrottlePayload(body)) {
+        const retryAfter = (parseInt(response.headers.get('retry-after'), 10) || 60) * 1000;
+        if (limiter) limiter.penalize(retryAfter);
+        throw throttleError(id, retryAfter);
+      }
+      if (!response.ok) throw httpError(502, `Upstream responded with ${response.status}`);
+      if (!ownKey && !isErrorPayload(body)) {
+        cacheSet(key, { body, contentType: response.headers.get('content-type') || '' }, provider.ttl(target));
+      }
+    }
+    try {
+      return JSON.parse(body);
+    } catch (err) {
+      return body;
+    }
+  };
+}
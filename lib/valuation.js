@@ -0,0 +1,404 @@
+/*
+ * Valuation models and the assumptions they are computed with.  Every
+ * function takes the assumptions explicitly, so the page, the scan endpoint
+ * and scripts can value stocks under assumptions of their own.
+ */
+
+import { finiteOrNull } from './fundamentals.js';
+
+/*
+ * Valuation assumptions shared by every model, edited in the page's
+ * assumptions panel or passed to the scan endpoint.  Rates are decimals
+ * (0.08 = 8%).
+ *
+ *   discountRate       Cost of equity for the dividend discount and
+ *                      residual income models
+ *   dividendGrowth     Constant dividend growth rate of the DDM
+ *   useCapm            Derive the cost of equity per stock with CAPM:
+ *                      riskFreeRate + beta × equityRiskPremium, using the
+ *                      beta from the provider (falls back to discountRate
+ *                      when no beta is available)
+ *   marginOfSafety     A stock only counts as undervalued when its price is
+ *                      below intrinsic value × (1 − marginOfSafety)
+ *   wacc               Discount rate of the DCF
+ *   stage1Growth/Years Free cash flow growth of the first DCF stage
+ *   stage2Growth/Years Free cash flow growth of the second DCF stage; the
+ *                      two stages form the explicit forecast horizon
+ *   terminalGrowth     Growth of the DCF's Gordon growth terminal value
+ *   fadeYears          Years over which the residual income model fades
+ *                      return on equity to the cost of equity
+ *   stalePriceDays     Prices reported as of more days ago than this are
+ *                      flagged as stale in the results
+ *   staleFundamentalsDays  Likewise for every other field, which providers
+ *                      report as of the end of a fiscal period
+ *   bull/bearGrowthShift  Added to every growth rate in the bull and bear
+ *                      scenarios of the detail view (see SCENARIOS)
+ *   bull/bearRateShift Added to every discount rate in those scenarios
+ */
+export const DEFAULT_ASSUMPTIONS = {
+  discountRate: 0.08,
+  dividendGrowth: 0,
+  useCapm: false,
+  riskFreeRate: 0.04,
+  equityRiskPremium: 0.055,
+  marginOfSafety: 0,
+  wacc: 0.09,
+  stage1Growth: 0.08,
+  stage1Years: 5,
+  stage2Growth: 0.04,
+  stage2Years: 5,
+  terminalGrowth: 0.025,
+  fadeYears: 10,
+  stalePriceDays: 5,
+  staleFundamentalsDays: 400,
+  bullGrowthShift: 0.02,
+  bullRateShift: -0.01,
+  bearGrowthShift: -0.02,
+  bearRateShift: 0.01
+};
+
+/**
+ * Check valuation assumptions for values the models cannot work with.
+ *
+ * @param {object} a Valuation assumptions
+ * @returns {string|null} What is wrong, or null when they are valid
+ */
+export function validateAssumptions(a) {
+  for (const [name, fallback] of Object.entries(DEFAULT_ASSUMPTIONS)) {
+    if (typeof a[name] !== typeof fallback || (typeof fallback === 'number' && !isFinite(a[name]))) {
+      return `${name} must be ${typeof fallback === 'boolean' ? 'true or false' : 'a number'}.`;
+    }
+  }
+  // The models project one year at a time
+  for (const name of ['stage1Years', 'stage2Years', 'fadeYears']) {
+    if (!Number.isInteger(a[name])) return `${name} must be a whole number of years.`;
+  }
+  if (a.discountRate <= a.dividendGrowth) {
+    return 'The discount rate must be higher than dividend growth.';
+  }
+  if (a.wacc <= a.terminalGrowth) {
+    return 'The WACC must be higher than terminal growth.';
+  }
+  if (a.marginOfSafety < 0 || a.marginOfSafety >= 1) {
+    return 'The margin of safety must be between 0% and 100%.';
+  }
+  if (a.stage1Years < 0 || a.stage2Years < 0 || a.stage1Years + a.stage2Years < 1 || a.fadeYears < 1) {
+    return 'The forecast horizon and fade period need at least one year.';
+  }
+  if (a.stalePriceDays < 1 || a.staleFundamentalsDays < 1) {
+    return 'Values can only become stale after at least one day.';
+  }
+  return null;
+}
+
+/**
+ * Cost of equity for a stock: CAPM (risk-free rate plus beta times the
+ * equity risk premium) when enabled and a beta is known, otherwise the
+ * flat discount rate.
+ *
+ * @param {object} data Fundamental data, optionally with beta
+ * @param {object} a Valuation assumptions
+ * @returns {number}
+ */
+export function costOfEquity(data, a = DEFAULT_ASSUMPTIONS) {
+  const beta = finiteOrNull(data.beta);
+  if (a.useCapm && beta != null) {
+    return a.riskFreeRate + beta * a.equityRiskPremium;
+  }
+  return a.discountRate;
+}
+
+/**
+ * Value a stock with the constant-growth dividend discount (Gordon growth)
+ * model: next year's dividend divided by the cost of equity minus the
+ * growth rate. Returns null without a dividend or when the cost of equity
+ * does not exceed the growth rate.
+ *
+ * @param {object} data Fundamental data with dividendPerShare
+ * @param {object} a Valuation assumptions
+ * @returns {object|null} Inputs and the per-share value
+ */
+export function computeDdm(data, a = DEFAULT_ASSUMPTIONS) {
+  const dividend = finiteOrNull(data.dividendPerShare);
+  const rate = costOfEquity(data, a);
+  const growth = a.dividendGrowth;
+  if (!dividend || dividend <= 0 || rate <= growth) return null;
+  return { dividend, growth, costOfEquity: rate, beta: finiteOrNull(data.beta), perShare: (dividend * (1 + growth)) / (rate - growth) };
+}
+
+/**
+ * Value a company with a multi-stage free cash flow to the firm DCF.
+ * Projects the latest annual free cash flow through each growth stage,
+ * discounts the projections and a terminal value at the WACC, and
+ * subtracts net debt from the resulting enterprise value to get the
+ * equity value per share. Returns null when free cash flow is missing or
+ * not positive, the share count is missing, or the WACC does not exceed
+ * the terminal growth rate.
+ *
+ * @param {object} data Fundamental data with freeCashFlow, netDebt and sharesOutstanding
+ * @param {object} a Valuation assumptions
+ * @returns {object|null} Inputs, yearly projections and the per-share value
+ */
+export function computeDcf(data, a = DEFAULT_ASSUMPTIONS) {
+  const freeCashFlow = finiteOrNull(data.freeCashFlow);
+  const shares = finiteOrNull(data.sharesOutstanding);
+  const netDebt = finiteOrNull(data.netDebt) || 0;
+  const { wacc, terminalGrowth } = a;
+  const stages = [
+    { years: a.stage1Years, growth: a.stage1Growth },
+    { years: a.stage2Years, growth: a.stage2Growth }
+  ];
+  if (!freeCashFlow || freeCashFlow <= 0 || !shares || shares <= 0 || wacc <= terminalGrowth) {
+    return null;
+  }
+  const projections = [];
+  let cashFlow = freeCashFlow;
+  let year = 0;
+  for (const stage of stages) {
+    for (let i = 0; i < stage.years; i++) {
+      year++;
+      cashFlow *= 1 + stage.growth;
+      projections.push({ year, growth: stage.growth, cashFlow, presentValue: cashFlow / (1 + wacc) ** year });
+    }
+  }
+  const presentValueOfCashFlows = projections.reduce((sum, p) => sum + p.presentValue, 0);
+  const terminalValue = (cashFlow * (1 + terminalGrowth)) / (wacc - terminalGrowth);
+  const presentValueOfTerminal = terminalValue / (1 + wacc) ** year;
+  const enterpriseValue = presentValueOfCashFlows + presentValueOfTerminal;
+  const equityValue = enterpriseValue - netDebt;
+  return {
+    freeCashFlow,
+    netDebt,
+    shares,
+    wacc,
+    stages,
+    terminalGrowth,
+    horizon: year,
+    projections,
+    presentValueOfCashFlows,
+    terminalValue,
+    presentValueOfTerminal,
+    enterpriseValue,
+    equityValue,
+    perShare: equityValue / shares
+  };
+}
+
+/**
+ * Value a company with the residual income model: book value per share
+ * plus the present value of forecast residual income, i.e. earnings in
+ * excess of the cost of equity times beginning book value. ROE starts at
+ * the reported return on equity (or EPS / book value) and fades in a
+ * straight line to the cost of equity over the fade period, at which point
+ * residual income reaches zero and no terminal value is needed. Book value
+ * grows by retained earnings using the current payout ratio. Returns null
+ * without a positive book value and an ROE.
+ *
+ * @param {object} data Fundamental data with bookValue, returnOnEquity, eps and dividendPerShare
+ * @param {object} a Valuation assumptions
+ * @returns {object|null} Inputs, yearly projections and the per-share value
+ */
+export function computeResidualIncome(data, a = DEFAULT_ASSUMPTIONS) {
+  const bookValue = finiteOrNull(data.bookValue);
+  const eps = finiteOrNull(data.eps);
+  if (!bookValue || bookValue <= 0) return null;
+  const roe = finiteOrNull(data.returnOnEquity) ?? (eps != null ? eps / bookValue : null);
+  if (roe == null) return null;
+  const dividend = finiteOrNull(data.dividendPerShare) || 0;
+  const payout = eps && eps > 0 ? Math.min(1, Math.max(0, dividend / eps)) : 0;
+  const rate = costOfEquity(data, a);
+  const { fadeYears } = a;
+  const projections = [];
+  let beginningBook = bookValue;
+  for (let year = 1; year <= fadeYears; year++) {
+    const yearRoe = roe + ((rate - roe) * year) / fadeYears;
+    const earnings = yearRoe * beginningBook;
+    const residualIncome = earnings - rate * beginningBook;
+    projections.push({
+      year,
+      roe: yearRoe,
+      beginningBook,
+      earnings,
+      residualIncome,
+      presentValue: residualIncome / (1 + rate) ** year
+    });
+    beginningBook += earnings * (1 - payout);
+  }
+  const presentValueOfResidualIncome = projections.reduce((sum, p) => sum + p.presentValue, 0);
+  return {
+    bookValue,
+    roe,
+    payout,
+    costOfEquity: rate,
+    fadeYears,
+    projections,
+    presentValueOfResidualIncome,
+    perShare: bookValue + presentValueOfResidualIncome
+  };
+}
+
+/*
+ * Registry of valuation models.  Each entry names the metrics column that
+ * shows its per-share intrinsic value and knows how to compute that value
+ * from a lookupTicker result and the valuation assumptions (null when the
+ * model does not apply), and lists the fundamentals it uses as `inputs`.
+ * New models only need an entry here, a column header in the results
+ * table and an option in the model drop-down.
+ */
+export const VALUATION_MODELS = {
+  ddm: {
+    label: 'Dividend Discount',
+    column: 'intrinsicDividend',
+    inputs: ['dividendPerShare', 'beta'],
+    compute: computeDdm
+  },
+  dcf: {
+    label: 'Discounted Cash Flow',
+    column: 'intrinsicDcf',
+    inputs: ['freeCashFlow', 'netDebt', 'sharesOutstanding'],
+    compute: computeDcf
+  },
+  residualIncome: {
+    label: 'Residual Income',
+    column: 'intrinsicRi',
+    inputs: ['bookValue', 'eps', 'returnOnEquity'],
+    compute: computeResidualIncome
+  }
+};
+
+/**
+ * Per-share intrinsic value of a model, or null when it does not apply.
+ *
+ * @param {string} model Key of VALUATION_MODELS
+ * @param {object} data Fundamental data
+ * @param {object} a Valuation assumptions
+ * @returns {number|null}
+ */
+export function modelValue(model, data, a = DEFAULT_ASSUMPTIONS) {
+  const result = VALUATION_MODELS[model].compute(data, a);
+  return result ? finiteOrNull(result.perShare) : null;
+}
+
+/*
+ * Sensitivity analysis of the detail view.  Intrinsic values depend
+ * heavily on the discount and growth rates, so the DDM and the DCF are
+ * also valued over a grid of both around the assumptions in effect, under
+ * bull, base and bear scenarios, and solved backwards for the growth rate
+ * the current price implies.
+ */
+
+// Offsets from the assumed rates along each axis of a sensitivity grid.
+export const SENSITIVITY_STEPS = [-0.02, -0.01, 0, 0.01, 0.02];
+
+// Models with a sensitivity grid: the assumption varied as the discount
+// rate and as the growth rate, and the rate in effect for a stock.  The
+// DDM grid replaces the cost of equity, which may come from CAPM, with a
+// flat discount rate.
+export const SENSITIVITY_MODELS = {
+  ddm: {
+    rate: { key: 'discountRate', label: 'Cost of equity', base: (data, a) => costOfEquity(data, a) },
+    growth: { key: 'dividendGrowth', label: 'Dividend growth', base: (data, a) => a.dividendGrowth },
+    fixed: { useCapm: false }
+  },
+  dcf: {
+    rate: { key: 'wacc', label: 'WACC', base: (data, a) => a.wacc },
+    growth: { key: 'stage1Growth', label: 'Stage 1 growth', base: (data, a) => a.stage1Growth },
+    fixed: {}
+  }
+};
+
+/**
+ * Value a stock with one of SENSITIVITY_MODELS over a grid of discount
+ * and growth rates centred on the assumptions in effect.
+ *
+ * @param {object} data Fundamental data
+ * @param {string} model Key of SENSITIVITY_MODELS
+ * @param {object} a Valuation assumptions
+ * @returns {{rates: number[], growths: number[], values: Array<Array<number|null>>}|null}
+ *   Per-share values by rate (rows) and growth (columns); null when the
+ *   model cannot value the stock at any point of the grid
+ */
+export function sensitivityGrid(data, model, a = DEFAULT_ASSUMPTIONS) {
+  const { rate, growth, fixed } = SENSITIVITY_MODELS[model];
+  const rates = SENSITIVITY_STEPS.map(step => rate.base(data, a) + step);
+  const growths = SENSITIVITY_STEPS.map(step => growth.base(data, a) + step);
+  const values = rates.map(r => growths.map(g => modelValue(model, data, { ...a, ...fixed, [rate.key]: r, [growth.key]: g })));
+  return values.some(row => row.some(value => value != null)) ? { rates, growths, values } : null;
+}
+
+// Named scenarios: the assumptions that shift every growth rate and every
+// discount rate, none for the base case.
+export const SCENARIOS = {
+  bear: { label: 'Bear', growthShift: 'bearGrowthShift', rateShift: 'bearRateShift' },
+  base: { label: 'Base' },
+  bull: { label: 'Bull', growthShift: 'bullGrowthShift', rateShift: 'bullRateShift' }
+};
+
+/**
+ * Assumptions of a scenario: the growth rates and discount rates of `a`
+ * moved by the scenario's shifts.  Terminal growth moves by half the
+ * growth shift, since growth into perpetuity is bounded by the economy.
+ *
+ * @param {string} scenario Key of SCENARIOS
+ * @param {object} a Valuation assumptions
+ * @returns {object}
+ */
+export function scenarioAssumptions(scenario, a = DEFAULT_ASSUMPTIONS) {
+  const { growthShift, rateShift } = SCENARIOS[scenario];
+  const g = growthShift ? a[growthShift] : 0;
+  const r = rateShift ? a[rateShift] : 0;
+  return {
+    ...a,
+    dividendGrowth: a.dividendGrowth + g,
+    stage1Growth: a.stage1Growth + g,
+    stage2Growth: a.stage2Growth + g,
+    terminalGrowth: a.terminalGrowth + g / 2,
+    discountRate: a.discountRate + r,
+    riskFreeRate: a.riskFreeRate + r,
+    wacc: a.wacc + r
+  };
+}
+
+// Stage 1 growth rates the DCF's implied growth is searched between.
+const IMPLIED_GROWTH_RANGE = [-0.5, 1];
+
+/**
+ * Growth rate at which a model values a stock at its current price: the
+ * dividend growth of the DDM, solved in closed form, or the stage 1 growth
+ * of the DCF, found by bisection since the DCF value rises with growth.
+ *
+ * @param {object} data Fundamental data with a price
+ * @param {string} model Key of SENSITIVITY_MODELS
+ * @param {object} a Valuation assumptions
+ * @returns {number|null} Implied growth rate; null without a price or when
+ *   the model does not apply, or for the DCF when the price needs growth
+ *   outside IMPLIED_GROWTH_RANGE
+ */
+export function impliedGrowth(data, model, a = DEFAULT_ASSUMPTIONS) {
+  const price = finiteOrNull(data.price);
+  if (!price || price <= 0) return null;
+  if (model === 'ddm') {
+    // price = dividend × (1 + g) / (r − g)  ⇔  g = (price × r − dividend) / (price + dividend)
+    const dividend = finiteOrNull(data.dividendPerShare);
+    if (!dividend || dividend <= 0) return null;
+    const rate = costOfEquity(data, a);
+    return (price * rate - dividend) / (price + dividend);
+  }
+  const valueAt = growth => modelValue('dcf', data, { ...a, stage1Growth: growth });
+  let [low, high] = IMPLIED_GROWTH_RANGE;
+  const lowValue = valueAt(low);
+  const highValue = valueAt(high);
+  if (lowValue == null || highValue == null || price < lowValue || price > highValue) return null;
+  for (let i = 0; i < 60 && high - low > 1e-6; i++) {
+    const mid = (low + high) / 2;
+    if (valueAt(mid) < price) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Model used when none was chosen.
+export const DEFAULT_MODEL = 'dcf';
@@ -4,10 +4,12 @@
  * This script powers the stock scanning portion of the website. Users can enter
  * comma‑separated ticker symbols and the script will attempt to retrieve
  * fundamental data from free public APIs. The primary source used is
- * Alpha Vantage's “OVERVIEW” and “GLOBAL_QUOTE” endpoints, which expose
+ * Alpha Vantage's “OVERVIEW” and “GLOBAL_QUOTE” endpoints, which expose
  * earnings per share, book value per share, enterprise value, EBITDA, and
- * dividend information. A simple proxy service (allorigins.win) is used to
- * bypass cross‑origin restrictions when making requests from a browser.
+ * dividend information. Requests go through the serverless proxy in
+ * `api/proxy.js`, which bypasses cross‑origin restrictions, only talks to
+ * the known provider hosts, caches responses and injects the provider API
+ * keys from server‑side environment variables.
  *
  * If data is successfully retrieved, the script computes several valuation
  * metrics inspired by the CFA curriculum:
@@ -16,22 +18,156 @@
  *   – EV/EBITDA ratio (a proxy for the enterprise value model)
  *   – Dividend per share and dividend yield
  *   – A constant‑growth dividend discount model (simplified Gordon Growth) to
- *     estimate an intrinsic value using a default discount rate of 8% and
+ *     estimate an intrinsic value, by default with an 8% discount rate and
  *     zero growth. This is purely illustrative and should not be relied on
  *     for investment decisions.
+ *   – A multi‑stage discounted cash flow (DCF) model that projects free cash
+ *     flow over an explicit forecast horizon, adds a terminal value and
+ *     subtracts net debt to arrive at a per‑share intrinsic value.
+ *   – A residual income model that adds the present value of forecast excess
+ *     earnings to book value, suited to banks and insurers.
  *
- * In order to use a different data provider or to customise the discount rate,
- * modify the API_KEYS constant and the helper functions below. If no data
- * provider responds or if a ticker is invalid, the row for that ticker will
- * display N/A values.
+ * The valuation models are collected in VALUATION_MODELS; the model picked
+ * in the scanner form decides which intrinsic value the full market scan
+ * compares the price against.
+ *
+ * Which stocks the full market scan keeps is decided by a screen: a filter
+ * expression such as `pe < 15 AND pb < 1.5 AND divYield > 3%` written in the
+ * screening language described above compileScreen. The default screen,
+ * `undervalued`, keeps stocks priced below intrinsic value less the margin of
+ * safety. Named screens are saved in localStorage.
+ *
+ * Named watchlists of tickers are kept in IndexedDB. Every scan of a
+ * watchlist saves a dated snapshot of its fundamentals and metrics, and the
+ * results table shows what changed since the previous one (see
+ * recordWatchlistScan).
+ *
+ * P/E, P/B, EV/EBITDA and dividend yield are also scored against the other
+ * stocks of the same sector in the current universe, and combined into a
+ * relative cheapness the table and screens can sort and filter on (see
+ * scoreUniverse).
+ *
+ * Amounts are shown in the currency picked next to the model: lookups
+ * record the currency every provider reported a field in and convert it at
+ * the exchange rates of Frankfurter (see convertFundamentals), so foreign
+ * listings and ADRs give sensible P/E and P/B ratios.  The full scan's
+ * universe can be narrowed to exchanges and countries.
+ *
+ * The portfolio panel values holdings imported from a CSV file or entered
+ * by hand with the same fundamentals and models: market value, weighted
+ * ratios, dividend income, unrealized gain and the discount to intrinsic
+ * value (see valuePortfolio).  Holdings are kept in IndexedDB.
+ *
+ * The Share menu copies a link whose fragment encodes the scanner state,
+ * optionally with a compressed snapshot of the results, and opening such a
+ * link restores it (see encodeShareState and packSnapshot).
+ *
+ * Discount rates, growth rates, CAPM inputs and the margin of safety are set
+ * in the assumptions panel (see DEFAULT_ASSUMPTIONS). Data providers are
+ * listed in createDataSource and return fundamentals in the normalized schema
+ * described above FUNDAMENTAL_FIELDS; besides Alpha Vantage and FMP, SEC
+ * EDGAR's XBRL company facts supply fundamentals without an API key. If no
+ * data provider responds or if a ticker is invalid, the row for that ticker
+ * will display N/A values.
+ *
+ * The code that does not touch the page (providers, rate limits, valuation
+ * models, screens, exports and the scan loop) lives in the modules under
+ * `lib/`, which the serverless scan endpoint in `api/scan.js` and the command
+ * line in `bin/screener.js` share. Full market scans run on that endpoint and
+ * stream their results back to the page; where it is not deployed, the page
+ * runs the scan itself.
  */
 
+import { ALERT_PRESETS, checkAlertRule, createAlertRule, describeAlert } from './lib/alerts.js';
+import { convertFundamentals, createFxSource, DEFAULT_CURRENCY, DISPLAY_CURRENCIES, MONETARY_FIELDS } from './lib/currency.js';
+import { readEvents } from './lib/events.js';
+import { EXPORT_FORMATS, exportRecords } from './lib/export.js';
+import { finiteOrNull, FUNDAMENTAL_FIELDS, provenanceDate, TEXT_FIELDS } from './lib/fundamentals.js';
+import { convertHoldings, createHolding, parseHoldingsCsv, valuePortfolio } from './lib/portfolio.js';
+import { createDataSource } from './lib/providers.js';
+import {
+  createRateLimiters,
+  DAY,
+  findExhaustedProvider,
+  limiterStatuses,
+  MINUTE,
+  PROVIDER_LABELS,
+  providerForUrl,
+  retryThrottled,
+  throttleError
+} from './lib/rate-limits.js';
+import { createScanControl, createScanResults, runScan, runScanQueue } from './lib/scan.js';
+import {
+  byUndervaluation,
+  compileScreen,
+  DEFAULT_SCREEN,
+  numericMetrics,
+  PRESET_SCREENS,
+  RESULT_COLUMNS,
+  SCREEN_FIELDS,
+  scoreUniverse,
+  screenRow,
+  screenRows,
+  toDisplayRows
+} from './lib/screen.js';
+import {
+  createSnapshot,
+  decodeShareState,
+  encodeShareState,
+  packSnapshot,
+  readSnapshotFile,
+  SNAPSHOT_URL_LIMIT,
+  snapshotFile,
+  unpackSnapshot
+} from './lib/share.js';
+import {
+  computeDcf,
+  computeDdm,
+  computeResidualIncome,
+  DEFAULT_ASSUMPTIONS,
+  DEFAULT_MODEL,
+  impliedGrowth,
+  modelValue,
+  scenarioAssumptions,
+  SCENARIOS,
+  SENSITIVITY_MODELS,
+  SENSITIVITY_STEPS,
+  sensitivityGrid,
+  validateAssumptions,
+  VALUATION_MODELS
+} from './lib/valuation.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   const scanBtn = document.getElementById('scan-btn');
   const tickersInput = document.getElementById('tickers-input');
   const resultsTable = document.getElementById('results');
   const resultsBody = document.getElementById('results-body');
 
+  // Export drop-down, column chooser and pagination controls of the results
+  // table.
+  const exportMenu = document.getElementById('export-menu');
+  // Share menu, the snapshot file picker and the note on opened shared state.
+  const shareMenu = document.getElementById('share-menu');
+  const snapshotFileInput = document.getElementById('snapshot-file');
+  const shareStatus = document.getElementById('share-status');
+  const columnOptions = document.getElementById('column-options');
+  const prevPageBtn = document.getElementById('prev-page-btn');
+  const nextPageBtn = document.getElementById('next-page-btn');
+  const pageSizeSelect = document.getElementById('page-size');
+  const pageStatus = document.getElementById('page-status');
+
+  // Toggle that shows the changes since the previous scan of a watchlist,
+  // and the date of that scan next to it.
+  const showChangesInput = document.getElementById('show-changes');
+  const changesSince = document.getElementById('changes-since');
+
+  // Toggle that groups the rows of the results table by sector.
+  const groupBySectorInput = document.getElementById('group-by-sector');
+
+  // Panel below the results table that shows the valuation inputs behind a
+  // single ticker when its symbol is clicked.
+  const tickerDetail = document.getElementById('ticker-detail');
+
       // Reference to the optional button that performs a broad market scan. When
       // clicked this will fetch a large list of tickers from the NASDAQ
       // screener API and compute valuation metrics for each. Companies
@@ -41,43 +177,157 @@ document.addEventListener('DOMContentLoaded', () => {
       // tickers and may take several seconds to complete.
       const fullScanBtn = document.getElementById('full-scan-btn');
 
+  // Status line that shows the live progress of a full market scan.
+  const scanProgress = document.getElementById('scan-progress');
+
+  // Controls for a running full scan (pause/resume and stop) and for
+  // discarding the checkpoint of an interrupted scan.
+  const pauseScanBtn = document.getElementById('pause-scan-btn');
+  const stopScanBtn = document.getElementById('stop-scan-btn');
+  const discardScanBtn = document.getElementById('discard-scan-btn');
+
+  // Drop-down that picks the valuation model used to flag undervalued stocks.
+  const modelSelect = document.getElementById('model-select');
+
+  // Drop-down of the currency amounts are shown in, and the exchange and
+  // country filters of the full scan's ticker universe.
+  const currencySelect = document.getElementById('currency-select');
+  const exchangeFilterInput = document.getElementById('exchange-filter');
+  const countryFilterInput = document.getElementById('country-filter');
+
+  // Screen expression applied by the full scan, the saved screens picker,
+  // its save/delete buttons, the validation message and the field list.
+  const screenInput = document.getElementById('screen-input');
+  const savedScreensSelect = document.getElementById('saved-screens');
+  const saveScreenBtn = document.getElementById('save-screen-btn');
+  const deleteScreenBtn = document.getElementById('delete-screen-btn');
+  const screenError = document.getElementById('screen-error');
+  const screenHelp = document.getElementById('screen-help');
+
+  // Watchlist picker and its save/delete buttons.
+  const watchlistSelect = document.getElementById('watchlist-select');
+  const saveWatchlistBtn = document.getElementById('save-watchlist-btn');
+  const deleteWatchlistBtn = document.getElementById('delete-watchlist-btn');
+
+  // Alerts panel: the form adding a rule, its validation message, the list
+  // of rules, the check interval, webhook and notification settings, the
+  // status of the last check and the alert log.
+  const alertForm = document.getElementById('alert-form');
+  const alertTickerInput = document.getElementById('alert-ticker');
+  const alertConditionInput = document.getElementById('alert-condition');
+  const alertPresets = document.getElementById('alert-presets');
+  const alertError = document.getElementById('alert-error');
+  const alertRulesList = document.getElementById('alert-rules');
+  const alertIntervalSelect = document.getElementById('alert-interval');
+  const alertWebhookInput = document.getElementById('alert-webhook');
+  const alertNotifyBtn = document.getElementById('alert-notify-btn');
+  const alertCheckBtn = document.getElementById('alert-check-btn');
+  const alertStatus = document.getElementById('alert-status');
+  const alertLogBody = document.getElementById('alert-log-body');
+  const clearAlertLogBtn = document.getElementById('clear-alert-log-btn');
+
+  // Portfolio panel: the form adding a holding, the CSV import, refresh and
+  // remove buttons, validation and status messages, the totals and the
+  // positions table.
+  const portfolioPanel = document.getElementById('portfolio-panel');
+  const holdingForm = document.getElementById('holding-form');
+  const holdingTickerInput = document.getElementById('holding-ticker');
+  const holdingSharesInput = document.getElementById('holding-shares');
+  const holdingCostInput = document.getElementById('holding-cost');
+  const holdingsFileInput = document.getElementById('holdings-file');
+  const refreshPortfolioBtn = document.getElementById('refresh-portfolio-btn');
+  const clearPortfolioBtn = document.getElementById('clear-portfolio-btn');
+  const portfolioError = document.getElementById('portfolio-error');
+  const portfolioStatus = document.getElementById('portfolio-status');
+  const portfolioSummary = document.getElementById('portfolio-summary');
+  const portfolioBody = document.getElementById('portfolio-body');
+  const portfolioIntrinsicHeader = document.getElementById('portfolio-intrinsic-header');
+
+  // Form in the assumptions panel, its validation message and reset button.
+  const assumptionsForm = document.getElementById('assumptions-form');
+  const assumptionsError = document.getElementById('assumptions-error');
+  const resetAssumptionsBtn = document.getElementById('reset-assumptions-btn');
+
   // Reference to the optional API key input field. Users can supply their own
   // Alpha Vantage API key here to unlock data for a broader set of tickers.
   const apiKeyInput = document.getElementById('apikey-input');
 
   /*
-   * API keys for data providers.  By default the Alpha Vantage key uses
-   * the public demo key, which only returns meaningful data for MSFT and a
-   * handful of symbols.  To enable scanning across all tickers you should
-   * sign up for a free API key at https://www.alphavantage.co/support/#api-key
-   * and replace the value below.  You may optionally add a Financial
-   * Modeling Prep key if you have one.
+   * Optional per-session API key overrides for data providers.  These are
+   * never hard-coded: the proxy injects the keys configured on the server
+   * (ALPHA_VANTAGE_API_KEY and FMP_API_KEY, see api/proxy.js) whenever a
+   * request does not carry its own key.  A key typed into the API key field
+   * is stored here and sent along instead, which lets users scan with their
+   * own Alpha Vantage or FMP quota.
    */
   const API_KEYS = {
-    alpha: 'demo',
+    alpha: '',
     fmp: ''
   };
 
+  // Providers for which the proxy reported that no server-side key is
+  // configured (HTTP 503).  They are skipped for the rest of the session
+  // unless the user supplies a key of their own.
+  const missingServerKeys = new Set();
+
+  /**
+   * Whether requests to a provider can succeed: either the user supplied a
+   * key or the proxy has not (yet) reported a missing server key.
+   *
+   * @param {string} provider Key of API_KEYS
+   * @returns {boolean}
+   */
+  function hasApiKey(provider) {
+    return Boolean(API_KEYS[provider]) || !missingServerKeys.has(provider);
+  }
+
+  // Minimum delay between two checkpoint writes while a full scan runs.
+  const CHECKPOINT_INTERVAL_MS = 2000;
+
+  // Rate limiters of this session (see lib/rate-limits.js).
+  const rateLimiters = createRateLimiters();
+
   /**
-   * Fetch JSON over the network via a simple proxy to work around
+   * Fetch JSON over the network via our serverless proxy to work around
    * cross‑origin resource sharing (CORS) restrictions. The proxy forwards
-   * requests to the target URL and returns the raw response. See
-   * https://github.com/gnuns/allorigins for details.
+   * requests to the target URL and returns the raw response. Failed requests
+   * reject with an Error whose `status` property holds the proxy's HTTP
+   * status (403 rejected host, 429 throttled, 502/504 upstream failure,
+   * 503 missing server key). Each request waits for the provider's rate
+   * limiter first; throttle responses penalize the provider and reject with
+   * a throttle error (see throttleError). The `signal` option abandons the
+   * wait and the request.
    *
    * @param {string} url Fully qualified URL to fetch
+   * @param {{signal?: AbortSignal}} [options]
    * @returns {Promise<any>} Parsed JSON response
    */
-  async function fetchWithProxy(url) {
+  async function fetchWithProxy(url, { signal } = {}) {
     /*
      * Proxy requests through a serverless API route hosted on the same domain.
      * This avoids CORS issues by ensuring all requests originate from our
-     * domain. The API endpoint simply fetches the target URL and returns
-     * the raw response. See `/api/proxy.js` in the repository for details.
+     * domain. The API endpoint fetches the target URL and returns the raw
+     * response. See `/api/proxy.js` in the repository for details.
      */
+    const provider = providerForUrl(url);
+    const limiter = rateLimiters[provider];
+    if (limiter) await limiter.acquire(signal);
     const proxied = `/api/proxy?url=${encodeURIComponent(url)}`;
-    const response = await fetch(proxied);
+    const response = await fetch(proxied, { signal });
+    // Responses served from the proxy cache or replayed from its fixtures
+    // did not cost any provider quota
+    if (limiter && ['HIT', 'REPLAY'].includes(response.headers.get('X-Cache'))) {
+      limiter.refund();
+    }
+    if (response.status === 429) {
+      const retryAfter = (parseInt(response.headers.get('Retry-After'), 10) || 60) * 1000;
+      if (limiter) limiter.penalize(retryAfter);
+      throw throttleError(provider, retryAfter);
+    }
     if (!response.ok) {
-      throw new Error(`Network error ${response.status}`);
+      const error = new Error(`Network error ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
     // Try to parse JSON; fall back to text if parsing fails
     const text = await response.text();
@@ -88,429 +338,2878 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /*
+   * Exchange rates come from Frankfurter through the proxy, like the data
+   * of the providers.  Running the server with SCREENER_FIXTURES=replay
+   * answers both from the recorded responses in fixtures/recorded/ (see
+   * lib/fixtures.js), so the page can be exercised offline.
+   */
+  const fx = createFxSource({ fetchJson: fetchWithProxy });
+
+  const CURRENCY_STORAGE_KEY = 'stockScreener.currency';
+
+  // Currency amounts are converted into for display (see convertFundamentals).
+  let displayCurrency = localStorage.getItem(CURRENCY_STORAGE_KEY) || DEFAULT_CURRENCY;
+  if (!DISPLAY_CURRENCIES.includes(displayCurrency)) displayCurrency = DEFAULT_CURRENCY;
+
+  /*
+   * Data providers (see lib/providers.js), asked through the proxy with the
+   * keys the user supplied, if any.  Lookups convert amounts into the
+   * display currency.
+   */
+  const dataSource = createDataSource({
+    fetchJson: fetchWithProxy,
+    apiKey: provider => API_KEYS[provider] || '',
+    available: hasApiKey,
+    onMissingKey: provider => missingServerKeys.add(provider),
+    limiters: rateLimiters,
+    currency: () => displayCurrency,
+    fx
+  });
+
+  // Latest fundamentals per ticker, used by the per-ticker detail view.
+  const fundamentalsByTicker = new Map();
+
+  /**
+   * Lookup a ticker with the providers of the data source and keep its
+   * fundamentals for the detail view.
+   *
+   * @param {string} symbol Stock ticker
+   * @param {AbortSignal} [signal] Abandons the lookup, e.g. when a scan is stopped
+   * @returns {Promise<object|null>} Normalized fundamentals or null
+   */
+  async function lookupTicker(symbol, signal) {
+    const data = await dataSource.lookupTicker(symbol, assumptions, signal);
+    if (data) fundamentalsByTicker.set(symbol.toUpperCase(), data);
+    return data;
+  }
+
   /**
-   * Attempt to retrieve fundamental data from the Financial Modeling Prep API.
-   * This function is optional and will only execute if a key is provided.
-   * It returns an object containing price, eps, bookValue, enterprise value,
-   * EBITDA and dividend information. When unavailable or errors occur it
-   * returns null.
+   * Lookup a ticker and retry with exponential back-off while providers
+   * answer with throttle responses (see retryThrottled).
    *
    * @param {string} symbol Stock ticker
-   * @returns {Promise<object|null>}
+   * @param {AbortSignal} [signal] Abandons the lookup and its retries
+   * @returns {Promise<object|null>} Fundamental data or null
+   */
+  const lookupWithRetry = (symbol, signal) => retryThrottled(() => lookupTicker(symbol, signal), rateLimiters, signal);
+
+  const ASSUMPTIONS_STORAGE_KEY = 'stockScreener.assumptions';
+
+  /**
+   * Load the saved valuation assumptions, filling in defaults for anything
+   * missing or unreadable.
+   *
+   * @returns {object}
    */
-  async function fetchFromFMP(symbol) {
-    if (!API_KEYS.fmp) return null;
+  function loadAssumptions() {
     try {
-      // Quote endpoint: includes price, EPS and P/E ratio (if available)
-      const quoteUrl = `https://financialmodelingprep.com/api/v3/quote/${symbol}?apikey=${API_KEYS.fmp}`;
-      const quoteData = await fetchWithProxy(quoteUrl);
-      if (!Array.isArray(quoteData) || quoteData.length === 0) return null;
-      const quote = quoteData[0];
-      const price = parseFloat(quote.price);
-      // Key metrics endpoint: includes book value per share, enterprise value, EBITDA, etc.
-      const metricsUrl = `https://financialmodelingprep.com/api/v3/key-metrics/${symbol}?period=annual&limit=1&apikey=${API_KEYS.fmp}`;
-      const metricsData = await fetchWithProxy(metricsUrl);
-      const metrics = Array.isArray(metricsData) && metricsData.length > 0 ? metricsData[0] : {};
-      const eps = parseFloat(metrics.EarningsPerShareTTM || quote.eps || quote.epsTTM);
-      const bookValue = parseFloat(metrics.bookValuePerShare || metrics.bookValue);
-      const enterpriseValue = parseFloat(metrics.enterpriseValue || quote.enterpriseValue);
-      const ebitda = parseFloat(metrics.EBITDA || quote.ebitda);
-      const dividendPerShare = parseFloat(metrics.dividendPerShare || quote.lastDiv);
-      const dividendYield = parseFloat(metrics.dividendYield || quote.dividendYield);
-      return { price, eps, bookValue, enterpriseValue, ebitda, dividendPerShare, dividendYield };
+      const saved = JSON.parse(localStorage.getItem(ASSUMPTIONS_STORAGE_KEY) || '{}');
+      return { ...DEFAULT_ASSUMPTIONS, ...saved };
     } catch (err) {
-      console.warn('FMP error:', err);
-      return null;
+      return { ...DEFAULT_ASSUMPTIONS };
     }
   }
 
+  // Valuation assumptions currently in effect.
+  let assumptions = loadAssumptions();
+
   /**
-   * Retrieve fundamental data from Alpha Vantage's OVERVIEW and GLOBAL_QUOTE
-   * endpoints. Uses the provided API key. Returns null on failure or if
-   * required fields are missing.
+   * Key of the valuation model currently selected in the scanner form.
    *
-   * @param {string} symbol Stock ticker
-   * @returns {Promise<object|null>}
+   * @returns {string}
+   */
+  function selectedModel() {
+    return modelSelect && VALUATION_MODELS[modelSelect.value] ? modelSelect.value : DEFAULT_MODEL;
+  }
+
+  const SCREENS_STORAGE_KEY = 'stockScreener.screens';
+
+  /**
+   * Load the named screens saved in localStorage.
+   *
+   * @returns {Object<string, string>} Screen text by name
    */
-  async function fetchFromAlpha(symbol) {
-    if (!API_KEYS.alpha) return null;
+  function loadSavedScreens() {
     try {
-      // Company overview (fundamentals)
-      const overviewUrl = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${API_KEYS.alpha}`;
-      const overview = await fetchWithProxy(overviewUrl);
-      // If the API returns an empty object or contains error keys, abort
-      if (!overview || Object.keys(overview).length === 0 || overview.Note || overview['Error Message']) {
-        return null;
-      }
-      // Global quote (latest price)
-      const quoteUrl = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${API_KEYS.alpha}`;
-      const quoteData = await fetchWithProxy(quoteUrl);
-      const quote = quoteData['Global Quote'];
-      if (!quote || !quote['05. price']) return null;
-      const price = parseFloat(quote['05. price']);
-      const eps = parseFloat(overview.EPS);
-      const bookValue = parseFloat(overview.BookValue);
-      const enterpriseValue = parseFloat(overview.EnterpriseValue);
-      const ebitda = parseFloat(overview.EBITDA);
-      const evToEbitda = parseFloat(overview.EVToEBITDA);
-      const dividendPerShare = parseFloat(overview.DividendPerShare);
-      const dividendYield = parseFloat(overview.DividendYield);
-      return { price, eps, bookValue, enterpriseValue, ebitda, evToEbitda, dividendPerShare, dividendYield };
+      const saved = JSON.parse(localStorage.getItem(SCREENS_STORAGE_KEY) || '{}');
+      return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
     } catch (err) {
-      console.warn('AlphaVantage error:', err);
-      return null;
+      return {};
     }
   }
 
+  const ALERTS_STORAGE_KEY = 'stockScreener.alerts';
+
   /**
-   * Lookup a ticker by querying multiple providers in sequence. Returns the
-   * first successful response. Providers used: FMP (if API key present),
-   * then Alpha Vantage. Additional providers could be added here.
+   * Load the alert settings saved in localStorage: how often alert rules are
+   * checked and the webhook fired alerts are posted to.
    *
-   * @param {string} symbol Stock ticker
-   * @returns {Promise<object|null>} Fundamental data or null
+   * @returns {{intervalMinutes: number, webhookUrl: string}}
+   */
+  function loadAlertSettings() {
+    const defaults = { intervalMinutes: 15, webhookUrl: '' };
+    try {
+      const saved = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY) || '{}');
+      return saved && typeof saved === 'object' ? { ...defaults, ...saved } : defaults;
+    } catch (err) {
+      return defaults;
+    }
+  }
+
+  // Named screens saved by the user, and the screen currently in effect.
+  let savedScreens = loadSavedScreens();
+  let activeScreen = compileScreen(DEFAULT_SCREEN);
+
+  // Fundamentals of the current universe by ticker: the tickers of the last
+  // lookup, or every ticker a full scan has fetched so far; and their
+  // sector-relative scores (see scoreUniverse).
+  let universeFundamentals = {};
+  let relativeScores = new WeakMap();
+
+  /**
+   * Make the given fundamentals the current universe and score them
+   * against their sector peers.
+   *
+   * @param {Object<string, object|null>} fundamentals lookupTicker results by symbol
+   * @param {WeakMap<object, object>} [scores] Their scores, when already computed
+   */
+  function setUniverse(fundamentals, scores = scoreUniverse(Object.values(fundamentals))) {
+    universeFundamentals = fundamentals;
+    relativeScores = scores;
+  }
+
+  /**
+   * The screen context (see SCREEN_FIELDS) of the page: the given or the
+   * selected valuation model, the assumptions in effect and the scores of
+   * the current universe.
+   *
+   * @param {string} model Key of VALUATION_MODELS
+   * @returns {object}
+   */
+  function screenContext(model = selectedModel()) {
+    return { model, assumptions, scores: relativeScores };
+  }
+
+  /**
+   * Score a scan's fundamentals against their sector peers, making them the
+   * current universe, and derive the sorted rows passing the screen.
+   *
+   * @param {Object<string, object|null>} fundamentals lookupTicker results by symbol
+   * @param {string} model Key of VALUATION_MODELS
+   * @param {object} screen Result of compileScreen
+   * @returns {Array}
+   */
+  function rescreen(fundamentals, model = selectedModel(), screen = activeScreen) {
+    setUniverse(fundamentals);
+    return screenRows(fundamentals, screen, screenContext(model));
+  }
+
+  // Rows of the current result set, in the order they were produced.
+  let renderedRows = [];
+
+  // Earlier watchlist snapshot the rows of a ticker lookup are compared with
+  // (see snapshotChanges), or null when there is none.
+  let comparisonSnapshot = null;
+
+  // Display names of the normalized fundamentals fields.
+  const FIELD_LABELS = {
+    price: 'Price',
+    eps: 'EPS',
+    bookValue: 'Book value',
+    enterpriseValue: 'Enterprise value',
+    ebitda: 'EBITDA',
+    evToEbitda: 'EV/EBITDA',
+    dividendPerShare: 'Dividend',
+    dividendYield: 'Dividend yield',
+    freeCashFlow: 'Free cash flow',
+    netDebt: 'Net debt',
+    sharesOutstanding: 'Shares outstanding',
+    returnOnEquity: 'ROE',
+    beta: 'Beta',
+    sector: 'Sector',
+    industry: 'Industry'
+  };
+
+  const numberFormat = new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const percentFormat = new Intl.NumberFormat(undefined, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const percentileFormat = new Intl.NumberFormat(undefined, { style: 'percent', maximumFractionDigits: 0 });
+
+  /**
+   * Format a metric for the results table as HTML: two decimals with
+   * thousands separators, a percentage, a whole percentile or escaped text;
+   * 'N/A' when missing.
+   *
+   * @param {number|string|null} value
+   * @param {string} format 'number', 'percent', 'percentile' or 'text'
+   * @returns {string}
+   */
+  function formatMetric(value, format) {
+    if (format === 'text') return value ? escapeHtml(value) : 'N/A';
+    if (typeof value !== 'number' || !isFinite(value)) return 'N/A';
+    if (format === 'percentile') return percentileFormat.format(value);
+    return format === 'percent' ? percentFormat.format(value) : numberFormat.format(value);
+  }
+
+  const TABLE_STORAGE_KEY = 'stockScreener.table';
+
+  /**
+   * Load the saved results table preferences (hidden columns, page size,
+   * whether changes since the previous watchlist scan are shown and whether
+   * rows are grouped by sector).
+   *
+   * @returns {{hiddenColumns: string[], pageSize: number, showChanges: boolean, groupBySector: boolean}}
    */
-  async function lookupTicker(symbol) {
-    const upper = symbol.toUpperCase();
-    let data = null;
-    if (API_KEYS.fmp) {
-      data = await fetchFromFMP(upper);
+  function loadTablePreferences() {
+    const defaults = { hiddenColumns: ['industry'], pageSize: 50, showChanges: true, groupBySector: false };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(TABLE_STORAGE_KEY) || '{}') };
+    } catch (err) {
+      return defaults;
     }
-    if (!data && API_KEYS.alpha) {
-      data = await fetchFromAlpha(upper);
+  }
+
+  /*
+   * View state of the results table.  `sortKey` is null while rows keep the
+   * order they were produced in (by P/E for ticker lookups, by how
+   * undervalued they are for full scans); `page` is zero based.
+   */
+  const tableState = {
+    sortKey: null,
+    sortDescending: false,
+    page: 0,
+    ...loadTablePreferences()
+  };
+
+  function saveTablePreferences() {
+    try {
+      localStorage.setItem(TABLE_STORAGE_KEY, JSON.stringify({
+        hiddenColumns: tableState.hiddenColumns,
+        pageSize: tableState.pageSize,
+        showChanges: tableState.showChanges,
+        groupBySector: tableState.groupBySector
+      }));
+    } catch (err) {
+      console.warn('Unable to save table preferences:', err);
     }
-    return data;
   }
 
   /**
-   * Compute valuation metrics given fundamental inputs. Handles missing values
-   * gracefully by returning 'N/A'. Also applies a simple constant‑growth
-   * dividend discount model with a zero growth assumption and an 8% discount
-   * rate to estimate intrinsic value. This formula is: intrinsic =
-   * dividendPerShare / discountRate.
+   * Whether a field's value is older than the staleness threshold of the
+   * assumptions: stalePriceDays for prices, staleFundamentalsDays otherwise.
    *
-   * @param {object} data Fundamental data
-   * @returns {object} Formatted metrics
-   */
-  function computeMetrics(data) {
-    const price = typeof data.price === 'number' && !isNaN(data.price) ? data.price : null;
-    const eps = typeof data.eps === 'number' && !isNaN(data.eps) ? data.eps : null;
-    const bookValue = typeof data.bookValue === 'number' && !isNaN(data.bookValue) ? data.bookValue : null;
-    const enterpriseValue = typeof data.enterpriseValue === 'number' && !isNaN(data.enterpriseValue) ? data.enterpriseValue : null;
-    const ebitda = typeof data.ebitda === 'number' && !isNaN(data.ebitda) ? data.ebitda : null;
-    const evToEbitda = typeof data.evToEbitda === 'number' && !isNaN(data.evToEbitda) ? data.evToEbitda : (enterpriseValue && ebitda ? enterpriseValue / ebitda : null);
-    const dividendPerShare = typeof data.dividendPerShare === 'number' && !isNaN(data.dividendPerShare) ? data.dividendPerShare : null;
-    const dividendYield = typeof data.dividendYield === 'number' && !isNaN(data.dividendYield) ? data.dividendYield : (dividendPerShare && price ? dividendPerShare / price : null);
-
-    const pe = price && eps ? price / eps : null;
-    const pb = price && bookValue ? price / bookValue : null;
-    // Simplified dividend discount model: constant growth g=0, discount rate r=8%
-    const discountRate = 0.08;
-    const intrinsicDividend = dividendPerShare ? dividendPerShare / discountRate : null;
-
-    const format = (value, digits = 2) => (typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : 'N/A');
-    return {
-      price: format(price),
-      eps: format(eps),
-      pe: format(pe),
-      bookValue: format(bookValue),
-      pb: format(pb),
-      evEbitda: format(evToEbitda),
-      dividendPerShare: format(dividendPerShare),
-      dividendYield: format(dividendYield, 4),
-      intrinsicDividend: format(intrinsicDividend)
+   * @param {string} field Normalized field name
+   * @param {object} source Provenance record of the field
+   * @returns {boolean}
+   */
+  function isStale(field, source) {
+    const days = field === 'price' ? assumptions.stalePriceDays : assumptions.staleFundamentalsDays;
+    return Date.now() - provenanceDate(source) > days * DAY;
+  }
+
+  /**
+   * Describe where the given fields of a ticker's fundamentals came from,
+   * one line per field with a value: provider, as-of date and fetch time.
+   *
+   * @param {object|undefined} data Normalized fundamentals
+   * @param {string[]} fields Normalized field names
+   * @returns {{title: string, stale: boolean}} Tooltip text and whether any
+   *   of the fields is stale
+   */
+  function describeProvenance(data, fields) {
+    const provenance = (data && data.provenance) || {};
+    let stale = false;
+    const lines = fields
+      .filter(field => provenance[field])
+      .map(field => {
+        const source = provenance[field];
+        const fieldStale = isStale(field, source);
+        stale = stale || fieldStale;
+        const parts = [PROVIDER_LABELS[source.provider] || source.provider];
+        if (source.asOf) parts.push(`as of ${source.asOf}`);
+        if (source.reportedCurrency) parts.push(`converted from ${source.reportedCurrency}`);
+        parts.push(`fetched ${new Date(source.fetchedAt).toLocaleString()}`);
+        return `${FIELD_LABELS[field]}: ${parts.join(', ')}${source.derived ? ' (derived)' : ''}${fieldStale ? ' (stale)' : ''}`;
+      });
+    return { title: lines.join('\n'), stale };
+  }
+
+  /**
+   * Compare a result row with the same ticker in comparisonSnapshot.  The
+   * earlier metrics are recomputed from the snapshot's fundamentals with the
+   * current assumptions, so that only changes in the data show up and not
+   * edits made in the assumptions panel since.
+   *
+   * @param {object} row Result row of a ticker lookup
+   * @returns {{previous: object, crossed: object}|null} Metrics of the
+   *   earlier scan and, for every intrinsic value column the price has
+   *   crossed since, 'below' or 'above'; null when the ticker is not in the
+   *   snapshot or its amounts there are in another currency
+   */
+  function snapshotChanges(row) {
+    const entry = comparisonSnapshot && comparisonSnapshot.tickers[row.ticker];
+    if (!entry) return null;
+    const current = fundamentalsByTicker.get(row.ticker) || {};
+    if ((entry.fundamentals.currency || DEFAULT_CURRENCY) !== (current.currency || DEFAULT_CURRENCY)) return null;
+    const previous = numericMetrics(entry.fundamentals, screenContext());
+    const crossed = {};
+    RESULT_COLUMNS.filter(column => column.intrinsic).forEach(column => {
+      const values = [previous.price, previous[column.key], row.price, row[column.key]];
+      if (!values.every(value => typeof value === 'number')) return;
+      const wasBelow = previous.price < previous[column.key];
+      const isBelow = row.price < row[column.key];
+      if (wasBelow !== isBelow) crossed[column.key] = isBelow ? 'below' : 'above';
+    });
+    return { previous, crossed };
+  }
+
+  /**
+   * The current result set in display order: grouped by sector when chosen,
+   * and sorted by the chosen column when there is one, comparing the
+   * underlying numbers.  Missing values always sort last.
+   *
+   * @returns {Array}
+   */
+  function sortedRows() {
+    const { sortKey, sortDescending, groupBySector } = tableState;
+    const direction = sortDescending ? -1 : 1;
+    const missing = value => value == null || (typeof value === 'number' && !isFinite(value));
+    const compare = (key, a, b, order = 1) => {
+      const x = a[key];
+      const y = b[key];
+      if (missing(x) || missing(y)) return missing(x) - missing(y);
+      return order * (typeof x === 'string' ? x.localeCompare(y) : x - y);
     };
+    if (!sortKey && !groupBySector) return renderedRows;
+    // Grouped rows are ordered by sector first; the sort is stable, so
+    // without a sort column each group keeps the order rows were produced in
+    return renderedRows.slice().sort((a, b) =>
+      (groupBySector ? compare('sector', a, b) : 0) || (sortKey ? compare(sortKey, a, b, direction) : 0));
   }
 
   /**
    * Render the results table given an array of rows. Each row contains a
-   * ticker symbol and all computed metrics. The table is sorted by P/E ratio
-   * in ascending order; tickers with unavailable P/E will appear at the end.
+   * ticker symbol and the numeric metrics of numericMetrics. Rows keep the
+   * order they are given in until a column header is clicked, which sorts
+   * by that column (see sortedRows). Only one page of rows is drawn, at
+   * most once per animation frame, so scans that call this for every row
+   * found stay fast with thousands of rows.
    *
    * @param {Array} rows
    */
   function renderResults(rows) {
-    resultsBody.innerHTML = '';
-    rows.forEach(row => {
-      const tr = document.createElement('tr');
-      tr.innerHTML = `
-        <td>${row.ticker}</td>
-        <td>${row.price}</td>
-        <td>${row.eps}</td>
-        <td>${row.pe}</td>
-        <td>${row.bookValue}</td>
-        <td>${row.pb}</td>
-        <td>${row.evEbitda}</td>
-        <td>${row.dividendPerShare}</td>
-        <td>${row.dividendYield}</td>
-        <td>${row.intrinsicDividend}</td>`;
-      resultsBody.appendChild(tr);
-    });
-    resultsTable.style.display = rows.length > 0 ? 'block' : 'none';
+    renderedRows = rows;
+    if (!drawScheduled) {
+      drawScheduled = true;
+      requestAnimationFrame(drawTable);
+    }
   }
 
-      /**
-       * Scan a broad universe of tickers and update the results table in
-       * real time as undervalued companies are discovered.  This helper
-       * performs the same logic as scanAllUndervalued() but renders the
-       * results incrementally instead of waiting for the full scan to
-       * complete.  It sorts the accumulating list of undervalued stocks by
-       * their price-to-intrinsic ratio on each update so that the most
-       * undervalued names remain at the top.  This function uses the
-       * existing renderResults() helper to display the rows.
-       *
-       * Note: Because this performs thousands of API requests when limit is
-       * zero or very large, it can take a significant amount of time and
-       * may exhaust free API limits.  Supplying your own API key via the
-       * input field is strongly recommended.
-       *
-       * @param {number} limit Maximum number of tickers to scan.  Set to
-       *   zero or a negative value to scan all available symbols.
-       */
-      async function scanAndDisplayUndervalued(limit = 0) {
-        // Retrieve a list of symbols from the widest universe available.  If a
-        // Financial Modeling Prep API key is provided, we can pull a global list
-        // of all securities.  Otherwise we fall back to the U.S. NASDAQ list.
-        const tickers = await fetchGlobalTickerList(limit);
-        const results = [];
-        // Clear any previous results and hide the table initially
-        resultsBody.innerHTML = '';
-        resultsTable.style.display = 'none';
-        for (const symbol of tickers) {
-          try {
-            const fundamental = await lookupTicker(symbol);
-            if (!fundamental) continue;
-            const price = typeof fundamental.price === 'number' && !isNaN(fundamental.price) ? fundamental.price : null;
-            const dividend = typeof fundamental.dividendPerShare === 'number' && !isNaN(fundamental.dividendPerShare) ? fundamental.dividendPerShare : null;
-            const discountRate = 0.08;
-            const intrinsicVal = dividend ? dividend / discountRate : null;
-            if (price != null && intrinsicVal != null && price < intrinsicVal) {
-              const metrics = computeMetrics(fundamental);
-              // Include numeric fields for sorting
-              results.push({
-                ticker: symbol.toUpperCase(),
-                ...metrics,
-                _priceNumeric: price,
-                _intrinsicNumeric: intrinsicVal
-              });
-              // Sort by how undervalued: price / intrinsic ascending
-              results.sort((a, b) => {
-                const ratioA = a._priceNumeric / a._intrinsicNumeric;
-                const ratioB = b._priceNumeric / b._intrinsicNumeric;
-                return ratioA - ratioB;
-              });
-              // Prepare display rows without private fields
-              const displayRows = results.map(({ ticker, price, eps, pe, bookValue, pb, evEbitda, dividendPerShare, dividendYield, intrinsicDividend }) => ({
-                ticker,
-                price,
-                eps,
-                pe,
-                bookValue,
-                pb,
-                evEbitda,
-                dividendPerShare,
-                dividendYield,
-                intrinsicDividend
-              }));
-              renderResults(displayRows);
-            }
-          } catch (err) {
-            console.warn('Error scanning symbol', symbol, err);
-          }
-        }
-      }
+  let drawScheduled = false;
 
-      /**
-       * Fetch a list of ticker symbols from the NASDAQ screener API. This
-       * endpoint returns approximately 7,000 actively traded U.S. companies
-       * along with price and market cap information.  We only need the
-       * symbol field for scanning.  If the request fails, an empty array is
-       * returned.
-       *
-       * @param {number} limit Maximum number of tickers to return. Limiting the
-       * number of symbols helps avoid exhausting rate limits on subsequent
-       * fundamental data requests.
-       * @returns {Promise<string[]>}
-       */
-      async function fetchNasdaqList(limit = 100) {
-        try {
-          // NASDAQ screener endpoint returns a JSON table of all US-listed stocks.
-          // We pass limit=0 here so that the API returns the full dataset on the
-          // server side; we handle slicing on the client.  If the API were to
-          // respect a limit parameter this would avoid downloading unnecessary
-          // data, but at the time of writing the parameter is ignored.
-          const url = 'https://api.nasdaq.com/api/screener/stocks?tableonly=true&limit=0';
-          const data = await fetchWithProxy(url);
-          const rows = data && data.data && data.data.table && Array.isArray(data.data.table.rows)
-            ? data.data.table.rows
-            : [];
-          // Extract the symbol property and trim whitespace
-          const symbols = rows.map(r => (r.symbol || '').trim()).filter(Boolean);
-          // When the caller passes limit <= 0 or a non‑finite value, return the
-          // entire list of symbols.  Otherwise slice to the requested count.
-          if (!limit || !isFinite(limit) || limit <= 0) {
-            return symbols;
-          }
-          return symbols.slice(0, limit);
-        } catch (err) {
-          console.warn('Unable to fetch NASDAQ ticker list:', err);
-          return [];
-        }
+  /**
+   * Draw the current page of the results table. Clicking a ticker opens its
+   * detail view (see renderTickerDetail). The intrinsic value column of the
+   * selected valuation model is highlighted, and intrinsic values are shown
+   * in green when the price is below them and in red when it is above.
+   * Hovering a cell shows the provenance of the values behind it, and cells
+   * computed from stale values are flagged.  When a watchlist scan has an
+   * earlier snapshot, changed values show what they were, and intrinsic
+   * values the price crossed since are marked.  Rows grouped by sector get
+   * a heading row per sector.
+   */
+  function drawTable() {
+    drawScheduled = false;
+    const rows = sortedRows();
+    const columns = RESULT_COLUMNS.filter(column => !tableState.hiddenColumns.includes(column.key));
+    const pageCount = Math.max(1, Math.ceil(rows.length / tableState.pageSize));
+    tableState.page = Math.min(tableState.page, pageCount - 1);
+    const first = tableState.page * tableState.pageSize;
+    const pageRows = rows.slice(first, first + tableState.pageSize);
+    const selectedColumn = VALUATION_MODELS[selectedModel()].column;
+    const showChanges = Boolean(comparisonSnapshot) && tableState.showChanges;
+    const cell = (row, column, changes) => {
+      const { title, stale } = describeProvenance(fundamentalsByTicker.get(row.ticker), column.fields);
+      const value = row[column.key];
+      const classes = [column.key === selectedColumn && 'selected-model', stale && 'stale'];
+      if (column.intrinsic && typeof value === 'number' && typeof row.price === 'number') {
+        classes.push(row.price < value ? 'below-intrinsic' : 'above-intrinsic');
       }
-
-      /**
-       * Retrieve a list of ticker symbols from the broadest available universe.
-       * If the user supplies a Financial Modeling Prep (FMP) API key, this
-       * function will request the `stock/list` endpoint which includes tens of
-       * thousands of symbols across global markets.  When no FMP key is
-       * provided, it falls back to the NASDAQ screener list.  Because the
-       * global list is very large, you can cap the number of returned symbols
-       * via the `limit` parameter.  If `limit` is zero or negative, the full
-       * list is returned.
-       *
-       * @param {number} limit Maximum number of tickers to return
-       * @returns {Promise<string[]>}
-       */
-      async function fetchGlobalTickerList(limit = 0) {
-        // If an FMP API key is present and not the default demo key, fetch the
-        // comprehensive list of global symbols.  Otherwise use the NASDAQ list.
-        if (API_KEYS.fmp && API_KEYS.fmp.trim() && API_KEYS.fmp.trim().toLowerCase() !== 'demo') {
-          try {
-            const url = `https://financialmodelingprep.com/api/v3/stock/list?apikey=${API_KEYS.fmp}`;
-            const data = await fetchWithProxy(url);
-            // The FMP endpoint returns an array of objects with a `symbol` field.
-            const symbols = Array.isArray(data)
-              ? data.map(item => (item.symbol || '').trim()).filter(Boolean)
-              : [];
-            if (!limit || !isFinite(limit) || limit <= 0) {
-              return symbols;
-            }
-            return symbols.slice(0, limit);
-          } catch (err) {
-            console.warn('Unable to fetch FMP ticker list:', err);
-            // fall back to NASDAQ list below
-          }
+      let delta = '';
+      // Scores of an earlier universe are not kept, so they have no deltas
+      if (changes && !column.relative) {
+        const before = formatMetric(changes.previous[column.key], column.format);
+        if (before !== formatMetric(value, column.format)) {
+          classes.push('changed');
+          delta += `<span class="delta">was ${before}</span>`;
         }
-        // Fallback: use NASDAQ list for U.S. companies
-        return fetchNasdaqList(limit);
-      }
-
-      /**
-       * Scan a broad universe of tickers and return only those that appear
-       * undervalued relative to their estimated intrinsic value.  For each
-       * symbol a fundamental lookup is performed via the existing lookupTicker
-       * helper, metrics are computed, and then filtered by price < intrinsic
-       * value.  Results are sorted by the ratio price / intrinsicValue in
-       * ascending order so that the most undervalued stocks appear first.
-       *
-       * Note: Without a valid API key the Alpha Vantage demo key only
-       * provides data for a handful of symbols (IBM and MSFT).  To scan
-       * effectively you must supply your own key via the input field or
-       * modify the API_KEYS object.
-       *
-       * @param {number} limit Maximum number of tickers to scan
-       * @returns {Promise<Array>} Array of rows matching the renderResults
-       * format
-       */
-      async function scanAllUndervalued(limit = 100) {
-        const tickers = await fetchGlobalTickerList(limit);
-        const results = [];
-        for (const symbol of tickers) {
-          try {
-            const fundamental = await lookupTicker(symbol);
-            if (!fundamental) continue;
-            const price = typeof fundamental.price === 'number' && !isNaN(fundamental.price) ? fundamental.price : null;
-            const dividend = typeof fundamental.dividendPerShare === 'number' && !isNaN(fundamental.dividendPerShare) ? fundamental.dividendPerShare : null;
-            // Use the same 8% discount rate as computeMetrics to derive an intrinsic value
-            const discountRate = 0.08;
-            const intrinsicVal = dividend ? dividend / discountRate : null;
-            if (price != null && intrinsicVal != null && price < intrinsicVal) {
-              // Format the metrics using existing helper for display
-              const metrics = computeMetrics(fundamental);
-              results.push({
-                ticker: symbol.toUpperCase(),
-                ...metrics,
-                _priceNumeric: price,
-                _intrinsicNumeric: intrinsicVal
-              });
-            }
-          } catch (err) {
-            console.warn('Error scanning symbol', symbol, err);
-          }
+        if (changes.crossed[column.key]) {
+          classes.push('crossed');
+          delta += `<span class="delta">price crossed ${changes.crossed[column.key]}</span>`;
         }
-        // Sort by how undervalued the company is: price/intrinsic ascending
-        results.sort((a, b) => {
-          const ratioA = (a._priceNumeric && a._intrinsicNumeric) ? (a._priceNumeric / a._intrinsicNumeric) : Infinity;
-          const ratioB = (b._priceNumeric && b._intrinsicNumeric) ? (b._priceNumeric / b._intrinsicNumeric) : Infinity;
-          return ratioA - ratioB;
-        });
-        // Strip out the numeric helper fields before returning
-        return results.map(({ ticker, price, eps, pe, bookValue, pb, evEbitda, dividendPerShare, dividendYield, intrinsicDividend }) => ({
-          ticker,
-          price,
-          eps,
-          pe,
-          bookValue,
-          pb,
-          evEbitda,
-          dividendPerShare,
-          dividendYield,
-          intrinsicDividend
-        }));
       }
-
-  // Set up click handler for the scan button
-  scanBtn.addEventListener('click', async () => {
-    // If the user provided an API key, override the default demo key for this
-    // session.  Trim whitespace to avoid accidental spaces breaking the request.
-    if (apiKeyInput && apiKeyInput.value && apiKeyInput.value.trim()) {
-      API_KEYS.alpha = apiKeyInput.value.trim();
+      const classNames = classes.filter(Boolean);
+      const classAttr = classNames.length > 0 ? ` class="${classNames.join(' ')}"` : '';
+      const note = column.note ? column.note(row) : '';
+      const tooltip = [note, title].filter(Boolean).join('\n');
+      const titleAttr = tooltip ? ` title="${escapeHtml(tooltip)}"` : '';
+      return `<td${classAttr}${titleAttr}>${formatMetric(value, column.format)}${delta}</td>`;
+    };
+    const sectorSizes = new Map();
+    if (tableState.groupBySector) {
+      rows.forEach(row => sectorSizes.set(row.sector, (sectorSizes.get(row.sector) || 0) + 1));
     }
-    const rawInput = tickersInput.value;
-    if (!rawInput || !rawInput.trim()) return;
-    const symbols = rawInput.split(/[\,\s]+/).filter(Boolean);
-    const rows = [];
-    for (const ticker of symbols) {
-      const fundamental = await lookupTicker(ticker);
-      if (fundamental) {
-        const metrics = computeMetrics(fundamental);
-        rows.push({ ticker: ticker.toUpperCase(), ...metrics });
+    const sectorHeading = (row, i) => {
+      if (!tableState.groupBySector || (i > 0 && pageRows[i - 1].sector === row.sector)) return '';
+      const count = sectorSizes.get(row.sector);
+      return `
+        <tr class="sector-row">
+          <th colspan="${columns.length + 1}">${row.sector ? escapeHtml(row.sector) : 'No sector'} · ${count} ${count === 1 ? 'stock' : 'stocks'}</th>
+        </tr>`;
+    };
+    resultsTable.querySelectorAll('th[data-column]').forEach(th => {
+      const key = th.dataset.column;
+      th.classList.toggle('selected-model', key === selectedColumn);
+      th.hidden = tableState.hiddenColumns.includes(key);
+      if (key === tableState.sortKey) {
+        th.setAttribute('aria-sort', tableState.sortDescending ? 'descending' : 'ascending');
+      } else {
+        th.removeAttribute('aria-sort');
       }
-    }
-    // Sort by P/E ratio ascending; 'N/A' values (rendered as strings) push to the end
-    rows.sort((a, b) => {
-      const peA = a.pe === 'N/A' ? Infinity : parseFloat(a.pe);
-      const peB = b.pe === 'N/A' ? Infinity : parseFloat(b.pe);
-      return peA - peB;
     });
-    renderResults(rows);
+    resultsBody.innerHTML = pageRows
+      .map((row, i) => {
+        const changes = showChanges ? snapshotChanges(row) : null;
+        return `${sectorHeading(row, i)}
+        <tr>
+          <td><button type="button" class="ticker-link" data-ticker="${escapeHtml(row.ticker)}">${escapeHtml(row.ticker)}</button></td>
+          ${columns.map(column => cell(row, column, changes)).join('')}
+        </tr>`;
+      })
+      .join('');
+    if (showChangesInput) {
+      showChangesInput.closest('label').hidden = !comparisonSnapshot;
+      showChangesInput.checked = tableState.showChanges;
+      if (changesSince && comparisonSnapshot) {
+        changesSince.textContent = new Date(comparisonSnapshot.takenAt).toLocaleString();
+      }
+    }
+    if (pageStatus) {
+      pageStatus.textContent = rows.length > 0
+        ? `Rows ${(first + 1).toLocaleString()}–${(first + pageRows.length).toLocaleString()} of ${rows.length.toLocaleString()}`
+        : '';
+    }
+    if (prevPageBtn) prevPageBtn.disabled = tableState.page === 0;
+    if (nextPageBtn) nextPageBtn.disabled = tableState.page >= pageCount - 1;
+    resultsTable.style.display = rows.length > 0 ? 'block' : 'none';
+  }
+
+  // Sort by a column when its header is clicked: ascending, then descending,
+  // then back to the order the rows were produced in.
+  resultsTable.querySelector('thead').addEventListener('click', event => {
+    const th = event.target.closest('th[data-column]');
+    if (!th) return;
+    const key = th.dataset.column;
+    if (tableState.sortKey !== key) {
+      tableState.sortKey = key;
+      tableState.sortDescending = false;
+    } else if (!tableState.sortDescending) {
+      tableState.sortDescending = true;
+    } else {
+      tableState.sortKey = null;
+    }
+    tableState.page = 0;
+    drawTable();
   });
 
-      // Attach handler for the Full Market Scan button.  This triggers a
-      // comprehensive scan over a broad universe of tickers and updates the
-      // results table incrementally as undervalued companies are found.  The
-      // button is disabled while the scan runs, and its label changes to
-      // indicate progress.  We scan all available symbols when limit <= 0.
-      if (fullScanBtn) {
-        fullScanBtn.addEventListener('click', async () => {
-          // Use the user‑supplied API key if provided.  Assign it to both
-          // providers so that a single key can serve Alpha Vantage or FMP.
-          if (apiKeyInput && apiKeyInput.value && apiKeyInput.value.trim()) {
-            const key = apiKeyInput.value.trim();
-            API_KEYS.alpha = key;
-            API_KEYS.fmp = key;
-          }
-          const originalText = fullScanBtn.textContent;
-          fullScanBtn.textContent = 'Scanning...';
-          fullScanBtn.disabled = true;
-          try {
-            await scanAndDisplayUndervalued(0);
-          } finally {
-            fullScanBtn.textContent = originalText;
-            fullScanBtn.disabled = false;
-          }
-        });
-      }
+  if (prevPageBtn) {
+    prevPageBtn.addEventListener('click', () => {
+      tableState.page = Math.max(0, tableState.page - 1);
+      drawTable();
+    });
+  }
+
+  if (nextPageBtn) {
+    nextPageBtn.addEventListener('click', () => {
+      tableState.page++;
+      drawTable();
+    });
+  }
+
+  if (pageSizeSelect) {
+    pageSizeSelect.value = String(tableState.pageSize);
+    pageSizeSelect.addEventListener('change', () => {
+      tableState.pageSize = parseInt(pageSizeSelect.value, 10) || 50;
+      tableState.page = 0;
+      saveTablePreferences();
+      drawTable();
+    });
+  }
+
+  if (groupBySectorInput) {
+    groupBySectorInput.checked = tableState.groupBySector;
+    groupBySectorInput.addEventListener('change', () => {
+      tableState.groupBySector = groupBySectorInput.checked;
+      tableState.page = 0;
+      saveTablePreferences();
+      drawTable();
+    });
+  }
+
+  if (showChangesInput) {
+    showChangesInput.addEventListener('change', () => {
+      tableState.showChanges = showChangesInput.checked;
+      saveTablePreferences();
+      drawTable();
+    });
+  }
+
+  // One checkbox per column in the column chooser; unticking hides it.
+  if (columnOptions) {
+    columnOptions.innerHTML = RESULT_COLUMNS.map(column => `
+      <label><input type="checkbox" value="${column.key}"${tableState.hiddenColumns.includes(column.key) ? '' : ' checked'} /> ${escapeHtml(column.label)}</label>`).join('');
+    columnOptions.addEventListener('change', () => {
+      tableState.hiddenColumns = Array.from(columnOptions.querySelectorAll('input:not(:checked)')).map(input => input.value);
+      saveTablePreferences();
+      drawTable();
+    });
+  }
+
+  /**
+   * Escape a string for safe interpolation into HTML.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  /**
+   * Format a large monetary amount with a magnitude suffix, e.g. 12.3B.
+   *
+   * @param {number|null} value
+   * @returns {string}
+   */
+  function formatLargeNumber(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return 'N/A';
+    const abs = Math.abs(value);
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const [divisor, suffix] = units.find(([size]) => abs >= size) || [1, ''];
+    return `${(value / divisor).toFixed(2)}${suffix}`;
+  }
+
+  const formatPercent = value => (typeof value === 'number' && isFinite(value) ? `${(value * 100).toFixed(2)}%` : 'N/A');
+
+  /**
+   * Describe the currency of a field for the provenance table: the currency
+   * it is shown in and, when converted, the one it was reported in and the
+   * rate applied.
+   *
+   * @param {string} field Normalized field name
+   * @param {object} source Provenance record of the field
+   * @returns {string}
+   */
+  function currencyNote(field, source) {
+    if (!MONETARY_FIELDS.includes(field)) return '';
+    if (!source.reportedCurrency) return source.currency || 'Not reported';
+    const rate = finiteOrNull(source.rate);
+    return `${source.currency}, from ${source.reportedCurrency}${rate == null ? '' : ` at ${+rate.toPrecision(5)}`}`;
+  }
+
+  /**
+   * Build the sensitivity section of the detail view: the value of every
+   * model under the bull, base and bear scenarios, the growth rates implied
+   * by the price and a sensitivity grid for the DDM and the DCF.  Values
+   * are coloured against the price like in the results table.
+   *
+   * @param {object} data Fundamental data
+   * @returns {string} HTML
+   */
+  function sensitivityHtml(data) {
+    const price = finiteOrNull(data.price);
+    // Class attribute of a value cell, with any extra classes
+    const versusPrice = (value, ...extra) => {
+      const classes = extra.filter(Boolean);
+      if (value != null && price != null) classes.push(price < value ? 'below-intrinsic' : 'above-intrinsic');
+      return classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+    };
+    const upside = value => (value != null && price ? ` (${value >= price ? '+' : ''}${formatPercent(value / price - 1)})` : '');
+    const scenarioRows = Object.entries(SCENARIOS)
+      .map(([key, scenario]) => {
+        const a = scenarioAssumptions(key, assumptions);
+        const cells = Object.keys(VALUATION_MODELS)
+          .map(model => {
+            const value = modelValue(model, data, a);
+            return `<td${versusPrice(value)}>${formatMetric(value, 'number')}${upside(value)}</td>`;
+          })
+          .join('');
+        return `<tr><th>${scenario.label}</th>${cells}</tr>`;
+      })
+      .join('');
+    const scenarios = `
+      <table class="detail-table">
+        <thead><tr><th>Scenario</th>${Object.values(VALUATION_MODELS).map(model => `<th>${escapeHtml(model.label)}</th>`).join('')}</tr></thead>
+        <tbody>${scenarioRows}</tbody>
+      </table>`;
+    const impliedRows = Object.keys(SENSITIVITY_MODELS)
+      .map(model => {
+        const { growth } = SENSITIVITY_MODELS[model];
+        return `
+          <tr>
+            <th>${escapeHtml(VALUATION_MODELS[model].label)} · ${growth.label.toLowerCase()}</th>
+            <td>${formatPercent(impliedGrowth(data, model, assumptions))}</td>
+            <td>${formatPercent(growth.base(data, assumptions))}</td>
+          </tr>`;
+      })
+      .join('');
+    const implied = `
+      <table class="detail-table">
+        <thead><tr><th>Growth implied by the price of ${formatMetric(price, 'number')}</th><th>Implied</th><th>Assumed</th></tr></thead>
+        <tbody>${impliedRows}</tbody>
+      </table>`;
+    const grids = Object.keys(SENSITIVITY_MODELS)
+      .map(model => {
+        const grid = sensitivityGrid(data, model, assumptions);
+        if (!grid) return '';
+        const { rate, growth } = SENSITIVITY_MODELS[model];
+        const middle = Math.floor(SENSITIVITY_STEPS.length / 2);
+        const rows = grid.rates
+          .map((r, i) => {
+            const cells = grid.values[i]
+              .map((value, j) => `<td${versusPrice(value, i === middle && j === middle && 'base-case')}>${formatMetric(value, 'number')}</td>`)
+              .join('');
+            return `<tr><th>${formatPercent(r)}</th>${cells}</tr>`;
+          })
+          .join('');
+        return `
+          <table class="detail-table sensitivity-grid">
+            <caption>${escapeHtml(VALUATION_MODELS[model].label)}: ${rate.label} (rows) × ${growth.label.toLowerCase()} (columns)</caption>
+            <thead><tr><th></th>${grid.growths.map(g => `<th>${formatPercent(g)}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>`;
+      })
+      .join('');
+    return `${scenarios}${implied}${grids || '<p class="detail-note">Neither the dividend discount model nor the DCF applies to this stock.</p>'}`;
+  }
+
+  /**
+   * Show the valuation inputs behind a ticker in the detail panel: the
+   * dividend discount inputs including the cost of equity, the DCF inputs
+   * and assumptions, the projected free cash flows and the bridge
+   * from enterprise value to the per-share intrinsic value, followed by the
+   * residual income inputs and forecast, the scenarios, implied growth and
+   * sensitivity grids (see sensitivityHtml), the provenance of every field
+   * and the ticker's history across watchlist scans.
+   *
+   * @param {string} ticker Ticker symbol present in fundamentalsByTicker
+   */
+  function renderTickerDetail(ticker) {
+    if (!tickerDetail) return;
+    const data = fundamentalsByTicker.get(ticker);
+    if (!data) return;
+    const ddm = computeDdm(data, assumptions);
+    let dividendDiscount = '<p class="detail-note">A dividend discount value needs a dividend and a cost of equity above the dividend growth rate.</p>';
+    if (ddm) {
+      dividendDiscount = `
+        <table class="detail-table">
+          <tbody>
+            <tr><th>Dividend per share</th><td>${ddm.dividend.toFixed(2)}</td></tr>
+            <tr><th>Dividend growth</th><td>${formatPercent(ddm.growth)}</td></tr>
+            <tr><th>Beta</th><td>${ddm.beta != null ? ddm.beta.toFixed(2) : 'N/A'}</td></tr>
+            <tr><th>Cost of equity${assumptions.useCapm && ddm.beta != null ? ' (CAPM)' : ''}</th><td>${formatPercent(ddm.costOfEquity)}</td></tr>
+            <tr><th>Intrinsic value per share</th><td>${ddm.perShare.toFixed(2)}</td></tr>
+          </tbody>
+        </table>`;
+    }
+    const dcf = computeDcf(data, assumptions);
+    const stages = [
+      { years: assumptions.stage1Years, growth: assumptions.stage1Growth },
+      { years: assumptions.stage2Years, growth: assumptions.stage2Growth }
+    ];
+    const stageRows = stages
+      .map((stage, i) => `<tr><th>Stage ${i + 1} growth</th><td>${formatPercent(stage.growth)} for ${stage.years} years</td></tr>`)
+      .join('');
+    const inputs = `
+      <table class="detail-table">
+        <tbody>
+          <tr><th>Free cash flow (latest FY)</th><td>${formatLargeNumber(finiteOrNull(data.freeCashFlow))}</td></tr>
+          <tr><th>Net debt</th><td>${formatLargeNumber(finiteOrNull(data.netDebt))}</td></tr>
+          <tr><th>Shares outstanding</th><td>${formatLargeNumber(finiteOrNull(data.sharesOutstanding))}</td></tr>
+          <tr><th>Forecast horizon</th><td>${stages.reduce((sum, stage) => sum + stage.years, 0)} years</td></tr>
+          ${stageRows}
+          <tr><th>Terminal growth</th><td>${formatPercent(assumptions.terminalGrowth)}</td></tr>
+          <tr><th>WACC</th><td>${formatPercent(assumptions.wacc)}</td></tr>
+        </tbody>
+      </table>`;
+    let valuation = '<p class="detail-note">A DCF value needs positive free cash flow, the share count and a WACC above the terminal growth rate.</p>';
+    if (dcf) {
+      const projectionRows = dcf.projections
+        .map(p => `<tr><td>${p.year}</td><td>${formatPercent(p.growth)}</td><td>${formatLargeNumber(p.cashFlow)}</td><td>${formatLargeNumber(p.presentValue)}</td></tr>`)
+        .join('');
+      valuation = `
+        <table class="detail-table">
+          <thead><tr><th>Year</th><th>Growth</th><th>Free cash flow</th><th>Present value</th></tr></thead>
+          <tbody>${projectionRows}</tbody>
+        </table>
+        <table class="detail-table">
+          <tbody>
+            <tr><th>PV of forecast cash flows</th><td>${formatLargeNumber(dcf.presentValueOfCashFlows)}</td></tr>
+            <tr><th>Terminal value (year ${dcf.horizon})</th><td>${formatLargeNumber(dcf.terminalValue)}</td></tr>
+            <tr><th>PV of terminal value</th><td>${formatLargeNumber(dcf.presentValueOfTerminal)}</td></tr>
+            <tr><th>Enterprise value</th><td>${formatLargeNumber(dcf.enterpriseValue)}</td></tr>
+            <tr><th>Less net debt</th><td>${formatLargeNumber(dcf.netDebt)}</td></tr>
+            <tr><th>Equity value</th><td>${formatLargeNumber(dcf.equityValue)}</td></tr>
+            <tr><th>Intrinsic value per share</th><td>${dcf.perShare.toFixed(2)}</td></tr>
+          </tbody>
+        </table>`;
+    }
+    const ri = computeResidualIncome(data, assumptions);
+    let residualIncome = '<p class="detail-note">A residual income value needs a positive book value per share and a return on equity or EPS.</p>';
+    if (ri) {
+      const riRows = ri.projections
+        .map(p => `<tr><td>${p.year}</td><td>${formatPercent(p.roe)}</td><td>${p.beginningBook.toFixed(2)}</td><td>${p.residualIncome.toFixed(2)}</td><td>${p.presentValue.toFixed(2)}</td></tr>`)
+        .join('');
+      residualIncome = `
+        <table class="detail-table">
+          <tbody>
+            <tr><th>Book value per share</th><td>${ri.bookValue.toFixed(2)}</td></tr>
+            <tr><th>Return on equity</th><td>${formatPercent(ri.roe)}</td></tr>
+            <tr><th>Payout ratio</th><td>${formatPercent(ri.payout)}</td></tr>
+            <tr><th>Cost of equity</th><td>${formatPercent(ri.costOfEquity)}</td></tr>
+            <tr><th>Fade period</th><td>${ri.fadeYears} years</td></tr>
+          </tbody>
+        </table>
+        <table class="detail-table">
+          <thead><tr><th>Year</th><th>ROE</th><th>Beginning book</th><th>Residual income</th><th>Present value</th></tr></thead>
+          <tbody>${riRows}</tbody>
+        </table>
+        <table class="detail-table">
+          <tbody>
+            <tr><th>PV of residual income</th><td>${ri.presentValueOfResidualIncome.toFixed(2)}</td></tr>
+            <tr><th>Intrinsic value per share</th><td>${ri.perShare.toFixed(2)}</td></tr>
+          </tbody>
+        </table>`;
+    }
+    const provenance = data.provenance || {};
+    const sourceRows = FUNDAMENTAL_FIELDS
+      .filter(field => provenance[field])
+      .map(field => {
+        const source = provenance[field];
+        let value = formatLargeNumber(data[field]);
+        if (TEXT_FIELDS.includes(field)) value = escapeHtml(data[field]);
+        if (['dividendYield', 'returnOnEquity'].includes(field)) value = formatPercent(data[field]);
+        return `
+          <tr${isStale(field, source) ? ' class="stale" title="Older than the staleness threshold"' : ''}>
+            <th>${FIELD_LABELS[field]}${source.derived ? ' (derived)' : ''}</th>
+            <td>${value}</td>
+            <td>${escapeHtml(PROVIDER_LABELS[source.provider] || source.provider)}</td>
+            <td>${escapeHtml(source.asOf || 'N/A')}</td>
+            <td>${escapeHtml(currencyNote(field, source))}</td>
+            <td>${new Date(source.fetchedAt).toLocaleString()}</td>
+          </tr>`;
+      })
+      .join('');
+    const sources = sourceRows
+      ? `
+        <table class="detail-table">
+          <thead><tr><th>Field</th><th>Value</th><th>Provider</th><th>As of</th><th>Currency</th><th>Fetched</th></tr></thead>
+          <tbody>${sourceRows}</tbody>
+        </table>`
+      : '<p class="detail-note">No provenance was recorded for this lookup.</p>';
+    tickerDetail.innerHTML = `
+      <div class="detail-header">
+        <h3>${escapeHtml(ticker)} · Valuation Details</h3>
+        <button type="button" class="detail-close" aria-label="Close details">&times;</button>
+      </div>
+      <h4>Dividend Discount</h4>
+      ${dividendDiscount}
+      <h4>Discounted Cash Flow</h4>
+      ${inputs}
+      ${valuation}
+      <h4>Residual Income</h4>
+      ${residualIncome}
+      <h4>Scenarios and Sensitivity</h4>
+      ${sensitivityHtml(data)}
+      <h4>Data Sources</h4>
+      ${sources}
+      <h4>History</h4>
+      <div class="ticker-history"><p class="detail-note">Loading…</p></div>`;
+    tickerDetail.dataset.ticker = ticker;
+    tickerDetail.hidden = false;
+    renderTickerHistory(ticker);
+  }
+
+  /**
+   * Fill the history section of the detail view with the ticker's values in
+   * every watchlist snapshot that holds it, newest first.  Intrinsic values
+   * are recomputed from the stored fundamentals with the current
+   * assumptions and the selected model.
+   *
+   * @param {string} ticker Ticker symbol shown in the detail view
+   */
+  async function renderTickerHistory(ticker) {
+    let snapshots;
+    try {
+      snapshots = await loadTickerSnapshots(ticker);
+    } catch (err) {
+      snapshots = null;
+    }
+    const container = tickerDetail.querySelector('.ticker-history');
+    if (!container || tickerDetail.dataset.ticker !== ticker) return;
+    if (!snapshots || snapshots.length === 0) {
+      container.innerHTML = `<p class="detail-note">${snapshots ? 'Scan a watchlist holding this ticker to start its history.' : 'History is not available in this browser.'}</p>`;
+      return;
+    }
+    const model = VALUATION_MODELS[selectedModel()];
+    const rows = snapshots
+      .slice()
+      .reverse()
+      .map(snapshot => {
+        const metrics = numericMetrics(snapshot.tickers[ticker].fundamentals, screenContext());
+        return `
+          <tr>
+            <th>${new Date(snapshot.takenAt).toLocaleString()} · ${escapeHtml(snapshot.watchlist)}</th>
+            <td>${formatMetric(metrics.price, 'number')}</td>
+            <td>${formatMetric(metrics.pe, 'number')}</td>
+            <td>${formatMetric(metrics.pb, 'number')}</td>
+            <td>${formatMetric(metrics[model.column], 'number')}</td>
+          </tr>`;
+      })
+      .join('');
+    container.innerHTML = `
+      <table class="detail-table">
+        <thead><tr><th>Scanned</th><th>Price</th><th>P/E</th><th>P/B</th><th>${escapeHtml(model.label)} value</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  // Open the detail view when a ticker in the results table is clicked
+  resultsBody.addEventListener('click', event => {
+    const button = event.target.closest('.ticker-link');
+    if (button) renderTickerDetail(button.dataset.ticker);
+  });
+
+  if (tickerDetail) {
+    tickerDetail.addEventListener('click', event => {
+      if (event.target.closest('.detail-close')) tickerDetail.hidden = true;
+    });
+  }
+
+  /**
+   * Offer content to the user as a file download.
+   *
+   * @param {string|Uint8Array} content
+   * @param {string} filename
+   * @param {string} type MIME type
+   */
+  function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Format a duration in milliseconds as a short human readable string such
+   * as "2h 14m", "3m 05s" or "12s".
+   *
+   * @param {number} ms Duration in milliseconds
+   * @returns {string}
+   */
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * Describe the throttling state of every provider that is not ready to
+   * send a request, e.g. "Alpha Vantage throttled (retry in 45s)".
+   *
+   * @param {Object<string, {state: string, wait: number}>} statuses Rate
+   *   limiter statuses by provider (see limiterStatuses)
+   * @returns {string}
+   */
+  function describeThrottling(statuses) {
+    const states = Object.entries(statuses)
+      .map(([provider, status]) => ({ provider, ...status }))
+      .filter(({ state }) => state !== 'ready')
+      .map(({ provider, state, wait }) => {
+        const label = PROVIDER_LABELS[provider] || provider;
+        return state === 'throttled'
+          ? `${label} throttled (retry in ${formatDuration(wait)})`
+          : `${label} rate limited (next request in ${formatDuration(wait)})`;
+      });
+    return states.length > 0 ? states.join(', ') : 'Providers ready';
+  }
+
+  /**
+   * Render the live progress line of a scan: scanned and found counts,
+   * estimated time remaining and the providers' throttling state. The ETA is
+   * based on the symbols scanned since this session started (`initial` holds
+   * the count restored from a checkpoint).  The throttling state is that of
+   * the server's rate limiters for scans run by the scan endpoint, else of
+   * this session's.  A finished scan notes how many symbols it skipped
+   * because they stayed throttled.
+   *
+   * @param {{total: number, scanned: number, initial: number, found: number, startedAt: number, state: string, reason?: string, providers?: object, skipped?: number}} progress
+   *   `state` is one of 'running', 'paused', 'stopped' or 'done'
+   */
+  function renderProgress(progress) {
+    if (!scanProgress) return;
+    scanProgress.hidden = false;
+    const { total, scanned, initial = 0, found, startedAt, state, reason, skipped = 0 } = progress;
+    const elapsed = Date.now() - startedAt;
+    const counts = `Scanned ${scanned.toLocaleString()} of ${total.toLocaleString()} · Found ${found.toLocaleString()}`;
+    switch (state) {
+      case 'done': {
+        const note = skipped > 0
+          ? ` ${skipped.toLocaleString()} symbol${skipped === 1 ? ' was' : 's were'} skipped because their providers kept throttling.`
+          : '';
+        scanProgress.textContent = `Scan finished. ${counts} in ${formatDuration(elapsed)}.${note}`;
+        return;
+      }
+      case 'stopped':
+        scanProgress.textContent = `Scan stopped. ${counts}. Progress is saved; resume it at any time.`;
+        return;
+      case 'paused':
+        scanProgress.textContent = `Paused${reason ? ` – ${reason}` : ''}. ${counts}.`;
+        return;
+      default: {
+        const done = scanned - initial;
+        const eta = done > 0 ? formatDuration((elapsed / done) * (total - scanned)) : 'estimating…';
+        scanProgress.textContent = `${counts} · ETA ${eta} · ${describeThrottling(progress.providers || limiterStatuses(rateLimiters))}`;
+      }
+    }
+  }
+
+  /*
+   * Scan checkpoints.  The state of a full market scan (ticker universe,
+   * cursor, rows found so far and the raw fundamentals of every scanned
+   * symbol) is written to IndexedDB while it runs, so that a reload, a
+   * stopped scan or an exhausted daily quota does not throw the work away.
+   * All symbols before `cursor` have been scanned; symbols after it that
+   * were in flight when the checkpoint was written are simply scanned again.
+   *
+   * The same database keeps the watchlists, named lists of tickers, and a
+   * snapshot of every watchlist scan: the normalized fundamentals and the
+   * computed metrics of each ticker at the time.  Snapshots are indexed by
+   * watchlist name and by ticker symbol.
+   *
+   * Alert rules (see lib/alerts.js) and the log of every alert that fired
+   * are kept there as well, and so are the holdings of the portfolio (see
+   * lib/portfolio.js), keyed by ticker.
+   */
+  const DB_NAME = 'stock-screener';
+  const DB_VERSION = 4;
+  const CHECKPOINT_STORE = 'scanCheckpoints';
+  const CHECKPOINT_ID = 'full-scan';
+  const WATCHLIST_STORE = 'watchlists';
+  const SNAPSHOT_STORE = 'snapshots';
+  const ALERT_STORE = 'alertRules';
+  const ALERT_LOG_STORE = 'alertLog';
+  const HOLDING_STORE = 'holdings';
+
+  let databasePromise = null;
+
+  /**
+   * Open (and on first use create) the screener's IndexedDB database.
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CHECKPOINT_STORE)) {
+            db.createObjectStore(CHECKPOINT_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(WATCHLIST_STORE)) {
+            db.createObjectStore(WATCHLIST_STORE, { keyPath: 'name' });
+          }
+          if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+            const snapshots = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            snapshots.createIndex('watchlist', 'watchlist');
+            snapshots.createIndex('symbol', 'symbols', { multiEntry: true });
+          }
+          if (!db.objectStoreNames.contains(ALERT_STORE)) {
+            db.createObjectStore(ALERT_STORE, { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(ALERT_LOG_STORE)) {
+            db.createObjectStore(ALERT_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(HOLDING_STORE)) {
+            db.createObjectStore(HOLDING_STORE, { keyPath: 'ticker' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return databasePromise;
+  }
+
+  /**
+   * Run a single request against an object store and resolve with its result.
+   *
+   * @param {string} storeName Object store name
+   * @param {string} mode 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} callback Issues the request
+   * @returns {Promise<any>}
+   */
+  async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = callback(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  const loadCheckpoint = () => withStore(CHECKPOINT_STORE, 'readonly', store => store.get(CHECKPOINT_ID));
+  const saveCheckpoint = checkpoint => withStore(CHECKPOINT_STORE, 'readwrite', store => store.put(checkpoint));
+  const clearCheckpoint = () => withStore(CHECKPOINT_STORE, 'readwrite', store => store.delete(CHECKPOINT_ID));
+
+  // Watchlists and snapshots; snapshots come back oldest first.
+  const loadWatchlists = () => withStore(WATCHLIST_STORE, 'readonly', store => store.getAll());
+  const saveWatchlist = watchlist => withStore(WATCHLIST_STORE, 'readwrite', store => store.put(watchlist));
+  const saveSnapshot = snapshot => withStore(SNAPSHOT_STORE, 'readwrite', store => store.add(snapshot));
+  const loadWatchlistSnapshots = name => withStore(SNAPSHOT_STORE, 'readonly', store => store.index('watchlist').getAll(name));
+  const loadTickerSnapshots = ticker => withStore(SNAPSHOT_STORE, 'readonly', store => store.index('symbol').getAll(ticker));
+
+  // Alert rules, and the log of fired alerts oldest first.
+  const loadAlertRules = () => withStore(ALERT_STORE, 'readonly', store => store.getAll());
+  const saveAlertRule = rule => withStore(ALERT_STORE, 'readwrite', store => store.put(rule));
+  const deleteAlertRule = id => withStore(ALERT_STORE, 'readwrite', store => store.delete(id));
+  const loadAlertLog = () => withStore(ALERT_LOG_STORE, 'readonly', store => store.getAll());
+  const addAlertLogEntry = entry => withStore(ALERT_LOG_STORE, 'readwrite', store => store.add(entry));
+  const clearAlertLog = () => withStore(ALERT_LOG_STORE, 'readwrite', store => store.clear());
+
+  // Portfolio holdings; an import replaces all of them in one transaction.
+  const loadHoldings = () => withStore(HOLDING_STORE, 'readonly', store => store.getAll());
+  const saveHolding = holding => withStore(HOLDING_STORE, 'readwrite', store => store.put(holding));
+  const deleteHolding = ticker => withStore(HOLDING_STORE, 'readwrite', store => store.delete(ticker));
+  const replaceHoldings = holdings =>
+    withStore(HOLDING_STORE, 'readwrite', store => {
+      const cleared = store.clear();
+      holdings.forEach(holding => store.put(holding));
+      return cleared;
+    });
+
+  /**
+   * Delete a watchlist together with all of its snapshots.
+   *
+   * @param {string} name Watchlist name
+   * @returns {Promise<void>}
+   */
+  async function deleteWatchlist(name) {
+    await withStore(SNAPSHOT_STORE, 'readwrite', store => {
+      const request = store.index('watchlist').openCursor(IDBKeyRange.only(name));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+      return request;
+    });
+    await withStore(WATCHLIST_STORE, 'readwrite', store => store.delete(name));
+  }
+
+  /**
+   * Whether a stored checkpoint belongs to a scan that can be resumed.
+   *
+   * @param {object|undefined} checkpoint
+   * @returns {boolean}
+   */
+  function isResumable(checkpoint) {
+    return Boolean(checkpoint && checkpoint.status !== 'complete' && checkpoint.cursor < checkpoint.universe.length);
+  }
+
+      /**
+       * Run the lookups of a full scan on the server through the scan
+       * endpoint (see api/scan.js) and pass every symbol it looked up to
+       * `onTicker` as the event stream arrives, and the server's rate limiter
+       * statuses to `onStatus`.  The scan's fundamentals are screened on the
+       * page, so its sector-relative scores cover the whole checkpointed
+       * universe.  The stream is reopened at the scan's cursor whenever the
+       * function runs out of time, closed while the scan is paused and
+       * reopened on resume.  An exhausted provider quota, a failed request
+       * or a server error pauses the scan so it can be resumed later.  The
+       * stream ends once the server completed the scan, which skips the
+       * symbols whose providers kept throttling them.
+       *
+       * @param {object} scan Scan state with `universe`, `cursor`, `model` and `screen`
+       * @param {object} control Scan control handle
+       * @param {function(string, number, object|null): void} onTicker Called with the symbol, its index and its fundamentals
+       * @param {function(object): void} onStatus Called with the rate limiter statuses by provider
+       * @returns {Promise<string[]|null>} The skipped symbols, or null when
+       *   the scan endpoint is not deployed, e.g. on a static preview;
+       *   nothing was scanned then
+       */
+      async function streamServerScan(scan, control, onTicker, onStatus) {
+        let first = true;
+        while (!control.stopped && scan.cursor < scan.universe.length) {
+          await control.waitWhilePaused();
+          if (control.stopped) break;
+          const request = new AbortController();
+          // Close the stream soon after the scan was paused or stopped
+          const watch = setInterval(() => {
+            if (control.paused || control.stopped) request.abort();
+          }, 250);
+          let done = null;
+          try {
+            const response = await fetch('/api/scan', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                tickers: scan.universe,
+                start: scan.cursor,
+                model: scan.model,
+                screen: scan.screen,
+                assumptions,
+                currency: scan.currency || displayCurrency,
+                fundamentals: true,
+                apiKeys: API_KEYS
+              }),
+              signal: request.signal
+            });
+            if (first && (response.status === 404 || response.status === 405)) return null;
+            first = false;
+            if (!response.ok || !response.body) throw new Error(`Scan endpoint responded with ${response.status}`);
+            await readEvents(response, (event, data) => {
+              if (event === 'ticker') onTicker(data.symbol, data.index, data.fundamentals);
+              if (event === 'progress') onStatus(data.providers);
+              if (event === 'done') done = data;
+              if (event === 'error') throw new Error(data.error);
+            });
+          } catch (err) {
+            if (err.name === 'AbortError') continue;
+            console.warn('Scan stream failed:', err);
+            control.pause('the scan server could not be reached');
+            continue;
+          } finally {
+            clearInterval(watch);
+          }
+          if (!done) {
+            // The function was cut off before it could end the stream
+            control.pause('the scan server closed the connection');
+          } else if (done.complete) {
+            // Skipped symbols hold the cursor back; the scan is over anyway
+            return done.skipped || [];
+          } else if (done.reason === 'quota') {
+            const label = PROVIDER_LABELS[done.provider] || done.provider;
+            control.pause(`${label} quota exhausted, resume in about ${formatDuration(done.retryAfter)}`);
+          }
+        }
+        return [];
+      }
+
+      /**
+       * Scan a broad universe of tickers and update the results table in
+       * real time as companies passing the active screen are discovered.  This helper
+       * performs the same logic as scanAllUndervalued() but renders the
+       * results incrementally instead of waiting for the full scan to
+       * complete.  It sorts the accumulating list of undervalued stocks by
+       * their price-to-intrinsic ratio on each update so that the most
+       * undervalued names remain at the top.  The intrinsic value comes from
+       * the valuation model selected in the form (see VALUATION_MODELS) and
+       * the screen from the screen input (see compileScreen).
+       * This function uses the existing renderResults() helper to display
+       * the rows.
+       *
+       * Note: Because this performs thousands of API requests when limit is
+       * zero or very large, it can take a significant amount of time and
+       * may exhaust free API limits.  Supplying your own API key via the
+       * input field is strongly recommended.  The lookups run on the server
+       * (see streamServerScan); where the scan endpoint is not deployed, and
+       * in EDGAR fixture mode, they run on the page through runScan with a
+       * bounded number of requests in flight, each request waiting for its
+       * provider's rate limiter.  The scanned and found counts, ETA
+       * and throttling state are shown via renderProgress.
+       *
+       * Progress is checkpointed to IndexedDB while the scan runs.  Passing
+       * a checkpoint continues that scan from its cursor instead of fetching
+       * a new ticker universe.  The scan pauses itself when a provider's
+       * quota is exhausted and can be paused, resumed or stopped through
+       * `control` (see createScanControl).
+       *
+       * @param {number} limit Maximum number of tickers to scan.  Set to
+       *   zero or a negative value to scan all available symbols.
+       * @param {object|null} checkpoint Saved scan to resume, if any
+       * @param {object} control Scan control handle
+       * @returns {Promise<string>} Final state: 'done' or 'stopped'
+       */
+      async function scanAndDisplayUndervalued(limit = 0, checkpoint = null, control = createScanControl()) {
+        let scan = checkpoint;
+        if (!scan) {
+          // Retrieve a list of symbols from the widest universe available.  If a
+          // Financial Modeling Prep API key is provided, we can pull a global list
+          // of all securities.  Otherwise we fall back to the U.S. NASDAQ list.
+          // Either is narrowed to the exchanges and countries of the filters.
+          if (scanProgress) {
+            scanProgress.hidden = false;
+            scanProgress.textContent = 'Fetching ticker universe…';
+          }
+          const filters = universeFilters();
+          const universe = await dataSource.fetchTickerUniverse(limit, filters);
+          scan = {
+            id: CHECKPOINT_ID,
+            universe,
+            filters,
+            currency: displayCurrency,
+            cursor: 0,
+            rows: [],
+            fundamentals: {},
+            startedAt: Date.now()
+          };
+        }
+        currentScan = scan;
+        comparisonSnapshot = null;
+        // A resumed scan may have been started with another model or screen,
+        // so its rows are derived again from the fundamentals collected so far
+        scan.model = selectedModel();
+        scan.screen = activeScreen.source;
+        const tickers = scan.universe;
+        const progress = {
+          total: tickers.length,
+          scanned: scan.cursor,
+          initial: scan.cursor,
+          found: 0,
+          startedAt: Date.now(),
+          state: 'running'
+        };
+        let lastSaved = 0;
+        const persist = (status, force = false) => {
+          if (!force && Date.now() - lastSaved < CHECKPOINT_INTERVAL_MS) return;
+          lastSaved = Date.now();
+          scan.status = status;
+          scan.updatedAt = Date.now();
+          saveCheckpoint(scan).catch(err => console.warn('Unable to save scan checkpoint:', err));
+        };
+        const showRows = rows => {
+          scan.rows = rows;
+          progress.found = rows.length;
+          renderResults(toDisplayRows(rows));
+        };
+        // The scan's fundamentals, cursor and rows are kept in the
+        // checkpoint as the lookups finish, whether on the server or on
+        // the page (see createScanResults); its rows make up the results
+        // table, and its scores those of the current universe
+        const callbacks = {
+          onTicker: ({ symbol, fundamentals }) => {
+            if (fundamentals) fundamentalsByTicker.set(symbol.toUpperCase(), fundamentals);
+          },
+          onRow: (row, rows) => showRows(rows),
+          onRows: (rows, scores) => {
+            setUniverse(scan.fundamentals, scores);
+            showRows(rows);
+          },
+          onProgress: update => {
+            scan.cursor = update.cursor;
+            progress.scanned = progress.initial + update.scanned;
+            persist(control.paused ? 'paused' : 'running');
+            renderProgress(progress);
+          }
+        };
+        const options = {
+          screen: activeScreen,
+          context: { model: scan.model, assumptions },
+          start: scan.cursor,
+          fundamentals: scan.fundamentals,
+          ...callbacks
+        };
+        const results = createScanResults({ total: tickers.length, ...options });
+        // Show rows restored from a checkpoint, or clear any previous results
+        results.rescore();
+        // Refresh the ETA and throttle countdowns even while every worker
+        // waits, and pause the scan once a provider's quota is exhausted
+        const progressTimer = setInterval(() => {
+          if (!control.paused) {
+            const exhausted = findExhaustedProvider(rateLimiters);
+            if (exhausted) {
+              const label = PROVIDER_LABELS[exhausted.provider] || exhausted.provider;
+              control.pause(`${label} quota exhausted, resume in about ${formatDuration(exhausted.wait)}`);
+            }
+          }
+          const state = control.paused ? 'paused' : 'running';
+          if (state !== progress.state) persist(state, true);
+          progress.state = state;
+          progress.reason = control.reason;
+          renderProgress(progress);
+        }, 1000);
+        renderProgress(progress);
+        // Symbols that stayed throttled after every retry
+        let skipped = [];
+        try {
+          const record = (symbol, index, fundamentals) => {
+            callbacks.onTicker({ symbol, index, fundamentals });
+            results.add(symbol, index, fundamentals || null);
+          };
+          const streamed = await streamServerScan(scan, control, record, providers => {
+            progress.providers = providers;
+          });
+          if (streamed) {
+            skipped = streamed;
+            results.rescore();
+          } else {
+            ({ skipped } = await runScan({ symbols: tickers, lookup: lookupWithRetry, control, ...options }));
+          }
+        } finally {
+          clearInterval(progressTimer);
+        }
+        if (control.stopped) {
+          progress.state = 'stopped';
+          persist('stopped', true);
+        } else {
+          // Symbols that stayed throttled after every retry were logged by
+          // the queue and are skipped
+          scan.cursor = tickers.length;
+          progress.scanned = tickers.length;
+          progress.skipped = skipped.length;
+          progress.state = 'done';
+          persist('complete', true);
+        }
+        renderProgress(progress);
+        return progress.state;
+      }
+
+      /**
+       * Scan a broad universe of tickers and return only those that appear
+       * undervalued relative to their estimated intrinsic value under the
+       * selected valuation model.  For each
+       * symbol a fundamental lookup is performed via the existing lookupTicker
+       * helper, metrics are computed, and then filtered by price < intrinsic
+       * value.  Results are sorted by the ratio price / intrinsicValue in
+       * ascending order so that the most undervalued stocks appear first.
+       *
+       * Note: Without a valid API key the Alpha Vantage demo key only
+       * provides data for a handful of symbols (IBM and MSFT).  To scan
+       * effectively you must configure a key on the proxy or supply your
+       * own via the input field.
+       *
+       * @param {number} limit Maximum number of tickers to scan
+       * @returns {Promise<Array>} Array of rows matching the renderResults
+       * format
+       */
+      async function scanAllUndervalued(limit = 100) {
+        const tickers = await dataSource.fetchTickerUniverse(limit, universeFilters());
+        const results = [];
+        const context = screenContext();
+        const screen = activeScreen;
+        await runScanQueue(tickers, async symbol => {
+          const fundamental = await lookupWithRetry(symbol);
+          if (!fundamental) return;
+          // Format the metrics using existing helper for display
+          const row = screenRow(symbol, fundamental, screen, context);
+          if (row) results.push(row);
+        });
+        // Sort by how undervalued the company is: price/intrinsic ascending
+        results.sort(byUndervaluation);
+        // Strip out the numeric helper fields before returning
+        return toDisplayRows(results);
+      }
+
+  // Tickers of the last scan-button lookup, shown when no full scan is, and
+  // when that lookup ran.
+  let manualSymbols = [];
+  let manualScannedAt = null;
+
+  // Saved watchlists by name, and the one picked in the watchlist picker
+  // ('' when none is), whose scans are recorded as snapshots.
+  let watchlists = {};
+  let activeWatchlist = '';
+
+  /**
+   * Split the text of the tickers input into upper-case symbols.
+   *
+   * @param {string} text Comma or whitespace separated tickers
+   * @returns {string[]}
+   */
+  function parseTickers(text) {
+    return (text || '').split(/[\,\s]+/).filter(Boolean).map(ticker => ticker.toUpperCase());
+  }
+
+  /**
+   * The exchange and country filters of the full scan's universe (see
+   * fetchTickerUniverse), read from the filter inputs.
+   *
+   * @returns {{exchanges: string[], countries: string[]}}
+   */
+  function universeFilters() {
+    return {
+      exchanges: parseTickers(exchangeFilterInput ? exchangeFilterInput.value : ''),
+      countries: parseTickers(countryFilterInput ? countryFilterInput.value : '')
+    };
+  }
+
+  /**
+   * Build a snapshot of a watchlist scan from the fundamentals just fetched:
+   * per ticker the normalized fundamentals and their metrics, plus the model
+   * and assumptions in use.  Tickers without data are left out.
+   *
+   * @param {string} name Watchlist name
+   * @param {string[]} symbols Upper-case ticker symbols that were scanned
+   * @returns {object}
+   */
+  function takeSnapshot(name, symbols) {
+    const tickers = {};
+    symbols.filter(ticker => fundamentalsByTicker.has(ticker)).forEach(ticker => {
+      const data = fundamentalsByTicker.get(ticker);
+      tickers[ticker] = { fundamentals: data, metrics: numericMetrics(data, screenContext()) };
+    });
+    return {
+      watchlist: name,
+      takenAt: Date.now(),
+      symbols: Object.keys(tickers),
+      model: selectedModel(),
+      assumptions: { ...assumptions },
+      tickers
+    };
+  }
+
+  /**
+   * Record a scan of a watchlist: the scanned tickers become its list and a
+   * snapshot of them is saved.
+   *
+   * @param {string} name Watchlist name
+   * @param {string[]} symbols Upper-case ticker symbols that were scanned
+   * @returns {Promise<object|null>} The watchlist's previous snapshot, or
+   *   null for its first scan or when it could not be saved
+   */
+  async function recordWatchlistScan(name, symbols) {
+    try {
+      const snapshots = await loadWatchlistSnapshots(name);
+      watchlists[name] = { ...watchlists[name], name, tickers: symbols };
+      await saveWatchlist(watchlists[name]);
+      await saveSnapshot(takeSnapshot(name, symbols));
+      return snapshots[snapshots.length - 1] || null;
+    } catch (err) {
+      console.warn('Unable to save watchlist snapshot:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Build result rows for the given tickers from their latest fundamentals,
+   * sorted by P/E ratio ascending. Tickers without data are left out; the
+   * others are scored against each other's sectors.
+   *
+   * @param {string[]} symbols Upper-case ticker symbols
+   * @returns {Array}
+   */
+  function tickerRows(symbols) {
+    setUniverse(Object.fromEntries(symbols.map(ticker => [ticker, fundamentalsByTicker.get(ticker) || null])));
+    const rows = symbols
+      .filter(ticker => fundamentalsByTicker.has(ticker))
+      .map(ticker => ({ ticker, ...numericMetrics(fundamentalsByTicker.get(ticker), screenContext()) }));
+    // Sort by P/E ratio ascending; missing values push to the end
+    rows.sort((a, b) => {
+      const peA = a.pe == null ? Infinity : a.pe;
+      const peB = b.pe == null ? Infinity : b.pe;
+      return peA - peB || 0;
+    });
+    return rows;
+  }
+
+  // Set up click handler for the scan button
+  scanBtn.addEventListener('click', async () => {
+    // If the user provided an API key, override the default demo key for this
+    // session.  Trim whitespace to avoid accidental spaces breaking the request.
+    if (apiKeyInput && apiKeyInput.value && apiKeyInput.value.trim()) {
+      API_KEYS.alpha = apiKeyInput.value.trim();
+    }
+    const symbols = parseTickers(tickersInput.value);
+    if (symbols.length === 0) return;
+    for (const ticker of symbols) {
+      try {
+        await lookupWithRetry(ticker);
+      } catch (err) {
+        console.warn('Unable to look up', ticker, err);
+      }
+    }
+    manualSymbols = symbols;
+    manualScannedAt = Date.now();
+    currentScan = null;
+    // Scans of a watchlist are recorded, with the scores of this lookup, and
+    // compared with the previous one
+    const rows = tickerRows(manualSymbols);
+    comparisonSnapshot = activeWatchlist ? await recordWatchlistScan(activeWatchlist, symbols) : null;
+    renderResults(rows);
+  });
+
+      // Control handle of the full scan currently running, if any.
+      let activeScanControl = null;
+
+      // Full scan (running, finished or restored from a checkpoint) whose
+      // rows are shown in the results table; null after a ticker scan.
+      let currentScan = null;
+
+      // Label of the Full Market Scan button as written in the page.
+      const fullScanLabel = fullScanBtn ? fullScanBtn.textContent : '';
+
+      /**
+       * Show or hide the pause/stop controls and relabel the Full Market Scan
+       * button depending on whether a scan is running or a saved scan can be
+       * resumed.
+       *
+       * @param {boolean} running Whether a full scan is in progress
+       * @param {boolean} resumable Whether a saved checkpoint can be resumed
+       */
+      function updateScanControls(running, resumable = false) {
+        if (fullScanBtn) {
+          fullScanBtn.disabled = running;
+          if (running) {
+            fullScanBtn.textContent = 'Scanning...';
+          } else {
+            fullScanBtn.textContent = resumable ? 'Resume Full Scan' : fullScanLabel;
+          }
+        }
+        if (pauseScanBtn) {
+          pauseScanBtn.hidden = !running;
+          pauseScanBtn.textContent = 'Pause';
+        }
+        if (stopScanBtn) stopScanBtn.hidden = !running;
+        if (discardScanBtn) discardScanBtn.hidden = running || !resumable;
+        // The model, screen and assumptions decide which rows a scan keeps,
+        // so they are fixed while one runs, as is the currency its
+        // fundamentals are converted into
+        if (modelSelect) modelSelect.disabled = running;
+        if (currencySelect) currencySelect.disabled = running;
+        if (screenInput) screenInput.disabled = running;
+        if (savedScreensSelect) savedScreensSelect.disabled = running;
+        if (assumptionsForm) {
+          Array.from(assumptionsForm.elements).forEach(input => {
+            input.disabled = running;
+          });
+        }
+      }
+
+      // Attach handler for the Full Market Scan button.  This triggers a
+      // comprehensive scan over a broad universe of tickers and updates the
+      // results table incrementally as undervalued companies are found.  The
+      // button is disabled while the scan runs, and its label changes to
+      // indicate progress.  We scan all available symbols when limit <= 0.
+      // When an interrupted scan was checkpointed the button resumes it.
+      if (fullScanBtn) {
+        fullScanBtn.addEventListener('click', async () => {
+          if (activeScanControl) return;
+          // Use the user‑supplied API key if provided.  Assign it to both
+          // providers so that a single key can serve Alpha Vantage or FMP.
+          if (apiKeyInput && apiKeyInput.value && apiKeyInput.value.trim()) {
+            const key = apiKeyInput.value.trim();
+            API_KEYS.alpha = key;
+            API_KEYS.fmp = key;
+          }
+          let checkpoint = null;
+          try {
+            checkpoint = await loadCheckpoint();
+          } catch (err) {
+            console.warn('Unable to load scan checkpoint:', err);
+          }
+          const control = createScanControl();
+          activeScanControl = control;
+          updateScanControls(true);
+          let state = 'done';
+          try {
+            state = await scanAndDisplayUndervalued(0, isResumable(checkpoint) ? checkpoint : null, control);
+          } finally {
+            activeScanControl = null;
+            updateScanControls(false, state !== 'done');
+          }
+        });
+      }
+
+      // Pause or resume the running scan.  Lookups already in flight finish
+      // before the scan actually pauses.
+      if (pauseScanBtn) {
+        pauseScanBtn.addEventListener('click', () => {
+          if (!activeScanControl) return;
+          if (activeScanControl.paused) {
+            activeScanControl.resume();
+            pauseScanBtn.textContent = 'Pause';
+          } else {
+            activeScanControl.pause();
+            pauseScanBtn.textContent = 'Resume';
+          }
+        });
+      }
+
+      // Stop the running scan, abandoning the lookups in flight.  Its
+      // checkpoint is kept so it can be resumed.
+      if (stopScanBtn) {
+        stopScanBtn.addEventListener('click', () => {
+          if (activeScanControl) activeScanControl.stop();
+        });
+      }
+
+      /**
+       * Recompute the results table after the valuation model, the screen or
+       * the assumptions changed.  The rows of the last full scan are filtered
+       * again from its stored fundamentals; ticker lookups and the portfolio
+       * are recomputed from the fundamentals already fetched.  No requests
+       * are made.
+       */
+      function refreshResults() {
+        if (currentScan) {
+          currentScan.rows = rescreen(currentScan.fundamentals);
+          renderResults(toDisplayRows(currentScan.rows));
+        } else {
+          renderResults(tickerRows(manualSymbols));
+        }
+        const openTicker = tickerDetail && !tickerDetail.hidden ? tickerDetail.dataset.ticker : null;
+        if (openTicker) renderTickerDetail(openTicker);
+        renderPortfolio().catch(err => console.warn('Unable to value portfolio:', err));
+      }
+
+      if (modelSelect) {
+        modelSelect.addEventListener('change', refreshResults);
+      }
+
+      /**
+       * Show amounts in another currency: convert the fundamentals looked up
+       * so far, including those of the current scan, save the choice unless
+       * told not to and recompute the results.  Nothing changes when there
+       * is no exchange rate for the currency.
+       *
+       * @param {string} currency Currency code of DISPLAY_CURRENCIES
+       * @param {boolean} remember Whether to keep the choice for later visits
+       * @returns {Promise<boolean>} Whether the display currency changed
+       */
+      async function applyDisplayCurrency(currency, remember = true) {
+        try {
+          if ((await fx.rate(displayCurrency, currency)) == null) return false;
+        } catch (err) {
+          console.warn('Unable to fetch exchange rates:', err);
+          return false;
+        }
+        // The scan and the detail view share fundamentals objects, so each
+        // is converted once
+        const converted = new Map();
+        const convert = async data => {
+          if (data && !converted.has(data)) converted.set(data, await convertFundamentals(data, currency, fx));
+          return data ? converted.get(data) : data;
+        };
+        for (const [ticker, data] of fundamentalsByTicker) {
+          fundamentalsByTicker.set(ticker, await convert(data));
+        }
+        if (currentScan) {
+          for (const [symbol, data] of Object.entries(currentScan.fundamentals)) {
+            currentScan.fundamentals[symbol] = await convert(data);
+          }
+          currentScan.currency = currency;
+          saveCheckpoint(currentScan).catch(err => console.warn('Unable to save scan checkpoint:', err));
+        }
+        displayCurrency = currency;
+        if (remember) localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+        refreshResults();
+        return true;
+      }
+
+      if (currencySelect) {
+        currencySelect.innerHTML = DISPLAY_CURRENCIES.map(code => `<option value="${code}">${code}</option>`).join('');
+        currencySelect.value = displayCurrency;
+        currencySelect.addEventListener('change', async () => {
+          const currency = currencySelect.value;
+          currencySelect.disabled = true;
+          const changed = await applyDisplayCurrency(currency);
+          currencySelect.disabled = Boolean(activeScanControl);
+          if (!changed) {
+            currencySelect.value = displayCurrency;
+            window.alert(`Exchange rates for ${currency} are not available right now.`);
+          }
+        });
+      }
+
+      /**
+       * Download the rows of the results table, in their current order and
+       * across all pages, in the given format
+       * (see EXPORT_FORMATS), together with the scan time, source, model,
+       * screen and assumptions they were computed with.
+       *
+       * @param {string} format 'csv', 'json' or 'xlsx'
+       */
+      function exportResults(format) {
+        const scannedAt = currentScan ? currentScan.startedAt : manualScannedAt;
+        const metadata = {
+          exportedAt: new Date().toISOString(),
+          scannedAt: scannedAt ? new Date(scannedAt).toISOString() : null,
+          source: currentScan ? 'full scan' : 'ticker lookup',
+          model: selectedModel(),
+          screen: currentScan ? currentScan.screen || activeScreen.source : null,
+          currency: displayCurrency,
+          assumptions: { ...assumptions }
+        };
+        const { extension, type, build } = EXPORT_FORMATS[format];
+        const stamp = metadata.exportedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        downloadFile(build(exportRecords(sortedRows(), fundamentalsByTicker, screenContext()), metadata), `screener-${stamp}.${extension}`, type);
+      }
+
+      if (exportMenu) {
+        exportMenu.addEventListener('click', event => {
+          const button = event.target.closest('button[data-format]');
+          if (!button || !EXPORT_FORMATS[button.dataset.format]) return;
+          exportResults(button.dataset.format);
+          exportMenu.open = false;
+        });
+      }
+
+      // Whether a shared link or snapshot was opened, whose state then takes
+      // the place of an interrupted scan restored from its checkpoint.
+      let sharedStateOpened = false;
+
+      function showShareStatus(text) {
+        if (!shareStatus) return;
+        shareStatus.hidden = !text;
+        shareStatus.textContent = text || '';
+      }
+
+      /**
+       * The scanner state a link restores (see encodeShareState).
+       *
+       * @returns {object}
+       */
+      function shareState() {
+        return {
+          tickers: parseTickers(tickersInput.value),
+          model: selectedModel(),
+          screen: activeScreen.source,
+          assumptions,
+          sortKey: tableState.sortKey,
+          sortDescending: tableState.sortDescending,
+          hiddenColumns: tableState.hiddenColumns,
+          currency: displayCurrency,
+          filters: universeFilters()
+        };
+      }
+
+      /**
+       * Snapshot of the rows in the results table, in the order they were
+       * produced (see createSnapshot).
+       *
+       * @returns {object}
+       */
+      function resultsSnapshot() {
+        return createSnapshot(
+          renderedRows.map(row => row.ticker),
+          fundamentalsByTicker,
+          {
+            takenAt: (currentScan ? currentScan.startedAt : manualScannedAt) || Date.now(),
+            source: currentScan ? 'full scan' : 'ticker lookup',
+            currency: displayCurrency
+          }
+        );
+      }
+
+      /**
+       * Share the scanner state: copy a link to it, with the results when
+       * `kind` is 'results', or download a snapshot file when it is 'file'.
+       * The link also replaces the address of the page, so reloading it
+       * restores the same state.  Where the clipboard cannot be written the
+       * link is shown to copy by hand.
+       *
+       * @param {string} kind 'link', 'results' or 'file'
+       * @returns {Promise<void>}
+       */
+      async function shareResults(kind) {
+        const state = shareState();
+        if (kind === 'file') {
+          const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+          downloadFile(snapshotFile(state, resultsSnapshot()), `screener-snapshot-${stamp}.json`, 'application/json');
+          return;
+        }
+        if (kind === 'results') {
+          state.results = await packSnapshot(resultsSnapshot());
+          if (state.results.length > SNAPSHOT_URL_LIMIT) {
+            showShareStatus(`The ${renderedRows.length} results are too many for a link; download a snapshot instead.`);
+            return;
+          }
+        }
+        history.replaceState(null, '', `#${encodeShareState(state)}`);
+        const url = window.location.href;
+        try {
+          await navigator.clipboard.writeText(url);
+          showShareStatus(`Link${state.results ? ' with results' : ''} copied to the clipboard.`);
+        } catch (err) {
+          window.prompt('Copy this link', url);
+        }
+      }
+
+      if (shareMenu) {
+        shareMenu.addEventListener('click', event => {
+          const button = event.target.closest('button[data-share]');
+          if (!button) return;
+          shareMenu.open = false;
+          shareResults(button.dataset.share).catch(err => {
+            console.warn('Unable to share results:', err);
+            showShareStatus('Unable to share the results in this browser.');
+          });
+        });
+      }
+
+      /**
+       * Restore shared scanner state, and show the results of a snapshot
+       * when one is given.  The state applies to this visit only: the
+       * assumptions, columns and currency saved in the browser are kept for
+       * the next one.
+       *
+       * @param {object} state Decoded state (see decodeShareState)
+       * @param {object|null} snapshot Results (see createSnapshot)
+       * @param {string[]} problems Parts of the state that were left out
+       * @returns {Promise<void>}
+       */
+      async function openSharedState(state, snapshot, problems) {
+        if (activeScanControl) {
+          showShareStatus('Stop the full scan before opening shared results.');
+          return;
+        }
+        sharedStateOpened = true;
+        if (state.tickers) tickersInput.value = state.tickers.join(', ');
+        if (state.model && modelSelect) modelSelect.value = state.model;
+        if (state.filters) {
+          if (exchangeFilterInput) exchangeFilterInput.value = state.filters.exchanges.join(', ');
+          if (countryFilterInput) countryFilterInput.value = state.filters.countries.join(', ');
+        }
+        if (state.screen) setActiveScreen(state.screen, false);
+        if (state.assumptions) {
+          assumptions = state.assumptions;
+          fillAssumptionsForm(assumptions);
+        }
+        if (state.sortKey) {
+          tableState.sortKey = state.sortKey;
+          tableState.sortDescending = state.sortDescending;
+        }
+        if (state.hiddenColumns) {
+          tableState.hiddenColumns = state.hiddenColumns;
+          if (columnOptions) {
+            columnOptions.querySelectorAll('input').forEach(input => {
+              input.checked = !tableState.hiddenColumns.includes(input.value);
+            });
+          }
+        }
+        if (snapshot) {
+          // A snapshot is shown like a lookup of its tickers, with amounts
+          // in the currency it was taken in
+          Object.entries(snapshot.fundamentals).forEach(([ticker, data]) => fundamentalsByTicker.set(ticker, data));
+          displayCurrency = snapshot.currency;
+          if (currencySelect) currencySelect.value = displayCurrency;
+          manualSymbols = snapshot.tickers;
+          manualScannedAt = snapshot.takenAt;
+          currentScan = null;
+          comparisonSnapshot = null;
+          if (scanProgress) scanProgress.hidden = true;
+          updateScanControls(false, false);
+        }
+        if (state.currency && state.currency !== displayCurrency && !(await applyDisplayCurrency(state.currency, false))) {
+          problems.push(`exchange rates for ${state.currency} are not available`);
+        }
+        refreshResults();
+        const opened = snapshot
+          ? `Showing ${snapshot.tickers.length} results of a ${snapshot.source} from ${new Date(snapshot.takenAt).toLocaleString()}; scan again for current data.`
+          : 'Opened a shared screen; scan to see its results.';
+        showShareStatus(`${opened}${problems.length > 0 ? ` Not restored: ${problems.join('; ')}.` : ''}`);
+      }
+
+      /**
+       * Open the state encoded in a link (see decodeShareState), including
+       * any results it carries.  Fragments that hold no state, such as the
+       * anchors of the page's sections, are ignored.
+       *
+       * @param {string} hash Fragment of the link
+       * @returns {Promise<void>}
+       */
+      async function openSharedLink(hash) {
+        const { state, problems } = decodeShareState(hash);
+        if (Object.keys(state).length === 0 && problems.length === 0) return;
+        sharedStateOpened = true;
+        let snapshot = null;
+        if (state.results) {
+          try {
+            snapshot = await unpackSnapshot(state.results);
+          } catch (err) {
+            problems.push(`the results (${err.message})`);
+          }
+        }
+        await openSharedState(state, snapshot, problems);
+      }
+
+      if (snapshotFileInput) {
+        snapshotFileInput.addEventListener('change', async () => {
+          const file = snapshotFileInput.files[0];
+          snapshotFileInput.value = '';
+          if (!file) return;
+          let opened;
+          try {
+            opened = readSnapshotFile(await file.text());
+          } catch (err) {
+            showShareStatus(`Unable to open ${file.name}: ${err.message}.`);
+            return;
+          }
+          await openSharedState(opened.state, opened.snapshot, opened.problems);
+        });
+      }
+
+      window.addEventListener('hashchange', () => {
+        openSharedLink(window.location.hash).catch(err => console.warn('Unable to open shared link:', err));
+      });
+
+      /**
+       * Show the built-in and saved screens in the saved screens picker,
+       * selecting the one named `selected` if given.
+       *
+       * @param {string} selected Option value to select, e.g. 'saved:Banks'
+       */
+      function renderSavedScreens(selected = '') {
+        if (!savedScreensSelect) return;
+        const options = (prefix, screens) =>
+          Object.entries(screens)
+            .map(([name, source]) => `<option value="${prefix}:${escapeHtml(name)}" title="${escapeHtml(source)}">${escapeHtml(name)}</option>`)
+            .join('');
+        const saved = options('saved', savedScreens);
+        savedScreensSelect.innerHTML = `
+          <option value="">Screens…</option>
+          <optgroup label="Presets">${options('preset', PRESET_SCREENS)}</optgroup>
+          ${saved ? `<optgroup label="Saved">${saved}</optgroup>` : ''}`;
+        savedScreensSelect.value = selected;
+        if (savedScreensSelect.value !== selected) savedScreensSelect.value = '';
+        if (deleteScreenBtn) deleteScreenBtn.disabled = !savedScreensSelect.value.startsWith('saved:');
+      }
+
+      /**
+       * Show a screen validation message, or hide it when `message` is empty.
+       *
+       * @param {string} message
+       */
+      function showScreenError(message) {
+        if (!screenError) return;
+        screenError.hidden = !message;
+        screenError.textContent = message || '';
+      }
+
+      /**
+       * Make the given screen text the active screen if it is valid and
+       * recompute the results, otherwise show why it is not.
+       *
+       * @param {string} source Screen text
+       * @param {boolean} refresh Whether to recompute the results table
+       * @returns {boolean} Whether the screen was valid
+       */
+      function setActiveScreen(source, refresh = true) {
+        let screen;
+        try {
+          screen = compileScreen(source);
+        } catch (err) {
+          showScreenError(err.message);
+          return false;
+        }
+        showScreenError('');
+        activeScreen = screen;
+        if (screenInput && screenInput.value !== source) screenInput.value = source;
+        if (refresh) refreshResults();
+        return true;
+      }
+
+      /**
+       * Save the named screens to localStorage.
+       */
+      function storeSavedScreens() {
+        try {
+          localStorage.setItem(SCREENS_STORAGE_KEY, JSON.stringify(savedScreens));
+        } catch (err) {
+          console.warn('Unable to save screens:', err);
+        }
+      }
+
+      // Explain the screen and list the fields it can use below the screen
+      // input.
+      if (screenHelp) {
+        const fields = Object.entries(SCREEN_FIELDS)
+          .map(([name, field]) => `<code title="${escapeHtml(field.label)}">${name}</code>`)
+          .join(', ');
+        screenHelp.innerHTML = `The full scan keeps the stocks passing the screen, by default <code>undervalued</code>: priced below the intrinsic value of the selected model less the margin of safety. Fields: ${fields}. Compare with &lt;, &lt;=, &gt;, &gt;=, = or !=, combine with AND, OR, NOT and parentheses; 3% means 0.03.`;
+      }
+
+      if (screenInput) {
+        screenInput.value = activeScreen.source;
+        // Validate while typing and apply once the edit is committed
+        screenInput.addEventListener('input', () => {
+          try {
+            compileScreen(screenInput.value);
+            showScreenError('');
+          } catch (err) {
+            showScreenError(err.message);
+          }
+        });
+        screenInput.addEventListener('change', () => {
+          setActiveScreen(screenInput.value.trim() || DEFAULT_SCREEN);
+        });
+      }
+
+      if (savedScreensSelect) {
+        renderSavedScreens();
+        // Picking a screen applies it right away, re-filtering the last scan
+        savedScreensSelect.addEventListener('change', () => {
+          const [kind, ...rest] = savedScreensSelect.value.split(':');
+          const name = rest.join(':');
+          const source = kind === 'preset' ? PRESET_SCREENS[name] : savedScreens[name];
+          if (deleteScreenBtn) deleteScreenBtn.disabled = kind !== 'saved';
+          if (source) setActiveScreen(source);
+        });
+      }
+
+      if (saveScreenBtn) {
+        saveScreenBtn.addEventListener('click', () => {
+          const source = screenInput ? screenInput.value.trim() : activeScreen.source;
+          try {
+            compileScreen(source);
+          } catch (err) {
+            showScreenError(err.message);
+            return;
+          }
+          const current = savedScreensSelect && savedScreensSelect.value.startsWith('saved:') ? savedScreensSelect.value.slice(6) : '';
+          const name = (window.prompt('Name this screen', current) || '').trim();
+          if (!name) return;
+          savedScreens = { ...savedScreens, [name]: source };
+          storeSavedScreens();
+          renderSavedScreens(`saved:${name}`);
+          setActiveScreen(source);
+        });
+      }
+
+      if (deleteScreenBtn) {
+        deleteScreenBtn.addEventListener('click', () => {
+          if (!savedScreensSelect || !savedScreensSelect.value.startsWith('saved:')) return;
+          const name = savedScreensSelect.value.slice(6);
+          const { [name]: removed, ...rest } = savedScreens;
+          savedScreens = rest;
+          storeSavedScreens();
+          renderSavedScreens();
+        });
+      }
+
+      /**
+       * Show the saved watchlists in the watchlist picker and select the
+       * active one.
+       */
+      function renderWatchlists() {
+        if (!watchlistSelect) return;
+        const options = Object.keys(watchlists)
+          .sort((a, b) => a.localeCompare(b))
+          .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+          .join('');
+        watchlistSelect.innerHTML = `<option value="">No watchlist</option>${options}`;
+        watchlistSelect.value = activeWatchlist;
+        if (deleteWatchlistBtn) deleteWatchlistBtn.disabled = !activeWatchlist;
+      }
+
+      if (watchlistSelect) {
+        // Picking a watchlist puts its tickers in the tickers input; scanning
+        // then records a snapshot of it
+        watchlistSelect.addEventListener('change', () => {
+          activeWatchlist = watchlistSelect.value;
+          const watchlist = watchlists[activeWatchlist];
+          if (watchlist) tickersInput.value = watchlist.tickers.join(', ');
+          if (deleteWatchlistBtn) deleteWatchlistBtn.disabled = !activeWatchlist;
+        });
+      }
+
+      if (saveWatchlistBtn) {
+        saveWatchlistBtn.addEventListener('click', async () => {
+          const tickers = parseTickers(tickersInput.value);
+          if (tickers.length === 0) return;
+          const name = (window.prompt('Name this watchlist', activeWatchlist) || '').trim();
+          if (!name) return;
+          const watchlist = { createdAt: Date.now(), ...watchlists[name], name, tickers };
+          try {
+            await saveWatchlist(watchlist);
+          } catch (err) {
+            console.warn('Unable to save watchlist:', err);
+            return;
+          }
+          watchlists = { ...watchlists, [name]: watchlist };
+          activeWatchlist = name;
+          renderWatchlists();
+        });
+      }
+
+      if (deleteWatchlistBtn) {
+        deleteWatchlistBtn.addEventListener('click', async () => {
+          const name = activeWatchlist;
+          if (!name || !window.confirm(`Delete the watchlist "${name}" and the history of its scans?`)) return;
+          try {
+            await deleteWatchlist(name);
+          } catch (err) {
+            console.warn('Unable to delete watchlist:', err);
+            return;
+          }
+          const { [name]: removed, ...rest } = watchlists;
+          watchlists = rest;
+          activeWatchlist = '';
+          renderWatchlists();
+        });
+      }
+
+      // Alert rules by id, the alert settings, the timer of the periodic
+      // checks and whether a check is running.
+      let alertRules = [];
+      let alertSettings = loadAlertSettings();
+      let alertTimer = null;
+      let alertCheckRunning = false;
+
+      /**
+       * Show the alert rules with a toggle enabling each one and a button
+       * deleting it.
+       */
+      function renderAlertRules() {
+        if (!alertRulesList) return;
+        if (alertRules.length === 0) {
+          alertRulesList.innerHTML = '<li class="alert-empty">No alerts yet.</li>';
+          return;
+        }
+        alertRulesList.innerHTML = alertRules
+          .map(rule => {
+            const model = VALUATION_MODELS[rule.model] ? VALUATION_MODELS[rule.model].label : rule.model;
+            const state = rule.active == null ? 'not checked yet' : rule.active ? 'condition met' : 'condition not met';
+            return `<li>
+              <label><input type="checkbox" data-id="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+                <strong>${escapeHtml(rule.ticker)}</strong> <code>${escapeHtml(rule.condition)}</code></label>
+              <span class="alert-meta">${escapeHtml(model)} · ${state}</span>
+              <button type="button" class="delete-alert-btn" data-id="${rule.id}" aria-label="Delete alert">✕</button>
+            </li>`;
+          })
+          .join('');
+      }
+
+      /**
+       * Show the most recent fired alerts, newest first.
+       *
+       * @param {Array} entries Alert log entries, oldest first
+       */
+      function renderAlertLog(entries) {
+        if (!alertLogBody) return;
+        const recent = entries.slice(-50).reverse();
+        alertLogBody.innerHTML = recent.length
+          ? recent
+              .map(entry => {
+                const values = Object.entries(entry.values)
+                  .map(([field, value]) => `${field} ${value == null ? 'N/A' : +value.toPrecision(4)}`)
+                  .join(', ');
+                const delivered = [entry.notified && 'notification', entry.webhook && `webhook (${entry.webhook})`]
+                  .filter(Boolean)
+                  .join(', ');
+                return `<tr>
+                  <td>${new Date(entry.triggeredAt).toLocaleString()}</td>
+                  <td>${escapeHtml(entry.ticker)}</td>
+                  <td><code>${escapeHtml(entry.condition)}</code></td>
+                  <td>${escapeHtml(values)}</td>
+                  <td>${escapeHtml(delivered || 'log only')}</td>
+                </tr>`;
+              })
+              .join('')
+          : '<tr><td colspan="5">No alerts have fired yet.</td></tr>';
+      }
+
+      const refreshAlertLog = () =>
+        loadAlertLog()
+          .then(renderAlertLog)
+          .catch(err => console.warn('Unable to load alert log:', err));
+
+      function showAlertStatus(text) {
+        if (alertStatus) alertStatus.textContent = text;
+      }
+
+      function showAlertError(message) {
+        if (!alertError) return;
+        alertError.hidden = !message;
+        alertError.textContent = message || '';
+      }
+
+      // Label of the notifications button for the current permission.
+      function renderNotificationButton() {
+        if (!alertNotifyBtn) return;
+        if (typeof Notification === 'undefined') {
+          alertNotifyBtn.textContent = 'Notifications Unavailable';
+          alertNotifyBtn.disabled = true;
+          return;
+        }
+        alertNotifyBtn.textContent = {
+          granted: 'Notifications On',
+          denied: 'Notifications Blocked'
+        }[Notification.permission] || 'Enable Notifications';
+        alertNotifyBtn.disabled = Notification.permission !== 'default';
+      }
+
+      /**
+       * Deliver a fired alert: a browser notification when they are allowed,
+       * a POST of its details to the webhook when one is set, through the
+       * server, and an entry in the alert log.
+       *
+       * @param {object} rule Alert rule
+       * @param {object} check Result of checkAlertRule
+       * @param {object} data Fundamentals the rule was checked against
+       * @returns {Promise<void>}
+       */
+      async function deliverAlert(rule, check, data) {
+        const message = describeAlert(rule, check.values);
+        const triggeredAt = new Date().toISOString();
+        let notified = false;
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+          try {
+            new Notification(`Stock alert: ${rule.ticker}`, { body: message, tag: `alert-${rule.id}` });
+            notified = true;
+          } catch (err) {
+            console.warn('Unable to show notification:', err);
+          }
+        }
+        let webhook = '';
+        if (alertSettings.webhookUrl) {
+          try {
+            // Posted by the webhook function (see api/webhook.js): webhook
+            // receivers do not take JSON posted from a browser
+            const response = await fetch('/api/webhook', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                url: alertSettings.webhookUrl,
+                alert: {
+                  ticker: rule.ticker,
+                  condition: rule.condition,
+                  model: rule.model,
+                  values: check.values,
+                  price: finiteOrNull(data.price),
+                  triggeredAt,
+                  message
+                }
+              })
+            });
+            if (response.ok) {
+              webhook = 'sent';
+            } else {
+              const answer = await response.json().catch(() => ({}));
+              webhook = answer.upstreamStatus ? `HTTP ${answer.upstreamStatus}` : answer.error || `HTTP ${response.status}`;
+            }
+          } catch (err) {
+            console.warn('Unable to post alert to webhook:', err);
+            webhook = 'failed';
+          }
+        }
+        await addAlertLogEntry({
+          ruleId: rule.id,
+          ticker: rule.ticker,
+          condition: rule.condition,
+          model: rule.model,
+          values: check.values,
+          message,
+          triggeredAt,
+          notified,
+          webhook
+        });
+      }
+
+      /**
+       * Check the enabled alert rules against fresh fundamentals of their
+       * tickers and deliver the alerts that fire.  Checks are skipped while a
+       * full scan runs or a provider quota is used up, so that they never
+       * compete with a scan for the same requests; each ticker is looked up
+       * once however many rules watch it.  The fresh fundamentals are scored
+       * against the current universe, in place of what it holds for the same
+       * tickers, for the sector-relative fields of the conditions.
+       *
+       * @returns {Promise<void>}
+       */
+      async function checkAlerts() {
+        const rules = alertRules.filter(rule => rule.enabled);
+        if (alertCheckRunning || rules.length === 0) return;
+        if (activeScanControl) {
+          showAlertStatus('Alert check skipped while a full scan runs.');
+          return;
+        }
+        const exhausted = findExhaustedProvider(rateLimiters);
+        if (exhausted) {
+          const label = PROVIDER_LABELS[exhausted.provider] || exhausted.provider;
+          showAlertStatus(`Alert check skipped: ${label} quota exhausted, resets in ${formatDuration(exhausted.wait)}.`);
+          return;
+        }
+        alertCheckRunning = true;
+        if (alertCheckBtn) alertCheckBtn.disabled = true;
+        showAlertStatus('Checking alerts…');
+        const symbols = [...new Set(rules.map(rule => rule.ticker))];
+        let fired = 0;
+        try {
+          const fresh = {};
+          await runScanQueue(
+            symbols,
+            async symbol => {
+              fresh[symbol] = await lookupWithRetry(symbol);
+            },
+            { concurrency: 1 }
+          );
+          const scores = scoreUniverse(Object.values({ ...universeFundamentals, ...fresh }));
+          for (const rule of rules) {
+            const data = fresh[rule.ticker];
+            // Tickers whose lookup failed are checked again next time
+            if (data === undefined) continue;
+            rule.checkedAt = Date.now();
+            if (data) {
+              const check = checkAlertRule(rule, data, { model: rule.model, assumptions, scores });
+              if (check.fired) {
+                fired++;
+                await deliverAlert(rule, check, data);
+              }
+              rule.active = check.active;
+            }
+            await saveAlertRule(rule);
+          }
+          showAlertStatus(
+            `Checked ${rules.length} alert${rules.length === 1 ? '' : 's'} at ${new Date().toLocaleTimeString()}` +
+              (fired ? ` · ${fired} fired.` : '.')
+          );
+        } finally {
+          alertCheckRunning = false;
+          if (alertCheckBtn) alertCheckBtn.disabled = false;
+        }
+        renderAlertRules();
+        if (fired) refreshAlertLog();
+      }
+
+      /**
+       * (Re)start the periodic alert checks at the chosen interval.  The
+       * checks are timers of this page: they stop when its tab is closed,
+       * and browsers slow them down in tabs left in the background.
+       */
+      function scheduleAlertChecks() {
+        clearInterval(alertTimer);
+        alertTimer = setInterval(() => {
+          checkAlerts().catch(err => console.warn('Unable to check alerts:', err));
+        }, alertSettings.intervalMinutes * MINUTE);
+      }
+
+      const storeAlertSettings = () => localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alertSettings));
+
+      if (alertPresets) {
+        alertPresets.innerHTML = Object.entries(ALERT_PRESETS)
+          .map(([name, condition]) => `<option value="${escapeHtml(condition)}">${escapeHtml(name)}</option>`)
+          .join('');
+      }
+
+      if (alertForm) {
+        // New rules use the valuation model selected in the scanner form
+        alertForm.addEventListener('submit', async event => {
+          event.preventDefault();
+          let rule;
+          try {
+            rule = createAlertRule(alertTickerInput.value, alertConditionInput.value, selectedModel());
+          } catch (err) {
+            showAlertError(err.message);
+            return;
+          }
+          showAlertError('');
+          try {
+            rule.id = await saveAlertRule(rule);
+          } catch (err) {
+            console.warn('Unable to save alert:', err);
+            showAlertError('Alerts are not available in this browser.');
+            return;
+          }
+          alertRules = [...alertRules, rule];
+          alertTickerInput.value = '';
+          renderAlertRules();
+        });
+      }
+
+      if (alertRulesList) {
+        alertRulesList.addEventListener('change', async event => {
+          const rule = alertRules.find(candidate => String(candidate.id) === event.target.dataset.id);
+          if (!rule) return;
+          // A rule switched back on fires again if its condition holds
+          rule.enabled = event.target.checked;
+          rule.active = null;
+          try {
+            await saveAlertRule(rule);
+          } catch (err) {
+            console.warn('Unable to save alert:', err);
+          }
+          renderAlertRules();
+        });
+        alertRulesList.addEventListener('click', async event => {
+          const button = event.target.closest('.delete-alert-btn');
+          if (!button) return;
+          const rule = alertRules.find(candidate => String(candidate.id) === button.dataset.id);
+          if (!rule) return;
+          try {
+            await deleteAlertRule(rule.id);
+          } catch (err) {
+            console.warn('Unable to delete alert:', err);
+            return;
+          }
+          alertRules = alertRules.filter(candidate => candidate !== rule);
+          renderAlertRules();
+        });
+      }
+
+      if (alertIntervalSelect) {
+        alertIntervalSelect.value = String(alertSettings.intervalMinutes);
+        alertIntervalSelect.addEventListener('change', () => {
+          alertSettings = { ...alertSettings, intervalMinutes: parseInt(alertIntervalSelect.value, 10) || 15 };
+          storeAlertSettings();
+          scheduleAlertChecks();
+        });
+      }
+
+      if (alertWebhookInput) {
+        alertWebhookInput.value = alertSettings.webhookUrl;
+        alertWebhookInput.addEventListener('change', () => {
+          if (!alertWebhookInput.checkValidity()) {
+            showAlertStatus('Enter the webhook as an https URL.');
+            return;
+          }
+          alertSettings = { ...alertSettings, webhookUrl: alertWebhookInput.value.trim() };
+          storeAlertSettings();
+        });
+      }
+
+      if (alertNotifyBtn) {
+        renderNotificationButton();
+        alertNotifyBtn.addEventListener('click', async () => {
+          if (typeof Notification === 'undefined') return;
+          await Notification.requestPermission();
+          renderNotificationButton();
+        });
+      }
+
+      if (alertCheckBtn) {
+        alertCheckBtn.addEventListener('click', () => {
+          checkAlerts().catch(err => console.warn('Unable to check alerts:', err));
+        });
+      }
+
+      if (clearAlertLogBtn) {
+        clearAlertLogBtn.addEventListener('click', async () => {
+          try {
+            await clearAlertLog();
+          } catch (err) {
+            console.warn('Unable to clear alert log:', err);
+          }
+          renderAlertLog([]);
+        });
+      }
+
+      // Holdings of the portfolio, and whether their tickers are being
+      // looked up.
+      let holdings = [];
+      let portfolioLookupRunning = false;
+
+      function showPortfolioStatus(text) {
+        if (portfolioStatus) portfolioStatus.textContent = text;
+      }
+
+      function showPortfolioError(message) {
+        if (!portfolioError) return;
+        portfolioError.hidden = !message;
+        portfolioError.textContent = message || '';
+      }
+
+      // Class of an amount coloured by how it compares with intrinsic value
+      const intrinsicClass = above => (above == null ? '' : above ? 'above-intrinsic' : 'below-intrinsic');
+
+      /**
+       * Value the portfolio with the fundamentals looked up so far, in the
+       * display currency and with the selected model, and show its totals
+       * and its positions by market value.  Positions priced above their
+       * intrinsic value are flagged.
+       *
+       * @returns {Promise<void>}
+       */
+      async function renderPortfolio() {
+        if (!portfolioBody) return;
+        if (holdings.length === 0) {
+          if (portfolioSummary) portfolioSummary.innerHTML = '';
+          portfolioBody.innerHTML = '<tr><td colspan="14">No holdings yet.</td></tr>';
+          return;
+        }
+        const currency = displayCurrency;
+        const converted = await convertHoldings(holdings, currency, fx);
+        // A later render shows the newer currency
+        if (currency !== displayCurrency) return;
+        const model = VALUATION_MODELS[selectedModel()];
+        const { positions, totals } = valuePortfolio(converted, Object.fromEntries(fundamentalsByTicker), screenContext());
+
+        if (portfolioSummary) {
+          const discount = totals.discount;
+          const items = [
+            [`Market value (${currency})`, formatMetric(totals.marketValue, 'number')],
+            [`Cost basis (${currency})`, formatMetric(totals.costBasis, 'number')],
+            ['Unrealized gain', totals.gain != null ? `${formatMetric(totals.gain, 'number')} (${formatMetric(totals.gainPercent, 'percent')})` : 'N/A'],
+            ['Weighted P/E', formatMetric(totals.pe, 'number')],
+            ['Weighted P/B', formatMetric(totals.pb, 'number')],
+            ['Dividend yield', formatMetric(totals.dividendYield, 'percent')],
+            [`Annual dividend income (${currency})`, formatMetric(totals.income, 'number')],
+            [`${model.label} value (${currency})`, formatMetric(totals.intrinsicValue, 'number')],
+            [
+              discount != null && discount < 0 ? 'Premium to intrinsic value' : 'Discount to intrinsic value',
+              discount != null ? formatMetric(Math.abs(discount), 'percent') : 'N/A',
+              intrinsicClass(discount != null ? discount < 0 : null)
+            ],
+            ['Above intrinsic value', `${totals.aboveIntrinsic.length} of ${positions.length} positions`, totals.aboveIntrinsic.length ? 'above-intrinsic' : '']
+          ];
+          portfolioSummary.innerHTML = items
+            .map(([label, value, className]) => `<div><dt>${escapeHtml(label)}</dt><dd${className ? ` class="${className}"` : ''}>${value}</dd></div>`)
+            .join('');
+        }
+        if (portfolioIntrinsicHeader) portfolioIntrinsicHeader.textContent = `${model.label} Value`;
+
+        const byValue = (a, b) => (b.marketValue == null ? -Infinity : b.marketValue) - (a.marketValue == null ? -Infinity : a.marketValue) || 0;
+        portfolioBody.innerHTML = [...positions]
+          .sort(byValue)
+          .map(position => {
+            const data = fundamentalsByTicker.get(position.ticker);
+            const { title, stale } = describeProvenance(data, ['price']);
+            const priceClass = stale ? ' class="stale"' : '';
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            const comparison = intrinsicClass(position.aboveIntrinsic);
+            const flag = position.aboveIntrinsic ? '<span class="intrinsic-flag">Above intrinsic</span>' : '';
+            const gain = position.gain != null ? `${formatMetric(position.gain, 'number')} (${formatMetric(position.gainPercent, 'percent')})` : 'N/A';
+            return `<tr>
+              <td><button type="button" class="ticker-link" data-ticker="${escapeHtml(position.ticker)}">${escapeHtml(position.ticker)}</button></td>
+              <td>${position.shares.toLocaleString()}</td>
+              <td${priceClass}${titleAttr}>${formatMetric(position.price, 'number')}</td>
+              <td>${formatMetric(position.marketValue, 'number')}</td>
+              <td>${formatMetric(position.weight, 'percent')}</td>
+              <td>${formatMetric(position.costBasis, 'number')}</td>
+              <td>${gain}</td>
+              <td>${formatMetric(position.pe, 'number')}</td>
+              <td>${formatMetric(position.pb, 'number')}</td>
+              <td>${formatMetric(position.dividendYield, 'percent')}</td>
+              <td>${formatMetric(position.income, 'number')}</td>
+              <td${comparison ? ` class="${comparison}"` : ''}>${formatMetric(position.intrinsic, 'number')}</td>
+              <td>${formatMetric(position.discount, 'percent')}${flag}</td>
+              <td><button type="button" class="delete-holding-btn" data-ticker="${escapeHtml(position.ticker)}" aria-label="Remove holding">✕</button></td>
+            </tr>`;
+          })
+          .join('');
+        if (totals.unpriced.length > 0 && !portfolioLookupRunning) {
+          showPortfolioStatus(`No price for ${totals.unpriced.join(', ')}; these holdings are left out of the totals.`);
+        }
+      }
+
+      /**
+       * Look up the tickers of the portfolio, all of them or only those
+       * without fundamentals yet, and value the portfolio with the results.
+       * Like alert checks, lookups are skipped while a full scan runs.
+       *
+       * @param {boolean} all Whether to refresh tickers already looked up
+       * @returns {Promise<void>}
+       */
+      async function lookupHoldings(all = false) {
+        const symbols = holdings.map(holding => holding.ticker).filter(ticker => all || !fundamentalsByTicker.has(ticker));
+        if (portfolioLookupRunning || symbols.length === 0) return;
+        if (activeScanControl) {
+          showPortfolioStatus('Prices are not looked up while a full scan runs.');
+          return;
+        }
+        portfolioLookupRunning = true;
+        if (refreshPortfolioBtn) refreshPortfolioBtn.disabled = true;
+        showPortfolioStatus(`Looking up ${symbols.length} holding${symbols.length === 1 ? '' : 's'}…`);
+        try {
+          await runScanQueue(
+            symbols,
+            async symbol => {
+              await lookupWithRetry(symbol);
+              await renderPortfolio();
+            },
+            { concurrency: 1 }
+          );
+        } finally {
+          portfolioLookupRunning = false;
+          if (refreshPortfolioBtn) refreshPortfolioBtn.disabled = false;
+        }
+        showPortfolioStatus(`Prices updated at ${new Date().toLocaleTimeString()}.`);
+        await renderPortfolio();
+      }
+
+      const lookupHoldingsLater = all => lookupHoldings(all).catch(err => console.warn('Unable to look up holdings:', err));
+
+      if (holdingForm) {
+        // Holdings entered by hand have their cost basis in the display
+        // currency; adding a ticker already held replaces its holding
+        holdingForm.addEventListener('submit', async event => {
+          event.preventDefault();
+          let holding;
+          try {
+            holding = createHolding(holdingTickerInput.value, holdingSharesInput.value, holdingCostInput.value, displayCurrency);
+          } catch (err) {
+            showPortfolioError(err.message);
+            return;
+          }
+          showPortfolioError('');
+          try {
+            await saveHolding(holding);
+          } catch (err) {
+            console.warn('Unable to save holding:', err);
+            showPortfolioError('The portfolio is not available in this browser.');
+            return;
+          }
+          holdings = [...holdings.filter(held => held.ticker !== holding.ticker), holding];
+          holdingForm.reset();
+          await renderPortfolio();
+          lookupHoldingsLater(false);
+        });
+      }
+
+      if (holdingsFileInput) {
+        // An import replaces the whole portfolio, e.g. with a fresh export
+        // from a broker
+        holdingsFileInput.addEventListener('change', async () => {
+          const file = holdingsFileInput.files[0];
+          holdingsFileInput.value = '';
+          if (!file) return;
+          let imported;
+          try {
+            imported = parseHoldingsCsv(await file.text(), displayCurrency);
+          } catch (err) {
+            showPortfolioError(`Unable to import ${file.name}: ${err.message}`);
+            return;
+          }
+          showPortfolioError('');
+          if (holdings.length > 0 && !window.confirm(`Replace the ${holdings.length} holdings of the portfolio with the ${imported.length} in ${file.name}?`)) return;
+          try {
+            await replaceHoldings(imported);
+          } catch (err) {
+            console.warn('Unable to save holdings:', err);
+            showPortfolioError('The portfolio is not available in this browser.');
+            return;
+          }
+          holdings = imported;
+          showPortfolioStatus(`Imported ${imported.length} holding${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+          await renderPortfolio();
+          lookupHoldingsLater(false);
+        });
+      }
+
+      if (refreshPortfolioBtn) {
+        refreshPortfolioBtn.addEventListener('click', () => lookupHoldingsLater(true));
+      }
+
+      if (clearPortfolioBtn) {
+        clearPortfolioBtn.addEventListener('click', async () => {
+          if (holdings.length === 0 || !window.confirm('Remove every holding from the portfolio?')) return;
+          try {
+            await replaceHoldings([]);
+          } catch (err) {
+            console.warn('Unable to clear holdings:', err);
+            return;
+          }
+          holdings = [];
+          showPortfolioStatus('');
+          await renderPortfolio();
+        });
+      }
+
+      if (portfolioBody) {
+        portfolioBody.addEventListener('click', async event => {
+          const link = event.target.closest('.ticker-link');
+          if (link) {
+            renderTickerDetail(link.dataset.ticker);
+            if (tickerDetail && !tickerDetail.hidden) tickerDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return;
+          }
+          const button = event.target.closest('.delete-holding-btn');
+          if (!button) return;
+          try {
+            await deleteHolding(button.dataset.ticker);
+          } catch (err) {
+            console.warn('Unable to delete holding:', err);
+            return;
+          }
+          holdings = holdings.filter(holding => holding.ticker !== button.dataset.ticker);
+          await renderPortfolio();
+        });
+      }
+
+      if (portfolioPanel) {
+        // Holdings are looked up once the panel is opened
+        portfolioPanel.addEventListener('toggle', () => {
+          if (portfolioPanel.open) lookupHoldingsLater(false);
+        });
+      }
+
+      /**
+       * Show the given assumptions in the assumptions form.  Inputs marked
+       * with `data-percent` display rates as percentages.
+       *
+       * @param {object} values Valuation assumptions
+       */
+      function fillAssumptionsForm(values) {
+        if (!assumptionsForm) return;
+        Array.from(assumptionsForm.elements).forEach(input => {
+          if (!(input.name in values)) return;
+          if (input.type === 'checkbox') {
+            input.checked = Boolean(values[input.name]);
+          } else {
+            const value = values[input.name];
+            input.value = 'percent' in input.dataset ? String(+(value * 100).toFixed(4)) : String(value);
+          }
+        });
+      }
+
+      /**
+       * Read and validate the assumptions form.
+       *
+       * @returns {{values: object, error: string|null}}
+       */
+      function readAssumptionsForm() {
+        const values = { ...assumptions };
+        for (const input of Array.from(assumptionsForm.elements)) {
+          if (!input.name) continue;
+          if (input.type === 'checkbox') {
+            values[input.name] = input.checked;
+            continue;
+          }
+          const number = parseFloat(input.value);
+          if (!isFinite(number)) {
+            return { values, error: `${input.closest('label').textContent.trim()} must be a number.` };
+          }
+          values[input.name] = 'percent' in input.dataset ? number / 100 : Math.round(number);
+        }
+        return { values, error: validateAssumptions(values) };
+      }
+
+      /**
+       * Put new valuation assumptions into effect: save them and recompute
+       * the results on screen.
+       *
+       * @param {object} values Valuation assumptions
+       */
+      function applyAssumptions(values) {
+        assumptions = values;
+        try {
+          localStorage.setItem(ASSUMPTIONS_STORAGE_KEY, JSON.stringify(values));
+        } catch (err) {
+          console.warn('Unable to save assumptions:', err);
+        }
+        refreshResults();
+      }
+
+      if (assumptionsForm) {
+        fillAssumptionsForm(assumptions);
+        assumptionsForm.addEventListener('change', () => {
+          const { values, error } = readAssumptionsForm();
+          if (assumptionsError) {
+            assumptionsError.hidden = !error;
+            assumptionsError.textContent = error || '';
+          }
+          if (!error) applyAssumptions(values);
+        });
+        // Keep the form from submitting (and reloading the page) on Enter
+        assumptionsForm.addEventListener('submit', event => event.preventDefault());
+      }
+
+      if (resetAssumptionsBtn) {
+        resetAssumptionsBtn.addEventListener('click', () => {
+          fillAssumptionsForm(DEFAULT_ASSUMPTIONS);
+          if (assumptionsError) assumptionsError.hidden = true;
+          applyAssumptions({ ...DEFAULT_ASSUMPTIONS });
+        });
+      }
+
+      // Throw away the checkpoint of an interrupted scan so that the next
+      // full scan starts over with a fresh ticker universe.
+      if (discardScanBtn) {
+        discardScanBtn.addEventListener('click', async () => {
+          try {
+            await clearCheckpoint();
+          } catch (err) {
+            console.warn('Unable to clear scan checkpoint:', err);
+          }
+          currentScan = null;
+          renderResults([]);
+          if (scanProgress) scanProgress.hidden = true;
+          updateScanControls(false, false);
+        });
+      }
+
+      loadWatchlists()
+        .then(list => {
+          watchlists = Object.fromEntries(list.map(watchlist => [watchlist.name, watchlist]));
+          renderWatchlists();
+        })
+        .catch(err => console.warn('Unable to load watchlists:', err));
+
+      // Check the alert rules at the chosen interval while the page is open,
+      // and right away when the last check is older than the interval, which
+      // catches up on the checks missed while it was closed.
+      loadAlertRules()
+        .then(rules => {
+          alertRules = rules;
+          renderAlertRules();
+          scheduleAlertChecks();
+          const lastChecked = Math.max(0, ...rules.map(rule => rule.checkedAt || 0));
+          if (Date.now() - lastChecked >= alertSettings.intervalMinutes * MINUTE) return checkAlerts();
+        })
+        .catch(err => console.warn('Unable to load alerts:', err));
+      refreshAlertLog();
+
+      loadHoldings()
+        .then(list => {
+          holdings = list;
+          return renderPortfolio();
+        })
+        .then(() => {
+          if (portfolioPanel && portfolioPanel.open) lookupHoldingsLater(false);
+        })
+        .catch(err => console.warn('Unable to load portfolio:', err));
+
+      // Restore the state of a shared link the page was opened with
+      openSharedLink(window.location.hash).catch(err => console.warn('Unable to open shared link:', err));
+
+      // Restore an interrupted scan after a reload: show the rows found so
+      // far and offer to resume from the saved cursor.
+      loadCheckpoint()
+        .then(checkpoint => {
+          if (activeScanControl || sharedStateOpened || !isResumable(checkpoint)) return;
+          Object.entries(checkpoint.fundamentals).forEach(([symbol, data]) => {
+            if (data) fundamentalsByTicker.set(symbol.toUpperCase(), data);
+          });
+          currentScan = checkpoint;
+          comparisonSnapshot = null;
+          // Continue with the screen the scan was started with, and in the
+          // currency its fundamentals were converted into
+          if (checkpoint.screen && checkpoint.screen !== activeScreen.source) {
+            setActiveScreen(checkpoint.screen, false);
+          }
+          if (checkpoint.currency && checkpoint.currency !== displayCurrency) {
+            displayCurrency = checkpoint.currency;
+            if (currencySelect) currencySelect.value = displayCurrency;
+          }
+          checkpoint.rows = rescreen(checkpoint.fundamentals);
+          renderResults(toDisplayRows(checkpoint.rows));
+          renderProgress({
+            total: checkpoint.universe.length,
+            scanned: checkpoint.cursor,
+            found: checkpoint.rows.length,
+            startedAt: Date.now(),
+            state: 'stopped'
+          });
+          updateScanControls(false, true);
+        })
+        .catch(err => console.warn('Unable to load scan checkpoint:', err));
 
   // Update the footer year dynamically
   const yearSpan = document.getElementById('year');
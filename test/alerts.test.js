@@ -0,0 +1,71 @@
+// Alert rules: when a rule fires, and what the alert says.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkAlertRule, createAlertRule, describeAlert } from '../lib/alerts.js';
+import { scoreUniverse } from '../lib/screen.js';
+import { DEFAULT_ASSUMPTIONS } from '../lib/valuation.js';
+
+// Worth 2 / 8% = 25 a share under the DDM
+const ko = price => ({ price, dividendPerShare: 2, eps: 2.5, sector: 'Consumer Staples' });
+
+const context = { model: 'ddm', assumptions: DEFAULT_ASSUMPTIONS };
+
+/**
+ * Check a rule against a series of prices the way the page does, keeping
+ * whether the condition held, and list the checks it fired on.
+ *
+ * @param {object} rule
+ * @param {number[]} prices
+ * @returns {number[]} Indexes into `prices`
+ */
+function firings(rule, prices) {
+  return prices.flatMap((price, i) => {
+    const { active, fired } = checkAlertRule(rule, ko(price), context);
+    rule.active = active;
+    return fired ? [i] : [];
+  });
+}
+
+describe('alert rules', () => {
+  it('fires when the condition becomes true, not while it stays true', () => {
+    const rule = createAlertRule('ko', 'price < intrinsic', 'ddm');
+    assert.deepEqual(firings(rule, [20, 21, 30, 24, 24, 26, 22]), [0, 3, 6]);
+  });
+
+  it('does not fire on a first check that finds the condition false', () => {
+    const rule = createAlertRule('KO', 'price < intrinsic', 'ddm');
+    assert.deepEqual(firings(rule, [30, 31]), []);
+    assert.equal(rule.active, false);
+  });
+
+  it('reports the values of the fields the condition uses', () => {
+    const rule = createAlertRule('KO', 'price < intrinsic AND pe < 15', 'ddm');
+    const { values } = checkAlertRule(rule, ko(20), context);
+    assert.deepEqual(values, { price: 20, intrinsic: 25, pe: 8 });
+    assert.equal(describeAlert(rule, values), 'KO: price < intrinsic AND pe < 15 (price 20, intrinsic 25, pe 8)');
+  });
+
+  it('shows missing values as n/a and rounds the others', () => {
+    const rule = createAlertRule('KO', 'divYield > 4% OR beta < 1', 'ddm');
+    const { active, values } = checkAlertRule(rule, ko(48.5), context);
+    assert.equal(active, true);
+    assert.equal(describeAlert(rule, values), 'KO: divYield > 4% OR beta < 1 (divYield 0.04124, beta n/a)');
+  });
+
+  it('scores sector-relative conditions against the universe of the context', () => {
+    const rule = createAlertRule('KO', 'cheapness >= 0.75', 'ddm');
+    const data = ko(20);
+    const peers = [ko(40), ko(50), ko(60)];
+    const scores = scoreUniverse([data, ...peers]);
+    assert.equal(checkAlertRule(rule, data, { ...context, scores }).active, true);
+    assert.equal(checkAlertRule(rule, peers[2], { ...context, scores }).active, false);
+    // Without scores there is nothing to compare with
+    assert.equal(checkAlertRule(rule, data, context).active, false);
+  });
+
+  it('rejects invalid tickers and conditions', () => {
+    assert.throws(() => createAlertRule('', 'pe < 15', 'dcf'), /Enter the ticker to watch/);
+    assert.throws(() => createAlertRule('KO', 'pe <', 'dcf'), /Expected a field or number/);
+  });
+});
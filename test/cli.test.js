@@ -0,0 +1,150 @@
+// Command line (bin/screener.js): options, exit codes and stopping a scan.
+// Scans run against a stubbed fetch, loaded into the command's process with
+// --import, or replay an empty fixture directory, so no provider is asked.
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const SCREENER = fileURLToPath(new URL('../bin/screener.js', import.meta.url));
+
+// Longest a command may take; a command still running by then hangs.
+const TIMEOUT_MS = 10 * 1000;
+
+/**
+ * A module replacing fetch with one that answers every request with the
+ * given status, headers and body, and reports each request on stderr.
+ *
+ * @param {number} status
+ * @param {object} headers
+ * @param {string} body
+ * @returns {string} data: URL of the module
+ */
+const stubFetch = (status, headers, body) => `data:text/javascript,${encodeURIComponent(`
+  globalThis.fetch = async url => {
+    process.stderr.write('fetch ' + url + '\\n');
+    return new Response(${JSON.stringify(body)}, { status: ${status}, headers: ${JSON.stringify(headers)} });
+  };
+`)}`;
+
+/**
+ * Run the command line and collect its output.
+ *
+ * @param {string[]} args Arguments after bin/screener.js
+ * @param {object} [options]
+ * @param {object} [options.env] Environment variables to add
+ * @param {string[]} [options.nodeArgs] Arguments for node itself
+ * @param {function(object, string): void} [options.onStderr] Called with the
+ *   child process and its standard error so far whenever it writes to it
+ * @returns {Promise<{code: number|null, signal: string|null, stdout: string, stderr: string, ms: number}>}
+ */
+function run(args, { env = {}, nodeArgs = [], onStderr = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = spawn(process.execPath, [...nodeArgs, SCREENER, ...args], {
+      // Without provider keys, FMP is skipped and Alpha Vantage gets the demo key
+      env: { PATH: process.env.PATH, ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      onStderr(child, stderr);
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, stdout, stderr, ms: Date.now() - startedAt });
+    });
+  });
+}
+
+describe('command line', () => {
+  let fixtureDir;
+  before(async () => {
+    fixtureDir = await mkdtemp(path.join(tmpdir(), 'screener-'));
+  });
+  after(() => rm(fixtureDir, { recursive: true, force: true }));
+
+  // Replays an empty fixture directory: every provider answers with 404
+  const replay = () => ({ SCREENER_FIXTURES: 'replay', SCREENER_FIXTURE_DIR: fixtureDir });
+
+  it('prints the usage', async () => {
+    const { code, stdout } = await run(['help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: screener scan \[options\]/);
+  });
+
+  it('exits with 2 on an unknown command', async () => {
+    const { code, stderr } = await run(['list']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown command "list"/);
+  });
+
+  for (const [args, message] of [
+    [['--nope'], /Unknown option '--nope'/],
+    [['--tickers', 'AAPL;MSFT'], /"AAPL;MSFT" is not a ticker/],
+    [['--model', 'graham'], /Unknown model "graham"/],
+    [['--screen', 'pe <'], /screen|expected/i],
+    [['--currency', 'euro'], /three-letter code/],
+    [['--format', 'pdf'], /Unknown format "pdf"/],
+    [['--assumptions', '{"discountRate": '], /must be a JSON object/]
+  ]) {
+    it(`exits with 2 on invalid options: ${args.join(' ')}`, async () => {
+      const { code, stdout, stderr } = await run(['scan', ...args], { env: replay() });
+      assert.equal(code, 2);
+      assert.equal(stdout, '');
+      assert.match(stderr, message);
+    });
+  }
+
+  it('writes the export of a completed scan and exits with 0', async () => {
+    const { code, stdout } = await run(['scan', '-t', 'aapl,msft', '-m', 'ddm', '-s', 'pe < 30', '-f', 'json', '-q'], { env: replay() });
+    assert.equal(code, 0);
+    const exported = JSON.parse(stdout);
+    assert.equal(exported.source, 'command line');
+    assert.equal(exported.model, 'ddm');
+    assert.equal(exported.screen, 'pe < 30');
+    assert.deepEqual(exported.rows, []);
+  });
+
+  it('stops with 3 once a provider quota is exhausted', async () => {
+    // Every provider asks to wait an hour
+    const nodeArgs = ['--import', stubFetch(429, { 'Retry-After': '3600' }, '{}')];
+    const { code, stdout, stderr, ms } = await run(['scan', '-t', 'AAPL,MSFT,KO,JPM,IBM,T'], { nodeArgs });
+    assert.equal(code, 3);
+    assert.match(stderr, /quota exhausted; resume with --start 0/);
+    assert.match(stdout, /^# /);
+    assert.ok(ms < TIMEOUT_MS, 'the command kept running');
+  });
+
+  it('stops with 3 on Ctrl-C while lookups wait for throttled providers', async () => {
+    // Alpha Vantage's throttle payload, for every provider, blocks each of
+    // them for a minute
+    const nodeArgs = ['--import', stubFetch(200, { 'Content-Type': 'application/json' }, '{"Note": "Our standard API call frequency is 5 calls per minute."}')];
+    let interrupted = false;
+    const { code, signal, stderr, ms } = await run(['scan', '-t', 'AAPL,MSFT,KO,JPM,IBM,T'], {
+      nodeArgs,
+      onStderr: (child, output) => {
+        if (!interrupted && output.includes('fetch ')) {
+          interrupted = true;
+          // Let the lookups get to their back-off first
+          setTimeout(() => child.kill('SIGINT'), 200);
+        }
+      }
+    });
+    assert.equal(signal, null);
+    assert.equal(code, 3);
+    assert.match(stderr, /Scan interrupted; resume with --start 0/);
+    assert.ok(ms < TIMEOUT_MS, 'the command kept running');
+  });
+});
@@ -0,0 +1,94 @@
+// Converting fundamentals into the display currency (convertFundamentals)
+// with rates in Frankfurter's format.
+
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { convertFundamentals, createFxSource } from '../lib/currency.js';
+
+// Euro reference rates
+const fx = createFxSource({ fetchJson: async () => ({ base: 'EUR', date: '2026-10-16', rates: { USD: 1.25, GBP: 0.8 } }) });
+
+// SAP reported in euros, with a return on equity that needs no conversion.
+const sap = {
+  currency: 'EUR',
+  price: 150,
+  eps: 6,
+  returnOnEquity: 0.15,
+  provenance: {
+    price: { provider: 'fmp', currency: 'EUR', asOf: '2026-10-16' },
+    eps: { provider: 'fmp', currency: 'EUR', asOf: '2025-12-31' },
+    returnOnEquity: { provider: 'fmp', currency: null, asOf: '2025-12-31' }
+  }
+};
+
+describe('currency conversion', () => {
+  it('converts amounts of money and notes the reported currency and rate', async () => {
+    const converted = await convertFundamentals(sap, 'USD', fx);
+    assert.equal(converted.currency, 'USD');
+    assert.equal(converted.price, 187.5);
+    assert.equal(converted.eps, 7.5);
+    assert.deepEqual(converted.provenance.price, { provider: 'fmp', currency: 'USD', asOf: '2026-10-16', reportedCurrency: 'EUR', rate: 1.25 });
+    // Ratios stay as they are
+    assert.equal(converted.returnOnEquity, 0.15);
+    assert.deepEqual(converted.provenance.returnOnEquity, sap.provenance.returnOnEquity);
+    // The fundamentals passed in are left alone
+    assert.equal(sap.price, 150);
+    assert.equal(sap.provenance.price.currency, 'EUR');
+  });
+
+  it('works from converted values when converting again', async () => {
+    const pounds = await convertFundamentals(await convertFundamentals(sap, 'USD', fx), 'GBP', fx);
+    assert.equal(pounds.price, 120);
+    assert.equal(pounds.provenance.price.reportedCurrency, 'EUR');
+    assert.equal(pounds.provenance.price.rate, 0.8);
+    // Back into euros there is no conversion left to note
+    const euros = await convertFundamentals(pounds, 'EUR', fx);
+    assert.equal(euros.price, 150);
+    assert.equal(euros.provenance.price.reportedCurrency, null);
+    assert.equal(euros.provenance.price.rate, null);
+  });
+
+  it('converts prices quoted in pence', async () => {
+    const vod = {
+      currency: 'GBP',
+      price: 72,
+      eps: 0.05,
+      provenance: { price: { provider: 'fmp', currency: 'GBp' }, eps: { provider: 'fmp', currency: 'GBP' } }
+    };
+    const converted = await convertFundamentals(vod, 'GBP', fx);
+    assert.equal(converted.price, 0.72);
+    assert.equal(converted.provenance.price.reportedCurrency, 'GBp');
+    assert.equal(converted.eps, 0.05);
+  });
+
+  it('takes amounts without a currency of their own to be in that of the data', async () => {
+    const data = { currency: 'EUR', price: 40, provenance: { price: { provider: 'alpha' } } };
+    assert.equal((await convertFundamentals(data, 'USD', fx)).price, 50);
+  });
+
+  it('drops amounts there is no rate for', async () => {
+    const data = { ...sap, provenance: { ...sap.provenance, price: { provider: 'fmp', currency: 'XYZ' } } };
+    const converted = await convertFundamentals(data, 'USD', fx);
+    assert.equal(converted.price, null);
+    assert.equal(converted.provenance.price, undefined);
+    assert.equal(converted.eps, 7.5);
+  });
+
+  it('drops every amount to convert when the rates cannot be fetched', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      const offline = createFxSource({
+        fetchJson: async () => {
+          throw new Error('offline');
+        }
+      });
+      const converted = await convertFundamentals(sap, 'USD', offline);
+      assert.equal(converted.price, null);
+      assert.equal(converted.eps, null);
+      assert.equal(converted.returnOnEquity, 0.15);
+      assert.equal(warn.mock.callCount(), 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
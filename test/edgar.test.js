@@ -0,0 +1,145 @@
+// SEC EDGAR provider, read from the responses recorded in
+// fixtures/recorded/ (the ticker map and the companyfacts of AAPL and JPM).
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The fixture directory is read when lib/fixtures.js is loaded
+process.env.SCREENER_FIXTURE_DIR = fileURLToPath(new URL('../fixtures/recorded/', import.meta.url));
+
+const { fixturePath } = await import('../lib/fixtures.js');
+const { createDataSource } = await import('../lib/providers.js');
+const { cacheKey } = await import('../lib/upstream.js');
+const { DEFAULT_ASSUMPTIONS } = await import('../lib/valuation.js');
+
+/**
+ * Create a data source that only asks SEC EDGAR, answering its requests
+ * from the recorded responses (null when there is none) and logging their
+ * URLs.
+ *
+ * @returns {{dataSource: object, requests: string[]}}
+ */
+function edgarSource() {
+  const requests = [];
+  const dataSource = createDataSource({
+    fetchJson: async url => {
+      throw new Error(`Unexpected request for ${url}`);
+    },
+    fetchEdgar: async url => {
+      requests.push(url);
+      try {
+        return JSON.parse(await readFile(fixturePath(cacheKey(new URL(url))), 'utf8')).json;
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    available: provider => provider === 'sec'
+  });
+  return { dataSource, requests };
+}
+
+const lookup = symbol => edgarSource().dataSource.lookupTicker(symbol, DEFAULT_ASSUMPTIONS);
+
+describe('SEC EDGAR provider', () => {
+  it('derives AAPL fundamentals from its latest annual report', async () => {
+    const data = await lookup('AAPL');
+    assert.equal(data.provider, 'sec');
+    assert.equal(data.currency, 'USD');
+    // EDGAR has no market data
+    assert.equal(data.price, null);
+    assert.equal(data.eps, 6.13);
+    assert.equal(data.dividendPerShare, 0.94);
+    // Operating cash flow less capital expenditures of fiscal 2023
+    assert.equal(data.freeCashFlow, 110543000000 - 10959000000);
+    // Long-term debt less cash and cash equivalents
+    assert.equal(data.netDebt, 105103000000 - 29965000000);
+    assert.equal(data.sharesOutstanding, 15441881000);
+    assert.equal(data.bookValue, 62146000000 / 15441881000);
+    assert.equal(data.returnOnEquity, 96995000000 / 62146000000);
+  });
+
+  it('skips quarterly reports, but not for the cover page share count', async () => {
+    const data = await lookup('AAPL');
+    // The 10-Q for the quarter to 2023-12-30 reports EPS of 2.18 and equity
+    // of 74.1bn; the 10-K for fiscal 2023 wins
+    assert.equal(data.provenance.eps.asOf, '2023-09-30');
+    assert.equal(data.provenance.bookValue.asOf, '2023-09-30');
+    assert.equal(data.provenance.returnOnEquity.asOf, '2023-09-30');
+    // dei:EntityCommonStockSharesOutstanding is taken from any form
+    assert.equal(data.provenance.sharesOutstanding.asOf, '2024-01-19');
+  });
+
+  it('skips quarterly periods reported in an annual report', async () => {
+    const data = await lookup('JPM');
+    // JPM's 10-K also reports EPS of 4.33 for its fourth quarter, which
+    // ends on the same day as the fiscal year
+    assert.equal(data.eps, 16.23);
+    assert.equal(data.provenance.eps.asOf, '2023-12-31');
+  });
+
+  it('leaves preferred stock out of book value per common share', async () => {
+    const data = await lookup('JPM');
+    assert.equal(data.bookValue, (327878000000 - 27404000000) / 2877000000);
+    assert.equal(data.returnOnEquity, 49552000000 / 327878000000);
+    assert.equal(data.dividendPerShare, 4.1);
+  });
+
+  it('leaves figures the facts do not cover unset', async () => {
+    const data = await lookup('JPM');
+    // No capital expenditures and no cash balance are reported
+    assert.equal(data.freeCashFlow, null);
+    assert.equal(data.netDebt, null);
+    assert.equal(data.provenance.freeCashFlow, undefined);
+    assert.equal(data.provenance.netDebt, undefined);
+  });
+
+  it('records the units of every field', async () => {
+    const { provenance } = await lookup('AAPL');
+    for (const field of ['eps', 'bookValue', 'dividendPerShare', 'freeCashFlow', 'netDebt']) {
+      assert.equal(provenance[field].currency, 'USD', field);
+      assert.equal(provenance[field].provider, 'sec', field);
+    }
+    // Share counts and ratios are not amounts of money
+    assert.equal(provenance.sharesOutstanding.currency, null);
+    assert.equal(provenance.returnOnEquity.currency, null);
+  });
+
+  it('looks companies up by CIK, loading the ticker map once', async () => {
+    const { dataSource, requests } = edgarSource();
+    await dataSource.lookupTicker('aapl', DEFAULT_ASSUMPTIONS);
+    await dataSource.lookupTicker('JPM', DEFAULT_ASSUMPTIONS);
+    assert.deepEqual(requests, [
+      'https://www.sec.gov/files/company_tickers.json',
+      'https://data.sec.gov/api/xbrl/companyfacts/CIK0000320193.json',
+      'https://data.sec.gov/api/xbrl/companyfacts/CIK0000019617.json'
+    ]);
+  });
+
+  it('writes share classes with a dash', async () => {
+    const { dataSource, requests } = edgarSource();
+    // BRK-B is in the ticker map but has no companyfacts fixture
+    assert.equal(await dataSource.lookupTicker('BRK.B', DEFAULT_ASSUMPTIONS), null);
+    assert.equal(requests.at(-1), 'https://data.sec.gov/api/xbrl/companyfacts/CIK0001067983.json');
+  });
+
+  it('reads share classes written with a slash as NASDAQ lists them', async () => {
+    const { dataSource, requests } = edgarSource();
+    assert.equal(await dataSource.lookupTicker('brk/b', DEFAULT_ASSUMPTIONS), null);
+    assert.equal(requests.at(-1), 'https://data.sec.gov/api/xbrl/companyfacts/CIK0001067983.json');
+  });
+
+  it('asks nothing for symbols that cannot be tickers', async () => {
+    const { dataSource, requests } = edgarSource();
+    assert.equal(await dataSource.lookupTicker('AAPL?x=1', DEFAULT_ASSUMPTIONS), null);
+    assert.deepEqual(requests, []);
+  });
+
+  it('returns null for tickers without a CIK', async () => {
+    const { dataSource, requests } = edgarSource();
+    assert.equal(await dataSource.lookupTicker('MSFT', DEFAULT_ASSUMPTIONS), null);
+    assert.deepEqual(requests, ['https://www.sec.gov/files/company_tickers.json']);
+  });
+});
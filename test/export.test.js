@@ -0,0 +1,52 @@
+// Result exports: CSV cells spreadsheets would run as formulas, CSV
+// metadata lines and XLSX strings with characters XML cannot hold.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { EXPORT_COLUMNS, EXPORT_FORMATS, toCsv, toXlsx } from '../lib/export.js';
+
+const metadata = { exportedAt: '2024-05-01T12:00:00.000Z' };
+
+// The workbook is an uncompressed zip, so its XML can be read as is.
+const xlsxText = records => new TextDecoder().decode(toXlsx(records, metadata));
+
+describe('exports', () => {
+  it('prefixes text cells that start like a formula', () => {
+    const csv = toCsv([{ ticker: '=HYPERLINK("http://x")', provider: '@SUM(A1)', currency: '+1', providers: '-2' }], metadata);
+    const row = csv.trimEnd().split('\r\n').at(-1);
+    assert.ok(row.startsWith(`"'=HYPERLINK(""http://x"")",'@SUM(A1),'-2,'+1,`), row);
+  });
+
+  it('leaves numbers alone, negative ones included', () => {
+    const csv = toCsv([{ ticker: 'ABC', price: -1.5, eps: -0.25 }], metadata);
+    const row = csv.trimEnd().split('\r\n').at(-1);
+    assert.match(row, /,-1\.5,/);
+    assert.doesNotMatch(row, /'/);
+  });
+
+  it('keeps every metadata value on its comment line', () => {
+    const csv = toCsv([{ ticker: 'ABC' }], { ...metadata, screen: 'pe < 15\r\nAND pb < 1.5\nOR roe > 20%', model: null });
+    const lines = csv.trimEnd().split('\r\n');
+    assert.deepEqual(lines.slice(0, 3), [
+      '# exportedAt: 2024-05-01T12:00:00.000Z',
+      '# screen: pe < 15 AND pb < 1.5 OR roe > 20%',
+      '# model: '
+    ]);
+    assert.equal(lines[3], EXPORT_COLUMNS.join(','));
+    assert.equal(lines.length, 5);
+  });
+
+  it('leaves characters XML cannot hold out of the workbook', () => {
+    const xml = xlsxText([{ ticker: 'AB\u0001C\u001F', provider: 'x\uFFFEy\uD800' }]);
+    assert.match(xml, /<t>ABC<\/t>/);
+    assert.match(xml, /<t>xy<\/t>/);
+  });
+
+  it('names every format\'s file extension', () => {
+    assert.deepEqual(Object.entries(EXPORT_FORMATS).map(([format, { extension }]) => [format, extension]), [
+      ['csv', 'csv'],
+      ['json', 'json'],
+      ['xlsx', 'xlsx']
+    ]);
+  });
+});
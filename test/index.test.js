@@ -0,0 +1,34 @@
+// Package entry points: lib/index.js re-exports the modules shared by the
+// page, the serverless functions and the command line; the server-only
+// provider access is a separate entry point.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as screener from 'stock-screener';
+import * as upstream from 'stock-screener/upstream';
+
+const SHARED_MODULES = ['alerts', 'currency', 'events', 'export', 'fundamentals', 'portfolio', 'providers', 'rate-limits', 'scan', 'screen', 'share', 'valuation'];
+
+describe('package exports', () => {
+  for (const name of SHARED_MODULES) {
+    it(`re-exports lib/${name}.js`, async () => {
+      const module = await import(`../lib/${name}.js`);
+      for (const [key, value] of Object.entries(module)) {
+        assert.equal(screener[key], value, `${key} of lib/${name}.js`);
+      }
+    });
+  }
+
+  it('exports what the scan endpoint and the command line build on', () => {
+    for (const key of ['createDataSource', 'createRateLimiters', 'createScanControl', 'runScan', 'compileScreen', 'screenRows', 'EXPORT_FORMATS', 'VALUATION_MODELS']) {
+      assert.ok(key in screener, key);
+    }
+  });
+
+  it('keeps the server-only provider access out of the entry point', () => {
+    assert.equal(typeof upstream.createUpstreamFetch, 'function');
+    for (const key of Object.keys(upstream)) {
+      assert.ok(!(key in screener), key);
+    }
+  });
+});
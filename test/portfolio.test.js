@@ -0,0 +1,61 @@
+// Holdings: amounts written with either decimal separator, and CSV files
+// separated by commas, semicolons or tabs.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createHolding, parseHoldingsCsv } from '../lib/portfolio.js';
+
+const shares = (text, decimal) => createHolding('KO', text, null, 'USD', decimal).shares;
+const costBasis = (text, decimal) => createHolding('KO', 1, text, 'USD', decimal).costBasis;
+
+describe('holdings', () => {
+  it('reads amounts with a decimal point or comma', () => {
+    assert.equal(costBasis('1,234.56'), 1234.56);
+    assert.equal(costBasis('1.234,56'), 1234.56);
+    assert.equal(costBasis('$1,234,567.5'), 1234567.5);
+    assert.equal(costBasis('1 234,5 €'), 1234.5);
+    assert.equal(costBasis("1'234.50"), 1234.5);
+    assert.equal(shares('12,5'), 12.5);
+    assert.equal(shares('0.5'), 0.5);
+    assert.equal(shares('1.234.567'), 1234567);
+  });
+
+  it('reads a single separator before three digits by the decimal separator given', () => {
+    assert.equal(shares('1,234'), 1234);
+    assert.equal(shares('1.234'), 1.234);
+    assert.equal(shares('1,234', ','), 1.234);
+    assert.equal(shares('1.234', ','), 1234);
+  });
+
+  it('rejects amounts it cannot read unambiguously', () => {
+    assert.throws(() => shares('1,234', null), /Cannot tell whether "," separates thousands or decimals/);
+    assert.throws(() => shares('1,23,4'), /is not a number/);
+    assert.throws(() => shares('1.234,5.6'), /is not a number/);
+    assert.throws(() => shares('12abc'), /is not a number/);
+  });
+
+  it('reads negative amounts in brackets', () => {
+    assert.throws(() => costBasis('(1,200.00)'), /cannot be negative/);
+  });
+
+  it('imports files separated by commas with decimal points', () => {
+    const holdings = parseHoldingsCsv('Symbol,Quantity,Cost\nKO,"1,000","62,500.50"\nPEP,12.5,2000\n', 'USD');
+    assert.deepEqual(holdings, [
+      { ticker: 'KO', shares: 1000, costBasis: 62500.5, currency: 'USD' },
+      { ticker: 'PEP', shares: 12.5, costBasis: 2000, currency: 'USD' }
+    ]);
+  });
+
+  it('imports files separated by semicolons with decimal commas', () => {
+    const holdings = parseHoldingsCsv('Ticker;Shares;Cost basis\nSAP.DE;12,5;1.234,56\nSIE.DE;1.000;150000\n', 'EUR');
+    assert.deepEqual(holdings, [
+      { ticker: 'SAP.DE', shares: 12.5, costBasis: 1234.56, currency: 'EUR' },
+      { ticker: 'SIE.DE', shares: 1000, costBasis: 150000, currency: 'EUR' }
+    ]);
+  });
+
+  it('rejects ambiguous amounts in files separated by tabs', () => {
+    assert.equal(parseHoldingsCsv('KO\t12,5\t100', 'USD')[0].shares, 12.5);
+    assert.throws(() => parseHoldingsCsv('KO\t1,000\t100', 'USD'), /^Error: Line 1: Cannot tell/);
+  });
+});
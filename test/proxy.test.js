@@ -0,0 +1,90 @@
+// Provider proxy function (api/proxy.js): which answers are cached, and how
+// upstream failures are reported.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+
+// Talk to the (mocked) providers rather than to recorded fixtures
+delete process.env.SCREENER_FIXTURES;
+
+const { default: handler } = await import('../api/proxy.js');
+
+/**
+ * Call the function with a GET of the given upstream URL.
+ *
+ * @param {string} url
+ * @returns {Promise<{status: number, headers: object, body: any}>}
+ */
+async function get(url) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      res.headers[name] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      return res;
+    },
+    send(data) {
+      res.body = data;
+      return res;
+    }
+  };
+  await handler({ method: 'GET', query: { url } }, res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+const json = data => new Response(JSON.stringify(data), { headers: { 'content-type': 'application/json' } });
+
+describe('provider proxy', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('caches answers fetched with the server key', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => json({ Symbol: 'KO', EPS: '2.47' }));
+    const url = 'https://www.alphavantage.co/query?function=OVERVIEW&symbol=KO';
+    assert.equal((await get(url)).headers['X-Cache'], 'MISS');
+    assert.equal((await get(url)).headers['X-Cache'], 'HIT');
+    assert.equal(fetch.mock.callCount(), 1);
+  });
+
+  it('neither caches nor serves cached answers for requests with their own key', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => json({ Symbol: 'PEP', EPS: '6.56' }));
+    const url = 'https://www.alphavantage.co/query?function=OVERVIEW&symbol=PEP';
+    assert.equal((await get(`${url}&apikey=PREMIUM`)).headers['X-Cache'], 'BYPASS');
+    assert.equal((await get(url)).headers['X-Cache'], 'MISS');
+    assert.equal((await get(`${url}&apikey=PREMIUM`)).headers['X-Cache'], 'BYPASS');
+    assert.equal(fetch.mock.callCount(), 3);
+    assert.equal(new URL(fetch.mock.calls[2].arguments[0]).searchParams.get('apikey'), 'PREMIUM');
+  });
+
+  it('does not cache Alpha Vantage notices sent in place of data', async () => {
+    const notice = { Information: 'This is a premium endpoint. You may subscribe to any of the premium plans to instantly unlock all premium endpoints.' };
+    const fetch = mock.method(globalThis, 'fetch', async () => json(notice));
+    const url = 'https://www.alphavantage.co/query?function=CASH_FLOW&symbol=MO';
+    const first = await get(url);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['X-Cache'], 'BYPASS');
+    assert.deepEqual(JSON.parse(first.body), notice);
+    assert.equal((await get(url)).headers['X-Cache'], 'BYPASS');
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+
+  it('answers 504 when the body does not arrive in time', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response(new ReadableStream({
+      pull(controller) {
+        controller.error(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+      }
+    })));
+    const { status, body } = await get('https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=KO');
+    assert.equal(status, 504);
+    assert.equal(body.host, 'www.alphavantage.co');
+  });
+});
@@ -0,0 +1,186 @@
+// Data providers replaying the recorded responses in fixtures/recorded/
+// through the server's upstream fetch, with and without simulated faults
+// (see lib/fixtures.js): FMP for AAPL, Alpha Vantage for IBM, SEC EDGAR
+// for AAPL and JPM, the NASDAQ screener's ticker list and Frankfurter's
+// exchange rates.
+
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+// The fixture mode and directory are read when lib/fixtures.js is loaded
+process.env.SCREENER_FIXTURES = 'replay';
+process.env.SCREENER_FIXTURE_DIR = fileURLToPath(new URL('../fixtures/recorded/', import.meta.url));
+delete process.env.SCREENER_FAULTS;
+
+const { fixturePath, setFaults } = await import('../lib/fixtures.js');
+const { createDataSource } = await import('../lib/providers.js');
+const { createUpstreamFetch } = await import('../lib/upstream.js');
+const { createFxSource } = await import('../lib/currency.js');
+const { createRateLimiters } = await import('../lib/rate-limits.js');
+const { DEFAULT_ASSUMPTIONS } = await import('../lib/valuation.js');
+
+/**
+ * Look a ticker up with the given providers (SEC EDGAR is always asked
+ * for fields the others left missing).
+ *
+ * @param {string} symbol
+ * @param {string[]} providers E.g. ['fmp']
+ * @returns {Promise<object|null>}
+ */
+function lookup(symbol, providers) {
+  const limiters = createRateLimiters();
+  const dataSource = createDataSource({
+    fetchJson: createUpstreamFetch(limiters),
+    available: provider => providers.includes(provider),
+    limiters
+  });
+  return dataSource.lookupTicker(symbol, DEFAULT_ASSUMPTIONS);
+}
+
+describe('replayed provider responses', () => {
+  it('reads FMP quotes, key metrics and company profiles', async () => {
+    const data = await lookup('AAPL', ['fmp']);
+    assert.equal(data.provider, 'fmp');
+    assert.equal(data.price, 191.56);
+    assert.equal(data.eps, 6.13);
+    assert.equal(data.bookValue, 3.95);
+    assert.equal(data.dividendPerShare, 0.94);
+    // Free cash flow per share times the share count of the quote
+    assert.equal(data.freeCashFlow, 6.32 * 15441881000);
+    // Enterprise value less market capitalisation
+    assert.equal(data.netDebt, 2752127000000 - 2676736000000);
+    assert.equal(data.sector, 'Technology');
+    // The quote is as of its timestamp, key metrics as of their fiscal year
+    assert.equal(data.provenance.price.asOf, '2024-01-19');
+    assert.equal(data.provenance.bookValue.asOf, '2023-09-30');
+    assert.equal(data.provenance.price.currency, 'USD');
+  });
+
+  it('reads Alpha Vantage overviews, quotes and cash flow statements', async () => {
+    const data = await lookup('IBM', ['alpha']);
+    assert.equal(data.provider, 'alpha');
+    // GLOBAL_QUOTE
+    assert.equal(data.price, 183.97);
+    assert.equal(data.provenance.price.asOf, '2024-02-02');
+    // OVERVIEW
+    assert.equal(data.eps, 8.15);
+    assert.equal(data.bookValue, 24.99);
+    assert.equal(data.evToEbitda, 15.29);
+    assert.equal(data.dividendYield, 0.0362);
+    assert.equal(data.provenance.eps.asOf, '2023-12-31');
+    // CASH_FLOW: operating cash flow less capital expenditures of the
+    // latest fiscal year
+    assert.equal(data.freeCashFlow, 13931000000 - 1245000000);
+    assert.equal(data.provenance.freeCashFlow.asOf, '2023-12-31');
+  });
+
+  it('reads SEC EDGAR company facts', async () => {
+    const data = await lookup('AAPL', []);
+    assert.equal(data.provider, 'sec');
+    assert.equal(data.price, null);
+    assert.equal(data.eps, 6.13);
+    assert.equal(data.freeCashFlow, 110543000000 - 10959000000);
+    const jpm = await lookup('JPM', []);
+    assert.equal(jpm.eps, 16.23);
+  });
+
+  it('reads the NASDAQ ticker list, writing share classes with a dash', async () => {
+    const limiters = createRateLimiters();
+    const dataSource = createDataSource({ fetchJson: createUpstreamFetch(limiters), available: () => false, limiters });
+    assert.deepEqual(await dataSource.fetchTickerUniverse(0), ['AAPL', 'BRK-A', 'IBM', 'JPM', 'KO']);
+    assert.deepEqual(await dataSource.fetchTickerUniverse(2), ['AAPL', 'BRK-A']);
+    // Every listing on the NASDAQ screener is in the US
+    assert.deepEqual(await dataSource.fetchTickerUniverse(0, { countries: ['GB'] }), []);
+  });
+
+  it('reads Frankfurter exchange rates', async () => {
+    const fx = createFxSource({ fetchJson: createUpstreamFetch(createRateLimiters()) });
+    assert.equal(await fx.rate('EUR', 'USD'), 1.1662);
+    // Cross rates go through the euro
+    assert.equal(await fx.rate('USD', 'GBP'), 0.8671 / 1.1662);
+    // Pence are hundredths of a pound
+    assert.equal(await fx.rate('GBP', 'GBp'), 100);
+    assert.equal(await fx.rate('USD', 'XYZ'), null);
+    assert.equal(fx.date(), '2026-10-16');
+  });
+
+  it('finds nothing for requests that were not recorded', async () => {
+    mock.method(console, 'warn', () => {});
+    try {
+      assert.equal(await lookup('MSFT', ['fmp', 'alpha']), null);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe('simulated faults', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    setFaults('');
+  });
+
+  it('rejects with a throttle error for Alpha Vantage throttle payloads', async () => {
+    setFaults('throttle=1');
+    await assert.rejects(lookup('IBM', ['alpha']), err => {
+      assert.equal(err.throttled, true);
+      assert.equal(err.provider, 'alpha');
+      return true;
+    });
+  });
+
+  it('rejects with a throttle error for HTTP 429', async () => {
+    setFaults('throttle=1,match=financialmodelingprep');
+    await assert.rejects(lookup('AAPL', ['fmp']), err => {
+      assert.equal(err.provider, 'fmp');
+      assert.equal(err.status, 429);
+      // Simulated throttle responses ask to retry after a second
+      assert.equal(err.retryAfter, 1000);
+      return true;
+    });
+  });
+
+  it('falls back to the next provider on server errors', async () => {
+    setFaults('error=1,match=financialmodelingprep');
+    const data = await lookup('AAPL', ['fmp']);
+    assert.equal(data.provider, 'sec');
+    assert.equal(data.price, null);
+    assert.equal(data.eps, 6.13);
+  });
+
+  it('leaves free cash flow unset when the cash flow statement times out', async () => {
+    setFaults('timeout=1,match=CASH_FLOW');
+    const data = await lookup('IBM', ['alpha']);
+    assert.equal(data.price, 183.97);
+    assert.equal(data.freeCashFlow, null);
+  });
+
+  it('leaves the fields of a truncated response unset', async () => {
+    setFaults('malformed=1,match=OVERVIEW');
+    const data = await lookup('IBM', ['alpha']);
+    assert.equal(data.price, 183.97);
+    assert.equal(data.eps, null);
+    assert.equal(data.bookValue, null);
+    assert.equal(data.freeCashFlow, 13931000000 - 1245000000);
+  });
+
+  it('finds nothing when every request times out', async () => {
+    setFaults('timeout=1');
+    assert.equal(await lookup('IBM', ['alpha']), null);
+  });
+});
+
+describe('fixture files', () => {
+  it('keeps keys apart that share a long prefix', () => {
+    const prefix = `www.alphavantage.co/query?${'symbols=AAPL,MSFT,'.repeat(20)}`;
+    assert.notEqual(fixturePath(`${prefix}KO`), fixturePath(`${prefix}PEP`));
+  });
+
+  it('keeps keys apart that differ in characters left out of file names', () => {
+    assert.notEqual(fixturePath('api.nasdaq.com/a?b=c d'), fixturePath('api.nasdaq.com/a?b=c_d'));
+  });
+});
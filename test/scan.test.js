@@ -0,0 +1,104 @@
+// Scan loop: stopping a scan abandons the lookups in flight, including
+// those waiting for a rate limiter, and returns once they have settled;
+// lookups finishing out of order and resumed scans keep their cursor and
+// rows.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createRateLimiter, retryThrottled } from '../lib/rate-limits.js';
+import { createScanControl, createScanResults, runScan, runScanQueue } from '../lib/scan.js';
+import { compileScreen } from '../lib/screen.js';
+import { DEFAULT_ASSUMPTIONS } from '../lib/valuation.js';
+
+const context = { model: 'dcf', assumptions: DEFAULT_ASSUMPTIONS };
+
+describe('scan control', () => {
+  it('aborts rate limiter waits when the scan is stopped', async () => {
+    // One request a day, already taken: every further lookup waits a day
+    const limiter = createRateLimiter({ perMinute: 1, perDay: 1 });
+    await limiter.acquire();
+    const control = createScanControl();
+    setTimeout(() => control.stop('quota'), 20);
+    const startedAt = Date.now();
+    const result = await runScan({
+      symbols: ['AAA', 'BBB', 'CCC'],
+      screen: compileScreen('undervalued'),
+      context,
+      control,
+      lookup: (symbol, signal) => retryThrottled(() => limiter.acquire(signal).then(() => null), {}, signal)
+    });
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(result.complete, false);
+    assert.equal(result.scanned, 0);
+    assert.equal(result.cursor, 0);
+    assert.equal(limiter.status().state, 'ready');
+  });
+
+  it('waits for the calls in flight to settle', async () => {
+    const control = createScanControl();
+    const settled = [];
+    const queue = runScanQueue(['AAA', 'BBB'], async (symbol, index, signal) => {
+      await new Promise(resolve => signal.addEventListener('abort', () => setTimeout(resolve, 10)));
+      settled.push(symbol);
+    }, { control });
+    setTimeout(() => control.stop(), 20);
+    await queue;
+    assert.deepEqual(settled.sort(), ['AAA', 'BBB']);
+  });
+
+  it('does not retry throttled attempts once aborted', async () => {
+    const aborter = new AbortController();
+    let attempts = 0;
+    const attempt = async () => {
+      attempts++;
+      aborter.abort();
+      throw Object.assign(new Error('throttled'), { throttled: true, provider: 'alpha', retryAfter: 1 });
+    };
+    await assert.rejects(retryThrottled(attempt, {}, aborter.signal), /throttled/);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('scan results', () => {
+  const screen = compileScreen('pe < 20');
+  const stock = (price, sector = 'Technology') => ({ price, eps: 1, sector });
+
+  it('advances the cursor over lookups finishing out of order', () => {
+    const progress = [];
+    const results = createScanResults({ total: 3, screen, context, onProgress: update => progress.push(update.cursor) });
+    results.add('BBB', 1, stock(10));
+    results.add('CCC', 2, null);
+    results.add('AAA', 0, stock(30));
+    assert.deepEqual(progress, [0, 0, 3]);
+    assert.deepEqual(results.rows.map(row => row.ticker), ['BBB']);
+  });
+
+  it('moves the cursor past symbols never recorded once complete', () => {
+    const results = createScanResults({ total: 3, screen, context });
+    results.add('AAA', 0, null);
+    results.add('CCC', 2, null);
+    assert.equal(results.cursor, 1);
+    results.complete();
+    assert.equal(results.cursor, 3);
+  });
+
+  it('resumes with the rows and scores of the fundamentals collected before', async () => {
+    const fundamentals = { AAA: stock(12) };
+    const rescored = [];
+    const result = await runScan({
+      symbols: ['AAA', 'BBB'],
+      start: 1,
+      fundamentals,
+      screen,
+      context,
+      lookup: async () => stock(8),
+      onRows: (rows, scores) => rescored.push({ tickers: rows.map(row => row.ticker), scores })
+    });
+    assert.equal(result.complete, true);
+    assert.equal(result.scanned, 1);
+    assert.deepEqual(Object.keys(fundamentals), ['AAA', 'BBB']);
+    assert.deepEqual(rescored.map(({ tickers }) => tickers), [['AAA'], ['AAA', 'BBB']]);
+    // Both stocks are scored against each other at the end
+    assert.equal(rescored.at(-1).scores.get(fundamentals.BBB).sectorPeers, 2);
+  });
+});
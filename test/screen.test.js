@@ -0,0 +1,140 @@
+// Screening language (compileScreen): what screens match, and the errors
+// invalid ones are reported with.  Sector-relative scores (scoreUniverse)
+// and the metrics of the results table.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { compileScreen, numericMetrics, relativeScore, scoreUniverse } from '../lib/screen.js';
+import { DEFAULT_ASSUMPTIONS } from '../lib/valuation.js';
+
+const context = { model: 'dcf', assumptions: DEFAULT_ASSUMPTIONS };
+
+// P/E 10, P/B 2, dividend yield 4%, return on equity 20%
+const stock = { price: 40, eps: 4, bookValue: 20, dividendPerShare: 1.6, returnOnEquity: 0.2 };
+
+const matches = (source, data = stock) => compileScreen(source).test(data, context);
+
+/**
+ * The message and position of the error a screen is rejected with.
+ *
+ * @param {string} source
+ * @returns {{message: string, position: number}}
+ */
+function rejection(source) {
+  try {
+    compileScreen(source);
+  } catch (err) {
+    return { message: err.message, position: err.position };
+  }
+  assert.fail(`"${source}" was accepted`);
+}
+
+describe('screening language', () => {
+  it('compares fields with numbers and with other fields', () => {
+    assert.equal(matches('pe < 15'), true);
+    assert.equal(matches('pe >= 15'), false);
+    assert.equal(matches('pb == 2 AND pe != 2'), true);
+    assert.equal(matches('dividend < eps'), true);
+    assert.equal(matches('price <= bookValue'), false);
+  });
+
+  it('reads numbers with a percent sign as percentages', () => {
+    assert.equal(matches('divYield > 3.5%'), true);
+    assert.equal(matches('divYield > 4.5%'), false);
+    assert.equal(matches('roe = 20%'), true);
+    assert.equal(matches('eps > -5%'), true);
+  });
+
+  it('binds NOT tighter than AND, and AND tighter than OR', () => {
+    // (pe > 20 AND pb > 5) OR divYield > 3%
+    assert.equal(matches('pe > 20 AND pb > 5 OR divYield > 3%'), true);
+    // pe > 20 AND (pb > 5 OR divYield > 3%)
+    assert.equal(matches('pe > 20 AND (pb > 5 OR divYield > 3%)'), false);
+    // (NOT pe < 15) AND pb < 3
+    assert.equal(matches('NOT pe < 15 AND pb < 3'), false);
+    assert.equal(matches('NOT (pe < 15 AND pb > 3)'), true);
+    assert.equal(matches('!pe > 20 && pb < 3 || beta'), true);
+  });
+
+  it('is false for comparisons with missing values, also under NOT', () => {
+    const loss = { ...stock, eps: -1 };
+    assert.equal(matches('pe < 15', loss), false);
+    assert.equal(matches('pe >= 15', loss), false);
+    assert.equal(matches('NOT pe < 15', loss), true);
+    // A bare field is true when it is present and not zero
+    assert.equal(matches('pe', loss), false);
+    assert.equal(matches('beta'), false);
+  });
+
+  it('ignores the case of fields and keywords and lists the fields used', () => {
+    const screen = compileScreen('  PE < 15 and DivYield > 3% Or pe > 30 ');
+    assert.equal(screen.source, 'PE < 15 and DivYield > 3% Or pe > 30');
+    assert.deepEqual(screen.fields, ['pe', 'divYield']);
+    assert.equal(screen.test(stock, context), true);
+  });
+
+  it('names the position of unexpected characters and tokens', () => {
+    assert.deepEqual(rejection('pe < 15 # pb'), { message: 'Unexpected character "#" at position 9', position: 8 });
+    assert.deepEqual(rejection('pe < 15 pb < 2'), {
+      message: 'Unexpected "pb" at position 9; join conditions with AND or OR',
+      position: 8
+    });
+    assert.equal(rejection('pe < 15)').message, 'Unexpected ")" at position 8 without a matching "("');
+    assert.equal(rejection('pe < AND pb').message, 'Expected a field or number but found "AND" at position 6');
+    assert.equal(rejection('15 pe').message, 'Expected a comparison operator after "15" at position 1 but found "pe" at position 4');
+  });
+
+  it('reports screens that end early', () => {
+    assert.equal(rejection('(pe < 15 OR pb < 1').message, 'Missing ")" for the "(" at position 1');
+    assert.equal(rejection('pe <').message, 'Expected a field or number but found the end of the screen');
+    assert.equal(rejection('   ').message, 'Enter a screen, e.g. pe < 15 AND pb < 1.5');
+  });
+
+  it('suggests the field a misspelt name is closest to', () => {
+    assert.equal(rejection('divYeild > 3%').message, 'Unknown field "divYeild" at position 1. Did you mean "divYield"?');
+    assert.equal(rejection('pe < 15 AND volume > 1').message, 'Unknown field "volume" at position 13.');
+  });
+});
+
+describe('sector-relative scores', () => {
+  const tech = (symbol, pe) => ({ symbol, sector: 'Technology', price: pe, eps: 1 });
+  const [low, mid, tied, high] = [tech('A', 10), tech('B', 20), tech('C', 20), tech('D', 40)];
+  const loss = { ...tech('E', 10), eps: -1 };
+  const utilities = [1, 2].map(n => ({ symbol: `U${n}`, sector: 'Utilities', price: 15, eps: 1 }));
+  const unknown = { symbol: 'X', price: 10, eps: 1 };
+  const scores = scoreUniverse([high, low, mid, tied, loss, ...utilities, unknown, null]);
+  const score = (data, key) => relativeScore(scores, data, key);
+
+  it('ranks each metric among the peers with a value for it, ties counting half', () => {
+    assert.deepEqual([low, mid, tied, high].map(data => score(data, 'pePctl')), [0, 0.5, 0.5, 1]);
+    assert.equal(score(loss, 'pePctl'), null);
+    assert.equal(score(loss, 'sectorPeers'), 5);
+  });
+
+  it('measures the standard deviations from the sector mean', () => {
+    // Mean 22.5, population standard deviation sqrt(118.75)
+    assert.equal(score(low, 'peZ'), -12.5 / Math.sqrt(118.75));
+    assert.equal(score(high, 'peZ'), 17.5 / Math.sqrt(118.75));
+  });
+
+  it('ranks the universe by cheapness, a low P/E being cheap', () => {
+    assert.deepEqual([low, mid, tied, high].map(data => score(data, 'cheapness')), [1, 0.5, 0.5, 0]);
+    assert.deepEqual([low, mid, tied, high].map(data => score(data, 'cheapRank')), [1, 2, 3, 4]);
+    assert.equal(score(loss, 'cheapRank'), null);
+  });
+
+  it('scores nothing in sectors with too few peers, or without a sector', () => {
+    assert.equal(score(utilities[0], 'sectorPeers'), 2);
+    assert.equal(score(utilities[0], 'pePctl'), null);
+    assert.equal(score(utilities[0], 'cheapness'), null);
+    assert.equal(score(unknown, 'sectorPeers'), null);
+  });
+
+  it('shows no EV/EBITDA in the results table for negative EBITDA', () => {
+    const metrics = data => numericMetrics(data, { assumptions: DEFAULT_ASSUMPTIONS, scores });
+    assert.equal(metrics({ enterpriseValue: 5e9, ebitda: 5e8 }).evEbitda, 10);
+    assert.equal(metrics({ enterpriseValue: 5e9, ebitda: -5e8 }).evEbitda, null);
+    assert.equal(metrics({ evToEbitda: -4.2, enterpriseValue: 5e9, ebitda: 5e8 }).evEbitda, null);
+    assert.equal(metrics(low).pePctl, 0);
+  });
+});
@@ -0,0 +1,40 @@
+// Snapshots of results shared in links: checking what a link restores.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createSnapshot, packSnapshot, unpackSnapshot, validateSnapshot } from '../lib/share.js';
+
+/**
+ * A snapshot of one ticker whose price has the given provenance.
+ *
+ * @param {*} price Provenance record of the price
+ * @returns {object}
+ */
+const snapshotWith = price => createSnapshot(['SAP.DE'], new Map([['SAP.DE', { price: 150, provenance: { price } }]]), {
+  takenAt: Date.parse('2024-05-01T12:00:00Z'),
+  source: 'ticker lookup',
+  currency: 'USD'
+});
+
+describe('snapshots', () => {
+  it('restores converted amounts with their exchange rate', async () => {
+    const source = { provider: 'fmp', currency: 'USD', reportedCurrency: 'EUR', rate: 1.0712 };
+    const restored = await unpackSnapshot(await packSnapshot(snapshotWith(source)));
+    assert.deepEqual(restored.fundamentals['SAP.DE'].provenance.price, source);
+  });
+
+  it('accepts provenance without an exchange rate', () => {
+    assert.doesNotThrow(() => validateSnapshot(snapshotWith({ provider: 'fmp', currency: 'USD', rate: null })));
+    assert.doesNotThrow(() => validateSnapshot(snapshotWith({ provider: 'fmp', currency: 'USD' })));
+  });
+
+  it('rejects exchange rates that are not numbers', () => {
+    for (const rate of ['1.07', {}, true]) {
+      assert.throws(() => validateSnapshot(snapshotWith({ provider: 'fmp', currency: 'USD', reportedCurrency: 'EUR', rate })), /damaged data for SAP\.DE/);
+    }
+  });
+
+  it('rejects provenance records that are not objects', () => {
+    assert.throws(() => validateSnapshot(snapshotWith('fmp')), /damaged data for SAP\.DE/);
+  });
+});
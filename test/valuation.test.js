@@ -0,0 +1,103 @@
+// Valuation models of the detail view: sensitivity grids around the
+// assumptions in effect and the growth the price implies, and the checks
+// valuation assumptions have to pass.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_ASSUMPTIONS, SENSITIVITY_STEPS, impliedGrowth, modelValue, sensitivityGrid, validateAssumptions } from '../lib/valuation.js';
+
+// A dividend payer and a company valued on its cash flow.
+const payer = { price: 50, dividendPerShare: 2, beta: 1.2 };
+const grower = { price: 120, freeCashFlow: 4e9, netDebt: 1e9, sharesOutstanding: 5e8 };
+
+/**
+ * Assert that two numbers agree to within `tolerance`.
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} tolerance
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('sensitivity grids', () => {
+  it('centres the DCF grid on the WACC and stage 1 growth in effect', () => {
+    const grid = sensitivityGrid(grower, 'dcf');
+    assert.equal(grid.rates.length, SENSITIVITY_STEPS.length);
+    SENSITIVITY_STEPS.forEach((step, i) => {
+      assertClose(grid.rates[i], DEFAULT_ASSUMPTIONS.wacc + step);
+      assertClose(grid.growths[i], DEFAULT_ASSUMPTIONS.stage1Growth + step);
+    });
+    assert.equal(grid.values[2][2], modelValue('dcf', grower));
+    // Values fall with the rate and rise with growth
+    assert.ok(grid.values[0][2] > grid.values[4][2]);
+    assert.ok(grid.values[2][4] > grid.values[2][0]);
+  });
+
+  it('values the DDM grid at flat rates around the CAPM cost of equity', () => {
+    const a = { ...DEFAULT_ASSUMPTIONS, useCapm: true };
+    const grid = sensitivityGrid(payer, 'ddm', a);
+    // 4% risk-free rate plus a beta of 1.2 times the 5.5% premium
+    assertClose(grid.rates[2], 0.106);
+    assert.equal(grid.values[2][2], modelValue('ddm', payer, a));
+    assert.equal(grid.values[0][4], modelValue('ddm', payer, { ...a, useCapm: false, discountRate: grid.rates[0], dividendGrowth: grid.growths[4] }));
+  });
+
+  it('leaves points where growth reaches the discount rate empty', () => {
+    const grid = sensitivityGrid(payer, 'ddm', { ...DEFAULT_ASSUMPTIONS, discountRate: 0.07, dividendGrowth: 0.05 });
+    // 5% cost of equity against 7% growth
+    assert.equal(grid.values[0][4], null);
+    assert.ok(grid.values[4][0] > 0);
+  });
+
+  it('has no grid for stocks the model cannot value', () => {
+    assert.equal(sensitivityGrid({ price: 10 }, 'ddm'), null);
+    assert.equal(sensitivityGrid({ ...grower, freeCashFlow: -1e9 }, 'dcf'), null);
+  });
+});
+
+describe('implied growth', () => {
+  it('solves the DDM for the dividend growth that gives the price', () => {
+    const growth = impliedGrowth(payer, 'ddm');
+    // (50 × 8% − 2) / (50 + 2)
+    assertClose(growth, 2 / 52);
+    assertClose(modelValue('ddm', payer, { ...DEFAULT_ASSUMPTIONS, dividendGrowth: growth }), payer.price);
+  });
+
+  it('finds the DCF stage 1 growth that gives the price', () => {
+    const growth = impliedGrowth(grower, 'dcf');
+    assertClose(modelValue('dcf', grower, { ...DEFAULT_ASSUMPTIONS, stage1Growth: growth }), grower.price, 1e-3);
+    // A higher price needs more growth
+    assert.ok(impliedGrowth({ ...grower, price: 240 }, 'dcf') > growth);
+  });
+
+  it('is null without a price, or for prices growth cannot explain', () => {
+    assert.equal(impliedGrowth({ ...payer, price: null }, 'ddm'), null);
+    assert.equal(impliedGrowth({ ...grower, dividendPerShare: 0 }, 'ddm'), null);
+    // Beyond the value at 100% stage 1 growth
+    assert.equal(impliedGrowth({ ...grower, price: 1e6 }, 'dcf'), null);
+    assert.equal(impliedGrowth({ ...grower, freeCashFlow: null }, 'dcf'), null);
+  });
+});
+
+describe('valuation assumptions', () => {
+  const check = changes => validateAssumptions({ ...DEFAULT_ASSUMPTIONS, ...changes });
+
+  it('accepts the defaults', () => {
+    assert.equal(check({}), null);
+  });
+
+  it('rejects fractional years of the forecast horizon and fade period', () => {
+    assert.equal(check({ stage1Years: 2.5 }), 'stage1Years must be a whole number of years.');
+    assert.equal(check({ stage2Years: 0.5 }), 'stage2Years must be a whole number of years.');
+    assert.equal(check({ fadeYears: 7.25 }), 'fadeYears must be a whole number of years.');
+    assert.equal(check({ stage1Years: 0, stage2Years: 3 }), null);
+  });
+
+  it('rejects values of the wrong type', () => {
+    assert.equal(check({ wacc: '9%' }), 'wacc must be a number.');
+    assert.equal(check({ fadeYears: Infinity }), 'fadeYears must be a number.');
+    assert.equal(check({ useCapm: 'yes' }), 'useCapm must be true or false.');
+  });
+});
@@ -0,0 +1,81 @@
+// Alert webhook function (api/webhook.js): which hosts alerts are posted to,
+// and what the receiver gets.
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import handler from '../api/webhook.js';
+
+const alert = { ticker: 'KO', condition: 'price < intrinsic', values: { price: 58.1, intrinsic: 64.37 }, message: 'KO: price < intrinsic (price 58.1, intrinsic 64.37)' };
+
+/**
+ * Call the function with a POST of the given body.
+ *
+ * @param {object} body
+ * @returns {Promise<{status: number, json: object|null}>}
+ */
+async function post(body) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  await handler({ method: 'POST', body }, res);
+  return { status: res.statusCode, json: res.body };
+}
+
+describe('alert webhook', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ALERT_WEBHOOK_HOSTS;
+  });
+
+  it('posts alerts to Slack with the message as the text shown', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const { status } = await post({ url: 'https://hooks.slack.com/services/T0/B0/X', alert });
+    assert.equal(status, 204);
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(String(url), 'https://hooks.slack.com/services/T0/B0/X');
+    const sent = JSON.parse(init.body);
+    assert.equal(sent.ticker, 'KO');
+    assert.equal(sent.text, alert.message);
+    assert.equal(sent.content, alert.message);
+  });
+
+  it('refuses hosts that are not allowed, or not https', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    assert.equal((await post({ url: 'https://example.com/hook', alert })).status, 403);
+    assert.equal((await post({ url: 'http://hooks.slack.com/services/T0', alert })).status, 403);
+    assert.equal((await post({ url: 'https://hooks.slack.com.example.com/x', alert })).status, 403);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('posts to the hosts of ALERT_WEBHOOK_HOSTS', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+    process.env.ALERT_WEBHOOK_HOSTS = 'example.com, hooks.example.org';
+    assert.equal((await post({ url: 'https://alerts.example.com/hook', alert })).status, 204);
+  });
+
+  it('rejects requests without an alert message', async () => {
+    assert.equal((await post({ url: 'https://discord.com/api/webhooks/1/x' })).status, 400);
+    assert.equal((await post({ url: 'https://discord.com/api/webhooks/1/x', alert: { ticker: 'KO' } })).status, 400);
+    assert.equal((await post('{')).status, 400);
+  });
+
+  it('reports the status the webhook answered with', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response('no_text', { status: 400 }));
+    const { status, json } = await post({ url: 'https://hooks.slack.com/services/T0/B0/X', alert });
+    assert.equal(status, 502);
+    assert.equal(json.upstreamStatus, 400);
+  });
+});